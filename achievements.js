@@ -0,0 +1,197 @@
+(() => {
+  function createAchievements() {
+    // Achievements: goals across the games, worked towards through the events games
+    // send on the event bus (events.js), so a game needs no code of its own for them.
+    // Progress is kept under "achievements" as { [id]: { progress, unlockedAt } }.
+    //
+    // Definition: { id, game, title, description, goal, total, on: { type: fn } }.
+    // on[type](event, memo) looks at an event from `game` and returns how far it gets
+    // the player: the new high mark, or with `total` an amount added to the tally.
+    // Anything not above zero leaves progress alone. `memo` is the definition's own
+    // scratch object for the session, to remember what earlier events said.
+    const STORAGE_KEY = "achievements";
+    const storage = window.ArcadeStorage;
+
+    const DEFINITIONS = [
+      {
+        id: "tetris-four",
+        game: "tetris",
+        title: "Tetris!",
+        description: "Clear four lines with one piece",
+        goal: 1,
+        on: { linesCleared: (e) => (e.lines === 4 ? 1 : 0) },
+      },
+      {
+        id: "tetris-level",
+        game: "tetris",
+        title: "Speed demon",
+        description: "Reach level 10 in Tetris",
+        goal: 10,
+        on: { levelUp: (e) => e.level },
+      },
+      {
+        id: "tetris-lines",
+        game: "tetris",
+        title: "Line worker",
+        description: "Clear 500 lines in total",
+        goal: 500,
+        total: true,
+        on: { linesCleared: (e) => e.lines },
+      },
+      {
+        id: "pacman-ghosts",
+        game: "pacman",
+        title: "Ghost feast",
+        description: "Eat all four ghosts on one power pellet",
+        goal: 4,
+        on: {
+          powerPellet: (e, memo) => {
+            memo.ghosts = new Set();
+          },
+          ghostEaten: (e, memo) => memo.ghosts?.add(e.ghost).size,
+          lifeLost: (e, memo) => {
+            memo.ghosts = null;
+          },
+        },
+      },
+      {
+        id: "pacman-clear",
+        game: "pacman",
+        title: "Clean plate",
+        description: "Clear every pellet in the Pac-Man maze",
+        goal: 1,
+        on: { gameOver: (e) => (e.win ? 1 : 0) },
+      },
+      {
+        id: "pacman-score",
+        game: "pacman",
+        title: "Power player",
+        description: "Score 5,000 points in Pac-Man",
+        goal: 5000,
+        on: { score: (e) => e.score },
+      },
+      {
+        id: "breakout-flawless",
+        game: "breakout",
+        title: "Flawless",
+        description: "Clear Breakout without losing a life",
+        goal: 1,
+        // Judged by the lives left at the end (a run starts with 3), so a run that
+        // was suspended and continued still counts.
+        on: {
+          score: (e, memo) => {
+            memo.lives = e.lives;
+          },
+          gameOver: (e, memo) => (e.win && memo.lives === 3 ? 1 : 0),
+        },
+      },
+      {
+        id: "breakout-bricks",
+        game: "breakout",
+        title: "Demolition crew",
+        description: "Break 1,000 bricks in total",
+        goal: 1000,
+        total: true,
+        on: { brickBroken: () => 1 },
+      },
+      {
+        id: "snake-length",
+        game: "snake",
+        title: "Python",
+        description: "Reach length 50 in Snake",
+        goal: 50,
+        on: { foodEaten: (e) => e.length },
+      },
+      {
+        id: "snake-food",
+        game: "snake",
+        title: "Bottomless",
+        description: "Eat 1,000 pieces of food in total",
+        goal: 1000,
+        total: true,
+        on: { foodEaten: () => 1 },
+      },
+    ];
+
+    function load() {
+      const stored = storage.get(STORAGE_KEY, {});
+      return stored && typeof stored === "object" && !Array.isArray(stored) ? stored : {};
+    }
+
+    function list() {
+      // Every achievement with its standing: { id, game, title, description, goal,
+      // progress, unlockedAt (ISO string or null) }.
+      const saved = load();
+      return DEFINITIONS.map(({ on, total, ...def }) => ({
+        ...def,
+        progress: Math.min(def.goal, Number(saved[def.id]?.progress) || 0),
+        unlockedAt: saved[def.id]?.unlockedAt || null,
+      }));
+    }
+
+    function watch({ events, onUnlock = () => {} }) {
+      // Counts what happens on `events` towards the achievements and calls
+      // onUnlock(achievement) for each one completed. Returns a function to stop.
+      const memos = new Map(DEFINITIONS.map((def) => [def.id, {}]));
+
+      return events.on("*", (event) => {
+        const defs = DEFINITIONS.filter((def) => def.game === event.game && def.on[event.type]);
+        if (!defs.length) return;
+
+        const saved = load();
+        const unlocked = [];
+        let changed = false;
+        defs.forEach((def) => {
+          const value = def.on[event.type](event, memos.get(def.id));
+          const entry = saved[def.id] || { progress: 0, unlockedAt: null };
+          if (!(value > 0) || entry.unlockedAt) return;
+
+          const reached = def.total ? entry.progress + value : Math.max(entry.progress, value);
+          const progress = Math.min(def.goal, reached);
+          if (progress === entry.progress) return;
+
+          saved[def.id] = {
+            progress,
+            unlockedAt: progress >= def.goal ? new Date().toISOString() : null,
+          };
+          changed = true;
+          if (saved[def.id].unlockedAt) unlocked.push(def.id);
+        });
+
+        if (!changed) return;
+        storage.set(STORAGE_KEY, saved);
+        const all = list();
+        unlocked.forEach((id) => onUnlock(all.find((a) => a.id === id)));
+      });
+    }
+
+    function combine(a, b) {
+      // Merge two stored progress records (e.g. local and imported): the further
+      // progress of each, and the earlier unlock.
+      const result = {};
+      [a || {}, b || {}].forEach((record) => {
+        Object.keys(record).forEach((id) => {
+          const entry = record[id];
+          if (!entry || typeof entry !== "object") return;
+          const prev = result[id] || { progress: 0, unlockedAt: null };
+          const dates = [prev.unlockedAt, entry.unlockedAt].filter(Boolean).sort();
+          result[id] = {
+            progress: Math.max(prev.progress, Number(entry.progress) || 0),
+            unlockedAt: dates[0] || null,
+          };
+        });
+      });
+      return result;
+    }
+
+    return {
+      STORAGE_KEY,
+      DEFINITIONS,
+      list,
+      watch,
+      combine,
+    };
+  }
+
+  window.ArcadeAchievements = createAchievements();
+})();
@@ -1,9 +1,33 @@
 (() => {
   // Arcade controller / router:
-  // - owns the shared canvas + HUD elements (score/best/lives)
+  // - owns the shared canvas + HUD elements (score/best/lives); the HUD shows the
+  //   "score" events games send on the event bus (events.js), and the canvas keeps
+  //   its pixels matched to its size on screen (view.js)
+  // - builds the menu from the games registered with window.Arcade
   // - starts/stops the currently selected game
+  // - maps the URL hash (#/, #/snake, #/tetris?seed=42) to screens
   // - provides a common set of DOM refs to each game via start(...)
-  // - handles global keys that should work across all games (Esc menu, M mute)
+  // - owns keyboard input: keys are translated into named actions through the user's
+  //   bindings (bindings.js), global actions (Esc menu, M mute, F fullscreen) are
+  //   handled here and the rest go to the active game; gamepads (gamepad.js) and
+  //   touch gestures or the on-screen pad (touch.js) feed the same actions
+  // - hosts the Controls screen for rebinding keys; help text is generated from it
+  // - records finished runs in the high-score tables (scores.js), asks for initials
+  //   on the game-over overlay and shows the High scores screen
+  // - picks each run's random seed (random.js): daily for the Daily Challenge screen,
+  //   fixed for "?seed=" routes, fresh otherwise
+  // - records every run (replay.js) and plays replays back on the game canvas
+  // - hosts the Data screen: export/import of all saved data (backup.js)
+  // - hosts the Sound screen: mute and volume levels of the shared mixer (audio.js)
+  // - runs attract mode (attract.js): demo play behind the menu once it sits idle
+  // - suspends the run in progress when the player leaves it (Esc, closing the tab)
+  //   and offers "Continue" for it on the menu
+  // - counts live play towards the achievements (achievements.js), pops up a toast
+  //   over the game for each unlock and hosts the Achievements screen
+  // - logs every finished run (stats.js) and hosts the Stats screen: totals,
+  //   averages, a score chart and CSV export of the history
+  // - switches the game section in and out of fullscreen (fullscreen.js) on F or
+  //   the menu button
   const canvas = document.getElementById("game");
 
   const titleEl = document.getElementById("game-title");
@@ -18,153 +42,1665 @@
   const overlaySubtitleEl = document.getElementById("overlay-subtitle");
 
   const menuEl = document.getElementById("menu");
-  const btnSnake = document.getElementById("btn-snake");
-  const btnPacman = document.getElementById("btn-pacman");
-  const btnTetris = document.getElementById("btn-tetris");
-  const btnBreakout = document.getElementById("btn-breakout");
+  const menuButtonsEl = document.getElementById("menu-buttons");
+  const menuSubtitleEl = document.getElementById("menu-subtitle");
+  const menuHintEl = document.getElementById("menu-hint");
+  const menuDemoEl = document.getElementById("menu-demo");
+  const btnControls = document.getElementById("btn-controls");
+
+  const controlsScreenEl = document.getElementById("controls-screen");
+  const controlsTabsEl = document.getElementById("controls-tabs");
+  const controlsListEl = document.getElementById("controls-list");
+  const controlsMessageEl = document.getElementById("controls-message");
+  const controlsNotesEl = document.getElementById("controls-notes");
+  const controlsResetBtn = document.getElementById("controls-reset");
+  const controlsBackBtn = document.getElementById("controls-back");
+
+  const btnScores = document.getElementById("btn-scores");
+  const scoresScreenEl = document.getElementById("scores-screen");
+  const scoresTabsEl = document.getElementById("scores-tabs");
+  const scoresTableEl = document.getElementById("scores-table");
+  const scoresBackBtn = document.getElementById("scores-back");
+
+  const btnAchievements = document.getElementById("btn-achievements");
+  const achievementsScreenEl = document.getElementById("achievements-screen");
+  const achievementsSummaryEl = document.getElementById("achievements-summary");
+  const achievementsListEl = document.getElementById("achievements-list");
+  const achievementsBackBtn = document.getElementById("achievements-back");
+  const toastsEl = document.getElementById("toasts");
+
+  const btnStats = document.getElementById("btn-stats");
+  const statsScreenEl = document.getElementById("stats-screen");
+  const statsTabsEl = document.getElementById("stats-tabs");
+  const statsSummaryEl = document.getElementById("stats-summary");
+  const statsChartEl = document.getElementById("stats-chart");
+  const statsGamesEl = document.getElementById("stats-games");
+  const statsExportBtn = document.getElementById("stats-export");
+  const statsBackBtn = document.getElementById("stats-back");
+
+  const btnData = document.getElementById("btn-data");
+  const dataScreenEl = document.getElementById("data-screen");
+  const dataExportBtn = document.getElementById("data-export");
+  const dataImportBtn = document.getElementById("data-import");
+  const dataFileEl = document.getElementById("data-file");
+  const dataMessageEl = document.getElementById("data-message");
+  const dataPreviewEl = document.getElementById("data-preview");
+  const dataModeMergeBtn = document.getElementById("data-mode-merge");
+  const dataModeReplaceBtn = document.getElementById("data-mode-replace");
+  const dataChangesEl = document.getElementById("data-changes");
+  const dataApplyBtn = document.getElementById("data-apply");
+  const dataCancelBtn = document.getElementById("data-cancel");
+  const dataBackBtn = document.getElementById("data-back");
+
+  const btnSettings = document.getElementById("btn-settings");
+  const settingsScreenEl = document.getElementById("settings-screen");
+  const settingsMutedEl = document.getElementById("settings-muted");
+  const settingsVolumesEl = document.getElementById("settings-volumes");
+  const settingsBackBtn = document.getElementById("settings-back");
+
+  const btnDaily = document.getElementById("btn-daily");
+  const dailyScreenEl = document.getElementById("daily-screen");
+  const dailyDateEl = document.getElementById("daily-date");
+  const dailyListEl = document.getElementById("daily-list");
+  const dailyBackBtn = document.getElementById("daily-back");
+
+  const btnReplays = document.getElementById("btn-replays");
+  const replaysScreenEl = document.getElementById("replays-screen");
+  const replaysTabsEl = document.getElementById("replays-tabs");
+  const replaysListEl = document.getElementById("replays-list");
+  const replaysBackBtn = document.getElementById("replays-back");
+
+  const replayBarEl = document.getElementById("replay-bar");
+  const replayPlayBtn = document.getElementById("replay-play");
+  const replaySeekEl = document.getElementById("replay-seek");
+  const replayTimeEl = document.getElementById("replay-time");
+  const replaySpeedsEl = document.getElementById("replay-speeds");
+  const replayExitBtn = document.getElementById("replay-exit");
+
+  const overlayExtraEl = document.getElementById("overlay-extra");
+  const scoreEntryEl = document.getElementById("score-entry");
+  const scoreEntryLabelEl = document.getElementById("score-entry-label");
+  const scoreInitialsEl = document.getElementById("score-initials");
+  const scoreResultEl = document.getElementById("score-result");
+  const overlayScoresBtn = document.getElementById("overlay-scores");
+  const overlayReplayBtn = document.getElementById("overlay-replay");
+
+  const padStatusEl = document.getElementById("pad-status");
+  const touchPadEl = document.getElementById("touch-pad");
+  const btnTouchPad = document.getElementById("btn-touch-pad");
+  const btnFullscreen = document.getElementById("btn-fullscreen");
+  const gameEl = document.querySelector(".game");
+
+  const storage = window.ArcadeStorage;
+  const bindings = window.ArcadeBindings;
+  const scores = window.ArcadeScores;
+  const backup = window.ArcadeBackup;
+  const audio = window.ArcadeAudio;
+  const random = window.ArcadeRandom;
+  const replays = window.ArcadeReplays;
+  const events = window.ArcadeEvents;
+  const achievements = window.ArcadeAchievements;
+  const stats = window.ArcadeStats;
+  const saves = window.ArcadeSaves;
+
+  // Actions owned by the shell rather than by any game. Rebindable like game
+  // actions, under the "global" bindings scope.
+  const GLOBAL_SCOPE = "global";
+  const GLOBAL_CONTROLS = {
+    menu: { label: "Menu", keys: ["escape"], buttons: [8] },
+    mute: { label: "Mute", keys: ["m"] },
+    fullscreen: { label: "Fullscreen", keys: ["f"] },
+  };
+
+  // Each action can hold up to this many keys on the Controls screen.
+  const KEY_SLOTS = 2;
+
+  // Replays send their events here rather than to the shared bus: the HUD follows
+  // them, but they don't count as play.
+  const replayEvents = events.createBus();
+
+  // How long an achievement toast stays up.
+  const TOAST_MS = 4000;
+
+  // On-screen pad visibility: "auto" shows it on touch-first devices only.
+  const TOUCH_PAD_KEY = "settings:touchPad";
+  const TOUCH_PAD_MODES = ["auto", "on", "off"];
 
   let current = null;
-  let muted = false;
+  let currentGame = null;
+  // How the current game was started: { seed, scoreTable, label, params } (see runSetup).
+  let currentRun = null;
+  // Recording of the run in progress, fed through the clock handed to the game.
+  let recordingClock = null;
+  let recorder = null;
+  // The run that just ended, for "Watch replay" on the game-over overlay.
+  let lastRecordedRun = null;
+  // Replay being watched: { run, player }.
+  let replay = null;
+  // Game whose saved run the next startGame() picks back up (Continue, or a reload
+  // landing on the game's route).
+  let resumeId = null;
+  let replaysScope = null;
+  // Active bindings ({ action: keys[] }) for the shell and for the running game.
+  let globalBound = bindings.resolve(GLOBAL_SCOPE, GLOBAL_CONTROLS);
+  let gameBound = {};
+  // Controls screen state: which scope is shown, and the slot waiting for a key.
+  let controlsScope = GLOBAL_SCOPE;
+  let capture = null;
+  // Secondary screen (Controls, High scores, Data, Sound) covering the menu or game.
+  let openScreenEl = null;
+  let scoresScope = null;
+  // Stats screen tab: a game id, or null for all games together.
+  let statsScope = null;
+  // High-score entry waiting for the player's initials: { gameId, entryId }.
+  let pendingEntry = null;
+  // Backup file read on the Data screen and waiting for confirmation.
+  let pendingImport = null;
+  let importMode = "merge";
+  let touchPadMode = readTouchPadMode();
+  // Normalized hash of the screen currently shown, so repeated popstate/hashchange
+  // notifications for the same URL don't restart the game.
+  let currentRoute = null;
 
   function setHelp(lines) {
     helpEl.innerHTML = lines.map((l) => `<div>${l}</div>`).join("");
   }
 
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  function keysText(keys) {
+    return keys.length ? keys.map(bindings.keyLabel).join(" / ") : "unbound";
+  }
+
+  function helpLine(label, keys) {
+    return `<strong>${escapeHtml(label)}</strong>: ${escapeHtml(keysText(keys))}`;
+  }
+
+  function controlsHelp(controls, bound) {
+    return Object.keys(controls).map((action) => helpLine(controls[action].label, bound[action]));
+  }
+
+  function keyLabelFor(action) {
+    // Used by games for prompts like "Press P to resume".
+    const keys = gameBound[action] || globalBound[action];
+    if (keys?.length) return bindings.keyLabel(keys[0]);
+    const controls = currentGame?.controls[action] || GLOBAL_CONTROLS[action];
+    return controls ? controls.label : action;
+  }
+
+  function refreshBindings() {
+    // A key the player bound for this game beats a global default wanting it.
+    const claimed = currentGame ? bindings.customKeys(currentGame.id) : [];
+    globalBound = bindings.resolve(GLOBAL_SCOPE, GLOBAL_CONTROLS, claimed);
+    gameBound = currentGame ? bindings.resolve(currentGame.id, currentGame.controls) : {};
+    menuHintEl.innerHTML = `Tip: press <strong>${escapeHtml(keysText(globalBound.menu))}</strong> to return here.`;
+  }
+
   function showMenu() {
     // Stop any running game and reset HUD for the menu screen.
+    releaseHeldActions();
+    stopReplay();
+    attract.stop();
+    suspendRun();
     if (current?.stop) current.stop();
     current = null;
+    currentGame = null;
+    currentRun = null;
+    recorder = null;
+    refreshBindings();
 
     overlayEl.hidden = true;
+    hideGameOverExtras();
+    closeScreen();
+    touchPad.hide();
+    updateContinueButtons();
     menuEl.hidden = false;
 
     titleEl.textContent = "Arcade";
-    scoreEl.textContent = "0";
-    bestEl.textContent = "0";
-    // Games that don't implement lives will display '-' here.
-    livesEl.textContent = "-";
+    updateHud({ score: 0, best: 0 });
 
     setHelp([
       "<strong>Choose</strong>: click a game",
-      "<strong>Mute</strong>: M",
-      "<strong>Back to menu</strong>: Esc",
+      helpLine(GLOBAL_CONTROLS.mute.label, globalBound.mute),
+      helpLine(GLOBAL_CONTROLS.fullscreen.label, globalBound.fullscreen),
+      helpLine("Back to menu", globalBound.menu),
     ]);
+    attract.arm();
+  }
+
+  function updateHud({ score, best, lives }) {
+    scoreEl.textContent = String(score);
+    bestEl.textContent = String(best);
+    // Games without lives show '-'.
+    livesEl.textContent = lives == null ? "-" : String(lives);
   }
 
   function hideMenu() {
+    attract.stop();
     menuEl.hidden = true;
   }
 
+  function demoStartArgs() {
+    // Demo runs draw on the shared canvas but keep score, lives and messages to
+    // themselves: their events go to a bus nobody listens to, so the HUD, the menu
+    // and anything counting live play stay as they are.
+    const standIn = () => document.createElement("div");
+    return {
+      canvas,
+      events: events.createBus(),
+      overlayEl: standIn(),
+      overlayTitleEl: standIn(),
+      overlaySubtitleEl: standIn(),
+      keyLabel: keyLabelFor,
+    };
+  }
+
+  function showDemo(game) {
+    // A demo plays dimmed behind the menu, without sound.
+    menuEl.classList.toggle("is-demo", Boolean(game));
+    menuDemoEl.hidden = !game;
+    if (game) menuDemoEl.textContent = `Demo · ${game.title} — press any key`;
+    audio.setSilenced(Boolean(game));
+  }
+
+  function noteActivity() {
+    // Any input ends a demo at once and restarts the idle countdown on the menu.
+    attract.stop();
+    if (!menuEl.hidden) attract.arm();
+  }
+
   function commonStartArgs() {
-    // Shared wiring passed into each game so games can update the HUD and overlay.
+    // Shared wiring passed into each game so games can update the overlay; the HUD
+    // follows their events (updateHud).
     return {
       canvas,
-      scoreEl,
-      bestEl,
       overlayEl,
       overlayTitleEl,
       overlaySubtitleEl,
+      keyLabel: keyLabelFor,
+      onGameOver: handleGameOver,
+      onRunStart: handleRunStart,
     };
   }
 
-  function startSnake() {
+  function startGame(id, params = {}) {
+    const game = window.Arcade.get(id);
+    if (!game) return;
+
+    releaseHeldActions();
+    stopReplay();
+    suspendRun();
+    if (current?.stop) current.stop();
+    hideGameOverExtras();
+    closeScreen();
     hideMenu();
-    titleEl.textContent = "Snake";
-    // Snake exposes a lives system (3 lives per run) and will keep this updated.
-    livesEl.textContent = "3";
+
+    const saved = resumeId === id ? saves.forRoute(id, params) : null;
+    resumeId = null;
+    // A continued run is taken out of storage; leaving it again saves it anew.
+    if (saved) saves.remove(id);
+
+    current = window.Arcade.getModule(id);
+    currentGame = game;
+    currentRun = saved ? saved.run : runSetup(game, params);
+    recorder = null;
+    refreshBindings();
+
+    titleEl.textContent = currentRun.label ? `${game.title} · ${currentRun.label}` : game.title;
     setHelp([
-      "<strong>Move</strong>: Arrow keys / WASD",
-      "<strong>Pause</strong>: Space",
-      "<strong>Mute</strong>: M",
-      "<strong>Restart</strong>: R",
-      "<strong>Menu</strong>: Esc",
+      ...controlsHelp(game.controls, gameBound),
+      ...controlsHelp(GLOBAL_CONTROLS, globalBound),
     ]);
+    const args = commonStartArgs();
+    // Query params from the route (e.g. ?mode=, ?seed=) are handed to the game as-is.
+    args.params = params;
+    args.seed = currentRun.seed;
+    args.scoreTable = currentRun.scoreTable;
+    recordingClock = replays.createClock((time) => {
+      if (recorder) recorder.frame(time);
+    });
+    args.clock = recordingClock;
+    // A continued run comes back paused; it isn't recorded, having started earlier.
+    if (saved) args.resume = saved.game;
+    current.start(args);
+    updateTouchPad();
+  }
 
-    current = window.SnakeGame;
-    // Pass the shared lives element only to games that support it.
-    current.start({ ...commonStartArgs(), livesEl });
-    if (current.setMuted) current.setMuted(muted);
+  function suspendRun() {
+    // Keeps the run in progress (if any) for "Continue", before the game is left.
+    if (!currentGame || !currentRun || replay || !current?.save) return;
+    const game = current.save();
+    if (!game) return;
+    saves.write(currentGame.id, { score: Number(scoreEl.textContent) || 0, run: currentRun, game });
   }
 
-  function startPacman() {
-    hideMenu();
-    titleEl.textContent = "Pac-Man";
-    // Pac-Man exposes a lives system (3 lives per run) and will keep this updated.
-    livesEl.textContent = "3";
-    setHelp([
-      "<strong>Move</strong>: Arrow keys / WASD",
-      "<strong>Pause</strong>: Space",
-      "<strong>Mute</strong>: M",
-      "<strong>Restart</strong>: R",
-      "<strong>Menu</strong>: Esc",
-    ]);
+  function continueRun(gameId) {
+    const saved = saves.read(gameId);
+    if (!saved) return;
+    resumeId = gameId;
+    // Same route as the saved run (e.g. its Daily Challenge), so a reload stays on it.
+    navigate(formatRoute({ id: gameId, params: saved.run.params }));
+  }
 
-    current = window.PacmanGame;
-    current.start({ ...commonStartArgs(), livesEl });
-    if (current.setMuted) current.setMuted(muted);
+  function updateContinueButtons() {
+    [...menuButtonsEl.querySelectorAll("[data-continue]")].forEach((btn) => {
+      const saved = saves.read(btn.dataset.continue);
+      btn.hidden = !saved;
+      if (saved) btn.textContent = `Continue · ${saved.score} pts`;
+    });
   }
 
-  function startTetris() {
-    hideMenu();
-    titleEl.textContent = "Tetris";
-    // Tetris doesn't use lives; keep the HUD consistent by showing '-'.
-    livesEl.textContent = "-";
-    setHelp([
-      "<strong>Move</strong>: Left/Right (or A/D)",
-      "<strong>Rotate</strong>: Up (or W)",
-      "<strong>Soft drop</strong>: Down (or S)",
-      "<strong>Hard drop</strong>: Space",
-      "<strong>Pause</strong>: P",
-      "<strong>Mute</strong>: M",
-      "<strong>Restart</strong>: R",
-      "<strong>Menu</strong>: Esc",
-    ]);
+  function runSetup(game, params) {
+    // "?mode=daily": today's seed, the same for everyone, with its own score table.
+    // "?seed=...": a fixed game (shared links, bug reports). Otherwise the game picks
+    // a fresh seed on every (re)start.
+    if (params.mode === "daily") {
+      const date = random.dateKey();
+      return { seed: random.dailySeed(game.id), scoreTable: scores.dailyTable(game.id, date), label: `Daily ${date}`, params };
+    }
+    if (params.seed) {
+      return { seed: random.toSeed(params.seed), scoreTable: game.id, label: `Seed ${params.seed}`, params };
+    }
+    return { seed: null, scoreTable: game.id, label: "", params };
+  }
+
+  function buildMenu() {
+    const games = window.Arcade.list();
+
+    menuButtonsEl.textContent = "";
+    for (let i = 0; i < games.length; i += 1) {
+      const game = games[i];
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = `btn btn-${game.id}`;
+      btn.dataset.game = game.id;
+
+      const titleSpan = document.createElement("span");
+      titleSpan.className = "btn-title";
+      titleSpan.textContent = game.title;
+      btn.appendChild(titleSpan);
+
+      if (game.subtitle) {
+        const subSpan = document.createElement("span");
+        subSpan.className = "btn-sub";
+        subSpan.textContent = game.subtitle;
+        btn.appendChild(subSpan);
+      }
+
+      btn.addEventListener("click", () => navigate(`/${game.id}`));
+
+      // Shown by updateContinueButtons() while the game has a suspended run.
+      const continueBtn = document.createElement("button");
+      continueBtn.type = "button";
+      continueBtn.className = "btn btn-small btn-continue";
+      continueBtn.dataset.continue = game.id;
+      continueBtn.hidden = true;
+      continueBtn.addEventListener("click", () => continueRun(game.id));
+
+      const card = document.createElement("div");
+      card.className = "menu-game";
+      card.appendChild(btn);
+      card.appendChild(continueBtn);
+      menuButtonsEl.appendChild(card);
+    }
+
+    const titles = games.map((g) => g.title);
+    if (titles.length > 1) {
+      const last = titles.pop();
+      menuSubtitleEl.textContent = `${titles.join(", ")}, and ${last} — all in one canvas`;
+    } else if (titles.length) {
+      menuSubtitleEl.textContent = `${titles[0]} — all in one canvas`;
+    }
+  }
+
+  function scopeTitle(scope) {
+    return scope === GLOBAL_SCOPE ? "General" : window.Arcade.get(scope).title;
+  }
+
+  function scopeControls(scope) {
+    return scope === GLOBAL_SCOPE ? GLOBAL_CONTROLS : window.Arcade.get(scope).controls;
+  }
+
+  function findConflict(scope, action, key) {
+    // A key may only trigger one thing at a time: it must be free within the scope
+    // itself and against the global actions. Global keys are checked against every game.
+    const scopes =
+      scope === GLOBAL_SCOPE
+        ? [GLOBAL_SCOPE, ...window.Arcade.list().map((g) => g.id)]
+        : [scope, GLOBAL_SCOPE];
+
+    for (let i = 0; i < scopes.length; i += 1) {
+      const other = scopes[i];
+      const controls = scopeControls(other);
+      const claimed = other === GLOBAL_SCOPE && scope !== GLOBAL_SCOPE ? bindings.customKeys(scope) : [];
+      const bound = bindings.resolve(other, controls, claimed);
+      const hit = bindings.findAction(bound, key);
+      if (!hit) continue;
+      if (other === scope && hit === action) continue;
+      return { scope: other, action: hit, label: controls[hit].label };
+    }
+    return null;
+  }
+
+  function controlsNotes(scope) {
+    // Default keys the player's own bindings took over (a key they chose before an
+    // action wanting it by default came along), one line each.
+    const notes = [];
+    const note = (holderScope, key, loser, where) => {
+      const controls = scopeControls(holderScope);
+      const holder = bindings.findAction(bindings.resolve(holderScope, controls), key);
+      const owner = holder ? controls[holder].label : "another action";
+      notes.push(`${bindings.keyLabel(key)} stays on ${where}${owner}, so ${loser} goes without it.`);
+    };
+
+    if (scope === GLOBAL_SCOPE) {
+      window.Arcade.list().forEach((game) => {
+        bindings.conflicts(GLOBAL_SCOPE, GLOBAL_CONTROLS, bindings.customKeys(game.id)).forEach(({ action, key }) => {
+          note(game.id, key, `${GLOBAL_CONTROLS[action].label} in ${game.title}`, `${game.title}: `);
+        });
+      });
+      return notes;
+    }
+
+    const controls = scopeControls(scope);
+    bindings.conflicts(scope, controls).forEach(({ action, key }) => note(scope, key, controls[action].label, ""));
+    bindings.conflicts(GLOBAL_SCOPE, GLOBAL_CONTROLS, bindings.customKeys(scope)).forEach(({ action, key }) => {
+      note(scope, key, `${GLOBAL_CONTROLS[action].label} (General)`, "");
+    });
+    return notes;
+  }
+
+  function setControlsMessage(text) {
+    controlsMessageEl.textContent = text || "";
+  }
+
+  function renderControls() {
+    controlsTabsEl.textContent = "";
+    const scopes = [GLOBAL_SCOPE, ...window.Arcade.list().map((g) => g.id)];
+    for (let i = 0; i < scopes.length; i += 1) {
+      const scope = scopes[i];
+      const tab = document.createElement("button");
+      tab.type = "button";
+      tab.className = "tab";
+      tab.textContent = scopeTitle(scope);
+      tab.setAttribute("aria-pressed", String(scope === controlsScope));
+      tab.addEventListener("click", () => {
+        capture = null;
+        controlsScope = scope;
+        setControlsMessage("");
+        renderControls();
+      });
+      controlsTabsEl.appendChild(tab);
+    }
+
+    const controls = scopeControls(controlsScope);
+    const bound = bindings.resolve(controlsScope, controls);
+
+    controlsListEl.textContent = "";
+    const actions = Object.keys(controls);
+    for (let i = 0; i < actions.length; i += 1) {
+      const action = actions[i];
+      const row = document.createElement("div");
+      row.className = "controls-row";
+
+      const label = document.createElement("span");
+      label.className = "controls-label";
+      label.textContent = controls[action].label;
+      row.appendChild(label);
+
+      for (let slot = 0; slot < KEY_SLOTS; slot += 1) {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "key-slot";
+        const waiting = capture && capture.action === action && capture.slot === slot;
+        const key = bound[action][slot];
+        btn.textContent = waiting ? "Press a key…" : key ? bindings.keyLabel(key) : "—";
+        if (waiting) btn.classList.add("is-capturing");
+        btn.addEventListener("click", () => {
+          capture = { scope: controlsScope, action, slot };
+          setControlsMessage("Press a key (Esc cancels, Backspace clears).");
+          renderControls();
+        });
+        row.appendChild(btn);
+      }
+
+      controlsListEl.appendChild(row);
+    }
+
+    controlsNotesEl.textContent = controlsNotes(controlsScope).join("\n");
+    controlsNotesEl.hidden = !controlsNotesEl.textContent;
+    controlsResetBtn.disabled = !bindings.isCustomized(controlsScope);
+  }
+
+  function assignCapturedKey(key) {
+    const { scope, action, slot } = capture;
+    const controls = scopeControls(scope);
+    const keys = bindings.resolve(scope, controls)[action].slice();
+
+    if (key === "backspace" || key === "delete") {
+      keys.splice(slot, 1);
+      bindings.setKeys(scope, action, keys);
+      capture = null;
+      setControlsMessage(`${controls[action].label} cleared.`);
+      return;
+    }
+
+    const conflict = findConflict(scope, action, key);
+    if (conflict) {
+      const where = conflict.scope === scope ? "" : `${scopeTitle(conflict.scope)}: `;
+      setControlsMessage(`${bindings.keyLabel(key)} is already used by ${where}${conflict.label}.`);
+      return;
+    }
+
+    keys[slot] = key;
+    // Drop holes (slot 2 filled before slot 1) and the key's old slot on this action.
+    const next = keys.filter((k, i) => k && keys.indexOf(k) === i);
+    bindings.setKeys(scope, action, next);
+    capture = null;
+    setControlsMessage(`${controls[action].label}: ${keysText(next)}`);
+  }
+
+  function handleCaptureKey(e) {
+    e.preventDefault();
+    const key = bindings.normalizeKey(e.key);
+
+    if (key === "escape") {
+      capture = null;
+      setControlsMessage("");
+    } else {
+      assignCapturedKey(key);
+    }
+
+    refreshBindings();
+    renderControls();
+  }
+
+  function openControls() {
+    capture = null;
+    setControlsMessage("");
+    renderControls();
+    openScreen(controlsScreenEl);
+  }
+
+  function openScreen(el) {
+    closeScreen();
+    attract.stop();
+    menuEl.hidden = true;
+    el.hidden = false;
+    openScreenEl = el;
+  }
+
+  function closeScreen() {
+    capture = null;
+    if (!openScreenEl) return;
+    openScreenEl.hidden = true;
+    openScreenEl = null;
+  }
+
+  function leaveScreen() {
+    // Back/Esc on a screen returns to where it was opened from: the menu, or the
+    // game-over overlay of the current game.
+    closeScreen();
+    if (currentGame) return;
+    menuEl.hidden = false;
+    attract.arm();
+  }
+
+  function formatDate(iso) {
+    if (!iso) return "—";
+    const d = new Date(iso);
+    return Number.isNaN(d.getTime()) ? "—" : d.toLocaleDateString();
+  }
+
+  function renderScores() {
+    const games = window.Arcade.list();
+    if (!scoresScope || !window.Arcade.get(scoresScope)) scoresScope = games[0]?.id || null;
+
+    scoresTabsEl.textContent = "";
+    for (let i = 0; i < games.length; i += 1) {
+      const game = games[i];
+      const tab = document.createElement("button");
+      tab.type = "button";
+      tab.className = "tab";
+      tab.textContent = game.title;
+      tab.setAttribute("aria-pressed", String(game.id === scoresScope));
+      tab.addEventListener("click", () => {
+        scoresScope = game.id;
+        renderScores();
+      });
+      scoresTabsEl.appendChild(tab);
+    }
+
+    scoresTableEl.textContent = "";
+    if (!scoresScope) return;
+
+    const game = window.Arcade.get(scoresScope);
+    const entries = scores.top(game.id);
+    if (entries.length) scoresTableEl.appendChild(buildScoreTable(game, entries));
+    else scoresTableEl.textContent = "No scores yet. Go set one!";
+
+    // Today's Daily Challenge is ranked separately, below the all-time table.
+    const date = random.dateKey();
+    const daily = scores.top(scores.dailyTable(game.id, date));
+    if (!daily.length) return;
+    const heading = document.createElement("div");
+    heading.className = "scores-heading";
+    heading.textContent = `Daily Challenge · ${date}`;
+    scoresTableEl.appendChild(heading);
+    scoresTableEl.appendChild(buildScoreTable(game, daily));
+  }
+
+  function buildScoreTable(game, entries) {
+    const columns = [
+      { label: "#", value: (e, i) => String(i + 1) },
+      { label: "Name", value: (e) => e.initials },
+      { label: "Score", value: (e) => String(e.score) },
+      ...game.scoreDetails.map((d) => ({
+        label: d.label,
+        value: (e) => (e.details?.[d.key] != null ? String(e.details[d.key]) : "—"),
+      })),
+      { label: "Date", value: (e) => formatDate(e.date) },
+    ];
+
+    const table = document.createElement("table");
+    const head = table.createTHead().insertRow();
+    columns.forEach((col) => {
+      const th = document.createElement("th");
+      th.textContent = col.label;
+      head.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    entries.forEach((entry, i) => {
+      const row = body.insertRow();
+      if (pendingEntry && pendingEntry.entryId === entry.id) row.className = "is-new";
+      columns.forEach((col) => {
+        row.insertCell().textContent = col.value(entry, i);
+      });
+    });
+
+    return table;
+  }
+
+  function renderDaily() {
+    const date = random.dateKey();
+    dailyDateEl.textContent = `Today's challenge: ${date}. Same pieces, food and ghosts for everyone.`;
+    dailyListEl.textContent = "";
+
+    window.Arcade.list().forEach((game) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = `btn btn-${game.id}`;
+
+      const titleSpan = document.createElement("span");
+      titleSpan.className = "btn-title";
+      titleSpan.textContent = game.title;
+      btn.appendChild(titleSpan);
+
+      const best = scores.best(scores.dailyTable(game.id, date));
+      const subSpan = document.createElement("span");
+      subSpan.className = "btn-sub";
+      subSpan.textContent = best ? `Today's best: ${best}` : "Not played yet today";
+      btn.appendChild(subSpan);
+
+      btn.addEventListener("click", () => navigate(`/${game.id}?mode=daily`));
+      dailyListEl.appendChild(btn);
+    });
+  }
 
-    current = window.TetrisGame;
-    current.start(commonStartArgs());
-    if (current.setMuted) current.setMuted(muted);
+  function openDaily() {
+    renderDaily();
+    openScreen(dailyScreenEl);
+  }
+
+  function openScores(gameId) {
+    scoresScope = gameId || scoresScope;
+    renderScores();
+    openScreen(scoresScreenEl);
+  }
+
+  function renderAchievements() {
+    const all = achievements.list();
+    const unlocked = all.filter((a) => a.unlockedAt).length;
+    achievementsSummaryEl.textContent = `${unlocked} of ${all.length} unlocked on this device.`;
+    achievementsListEl.textContent = "";
+
+    window.Arcade.list().forEach((game) => {
+      const own = all.filter((a) => a.game === game.id);
+      if (!own.length) return;
+      const heading = document.createElement("div");
+      heading.className = "scores-heading";
+      heading.textContent = game.title;
+      achievementsListEl.appendChild(heading);
+
+      own.forEach((a) => {
+        const row = document.createElement("div");
+        row.className = a.unlockedAt ? "achievement-row is-unlocked" : "achievement-row";
+
+        const text = document.createElement("div");
+        const title = document.createElement("strong");
+        title.textContent = a.title;
+        const description = document.createElement("span");
+        description.textContent = a.description;
+        text.appendChild(title);
+        text.appendChild(description);
+
+        const bar = document.createElement("progress");
+        bar.max = a.goal;
+        bar.value = a.progress;
+        bar.setAttribute("aria-label", `${a.title} progress`);
+
+        const count = document.createElement("span");
+        count.className = "achievement-count";
+        count.textContent = a.unlockedAt ? formatDate(a.unlockedAt) : `${a.progress} / ${a.goal}`;
+
+        row.appendChild(text);
+        row.appendChild(bar);
+        row.appendChild(count);
+        achievementsListEl.appendChild(row);
+      });
+    });
+  }
+
+  function openAchievements() {
+    renderAchievements();
+    openScreen(achievementsScreenEl);
+  }
+
+  function showToast(title, text) {
+    const toast = document.createElement("div");
+    toast.className = "toast";
+    const heading = document.createElement("strong");
+    heading.textContent = title;
+    const body = document.createElement("span");
+    body.textContent = text;
+    toast.appendChild(heading);
+    toast.appendChild(body);
+    toastsEl.appendChild(toast);
+    window.setTimeout(() => toast.remove(), TOAST_MS);
+  }
+
+  function formatPlayTime(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes >= 60) return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, "0")}m`;
+    return `${minutes}m ${String(Math.floor(ms / 1000) % 60).padStart(2, "0")}s`;
+  }
+
+  function formatNumber(n) {
+    return Number.isInteger(n) ? String(n) : n.toFixed(1);
+  }
+
+  function renderStats() {
+    const games = window.Arcade.list();
+    if (statsScope && !window.Arcade.get(statsScope)) statsScope = null;
+
+    statsTabsEl.textContent = "";
+    [{ id: null, title: "All games" }, ...games].forEach((game) => {
+      const tab = document.createElement("button");
+      tab.type = "button";
+      tab.className = "tab";
+      tab.textContent = game.title;
+      tab.setAttribute("aria-pressed", String(game.id === statsScope));
+      tab.addEventListener("click", () => {
+        statsScope = game.id;
+        renderStats();
+      });
+      statsTabsEl.appendChild(tab);
+    });
+
+    const game = statsScope ? window.Arcade.get(statsScope) : null;
+    const runs = stats.runs(statsScope);
+    const summary = stats.summarize(runs);
+    const items = [
+      ["Runs", String(summary.runs)],
+      ["Play time", formatPlayTime(summary.playTimeMs)],
+      ["Total score", String(summary.totalScore)],
+      ["Average score", String(Math.round(summary.averageScore))],
+      ["Best score", String(summary.bestScore)],
+      ["Average run", formatPlayTime(summary.averageTimeMs)],
+    ];
+    if (!game || game.hasLives) items.push(["Lives lost", String(summary.livesLost)]);
+    // A game's own numbers, averaged, under the labels of its score table columns.
+    (game?.scoreDetails || []).forEach((d) => {
+      if (summary.details[d.key] != null) items.push([`Average ${d.label.toLowerCase()}`, formatNumber(summary.details[d.key])]);
+    });
+
+    statsSummaryEl.textContent = "";
+    items.forEach(([label, value]) => {
+      const item = document.createElement("div");
+      item.className = "stats-item";
+      const valueEl = document.createElement("strong");
+      valueEl.textContent = value;
+      const labelEl = document.createElement("span");
+      labelEl.textContent = label;
+      item.appendChild(valueEl);
+      item.appendChild(labelEl);
+      statsSummaryEl.appendChild(item);
+    });
+
+    // One game: its scores over time. All games: a row per game instead, as their
+    // scores don't share a scale.
+    statsChartEl.hidden = !game;
+    if (game) stats.drawScoreChart(statsChartEl, runs);
+    statsGamesEl.textContent = "";
+    if (!game) statsGamesEl.appendChild(buildStatsTable(games));
+    statsExportBtn.disabled = !runs.length;
+  }
+
+  function buildStatsTable(games) {
+    const table = document.createElement("table");
+    const head = table.createTHead().insertRow();
+    ["Game", "Runs", "Play time", "Best", "Average"].forEach((label) => {
+      const th = document.createElement("th");
+      th.textContent = label;
+      head.appendChild(th);
+    });
+    const body = table.createTBody();
+    games.forEach((game) => {
+      const s = stats.summarize(stats.runs(game.id));
+      const cells = [game.title, s.runs, formatPlayTime(s.playTimeMs), s.bestScore, Math.round(s.averageScore)];
+      const row = body.insertRow();
+      cells.forEach((text) => {
+        row.insertCell().textContent = String(text);
+      });
+    });
+    return table;
+  }
+
+  function openStats() {
+    renderStats();
+    openScreen(statsScreenEl);
+  }
+
+  function downloadFile(name, type, text) {
+    // Saves `text` as a file through a temporary download link.
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoke later: some browsers start the download asynchronously.
+    window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function exportStats() {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`arcade-stats-${statsScope || "all"}-${date}.csv`, "text/csv", stats.toCsv(stats.runs(statsScope)));
+  }
+
+  function setDataMessage(text) {
+    dataMessageEl.textContent = text;
+  }
+
+  function exportBackup() {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`arcade-backup-${date}.json`, "application/json", backup.exportText());
+    setDataMessage(storage.isPersistent() ? "Backup exported." : "Backup exported. Note: this browser isn't saving data between visits.");
+  }
+
+  function renderImportPreview() {
+    dataModeMergeBtn.setAttribute("aria-pressed", String(importMode === "merge"));
+    dataModeReplaceBtn.setAttribute("aria-pressed", String(importMode === "replace"));
+
+    const changes = backup.preview(pendingImport, importMode);
+    dataChangesEl.textContent = "";
+    changes.forEach((change) => {
+      const item = document.createElement("li");
+      item.textContent = `${change.label}: ${change.text}`;
+      dataChangesEl.appendChild(item);
+    });
+    if (!changes.length) {
+      const item = document.createElement("li");
+      item.textContent = "Nothing would change.";
+      dataChangesEl.appendChild(item);
+    }
+    dataApplyBtn.disabled = !changes.length;
+    dataPreviewEl.hidden = false;
+  }
+
+  function cancelImport() {
+    pendingImport = null;
+    dataPreviewEl.hidden = true;
+    dataFileEl.value = "";
+  }
+
+  function readImportFile() {
+    const file = dataFileEl.files && dataFileEl.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      const result = backup.parse(String(reader.result));
+      if (!result.ok) {
+        cancelImport();
+        setDataMessage(`Import failed: ${result.error}`);
+        return;
+      }
+      pendingImport = result.backup;
+      importMode = "merge";
+      const date = new Date(result.backup.exportedAt);
+      setDataMessage(`Backup from ${Number.isNaN(date.getTime()) ? "an unknown date" : date.toLocaleString()}. Review the changes:`);
+      renderImportPreview();
+    };
+    reader.onerror = () => setDataMessage("Couldn't read that file.");
+    reader.readAsText(file);
   }
 
-  function startBreakout() {
+  function applyImport() {
+    if (!pendingImport) return;
+    backup.apply(pendingImport, importMode);
+    cancelImport();
+
+    // Modules that cache stored data pick up the imported values.
+    bindings.reload();
+    refreshBindings();
+    audio.reload();
+    touchPadMode = readTouchPadMode();
+    updateTouchPad();
+    setDataMessage("Import complete.");
+  }
+
+  function volumeRow(label, value, onInput, className) {
+    const row = document.createElement("label");
+    row.className = className ? `volume-row ${className}` : "volume-row";
+
+    const name = document.createElement("span");
+    name.textContent = label;
+
+    const slider = document.createElement("input");
+    slider.type = "range";
+    slider.min = "0";
+    slider.max = "100";
+    slider.step = "5";
+    slider.value = String(Math.round(value * 100));
+
+    const out = document.createElement("output");
+    out.textContent = `${slider.value}%`;
+
+    slider.addEventListener("input", () => {
+      out.textContent = `${slider.value}%`;
+      onInput(Number(slider.value) / 100);
+    });
+
+    row.appendChild(name);
+    row.appendChild(slider);
+    row.appendChild(out);
+    return row;
+  }
+
+  function renderSettings() {
+    settingsMutedEl.checked = audio.isMuteSet();
+    settingsVolumesEl.textContent = "";
+
+    const buses = [
+      { bus: "master", label: "Master" },
+      { bus: "sfx", label: "Effects" },
+      { bus: "music", label: "Music" },
+    ];
+    buses.forEach(({ bus, label }) => {
+      settingsVolumesEl.appendChild(volumeRow(label, audio.getVolume(bus), (v) => audio.setVolume(bus, v)));
+    });
+
+    const heading = document.createElement("div");
+    heading.className = "volume-group";
+    heading.textContent = "Effects per game";
+    settingsVolumesEl.appendChild(heading);
+
+    window.Arcade.list().forEach((game) => {
+      const row = volumeRow(game.title, audio.getGameVolume(game.id), (v) => audio.setGameVolume(game.id, v), "is-game");
+      settingsVolumesEl.appendChild(row);
+    });
+  }
+
+  function openSettings() {
+    renderSettings();
+    openScreen(settingsScreenEl);
+  }
+
+  function openData() {
+    cancelImport();
+    setDataMessage("");
+    openScreen(dataScreenEl);
+  }
+
+  function handleGameOver({ score, details }) {
+    // Called by the running game when a run ends. Qualifying runs are stored right
+    // away under the last used initials, so skipping the prompt doesn't lose them.
+    if (!currentGame) return;
+    const table = currentRun.scoreTable;
+    const saved = scores.submit(table, { score, details });
+
+    lastRecordedRun = recorder ? recorder.finish({ score, details }) : null;
+    recorder = null;
+    if (lastRecordedRun) replays.save(lastRecordedRun);
+    overlayReplayBtn.hidden = !lastRecordedRun;
+
+    overlayExtraEl.hidden = false;
+    scoreResultEl.hidden = true;
+    pendingEntry = saved ? { gameId: table, entryId: saved.entry.id } : null;
+    scoreEntryEl.hidden = !saved;
+    if (!saved) return;
+
+    scoreEntryLabelEl.textContent = `New high score — #${saved.rank + 1}! Your initials:`;
+    scoreInitialsEl.value = saved.entry.initials;
+    scoreInitialsEl.focus();
+    scoreInitialsEl.select();
+  }
+
+  function submitInitials(e) {
+    e.preventDefault();
+    if (!pendingEntry) return;
+    if (!scores.rename(pendingEntry.gameId, pendingEntry.entryId, scoreInitialsEl.value)) {
+      scoreInitialsEl.focus();
+      return;
+    }
+
+    const initials = scores.normalizeInitials(scoreInitialsEl.value);
+    scoreInitialsEl.blur();
+    scoreEntryEl.hidden = true;
+    scoreResultEl.hidden = false;
+    scoreResultEl.textContent = `Saved as ${initials}.`;
+  }
+
+  function handleRunStart({ seed }) {
+    // Every (re)start of the current game begins a new recording.
+    if (!currentGame || !recordingClock) return;
+    recorder = replays.createRecorder({
+      gameId: currentGame.id,
+      seed,
+      params: currentRun.params,
+      scoreTable: currentRun.scoreTable,
+      t0: recordingClock.now(),
+    });
+  }
+
+  function record(kind, ...args) {
+    if (recorder) recorder.event(kind, ...args);
+  }
+
+  function formatClock(ms) {
+    const total = Math.max(0, Math.floor(ms / 1000));
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+  }
+
+  function renderReplayBar({ playing, speed, frame, frames, timeMs, durationMs, done }) {
+    replayPlayBtn.textContent = playing ? "Pause" : done ? "Watch again" : "Play";
+    replaySeekEl.max = String(frames);
+    // Don't fight the player's thumb while they drag.
+    if (document.activeElement !== replaySeekEl) replaySeekEl.value = String(frame);
+    replayTimeEl.textContent = `${formatClock(timeMs)} / ${formatClock(durationMs)}`;
+    [...replaySpeedsEl.children].forEach((btn) => {
+      btn.setAttribute("aria-pressed", String(Number(btn.dataset.speed) === speed));
+    });
+  }
+
+  function watchReplay(run) {
+    const game = run && window.Arcade.get(run.gameId);
+    if (!game) return;
+
+    releaseHeldActions();
+    stopReplay();
+    suspendRun();
+    if (current?.stop) current.stop();
+    hideGameOverExtras();
+    closeScreen();
     hideMenu();
-    titleEl.textContent = "Breakout";
-    livesEl.textContent = "3";
+    touchPad.hide();
+
+    current = window.Arcade.getModule(game.id);
+    currentGame = game;
+    currentRun = null;
+    recorder = null;
+    refreshBindings();
+
+    titleEl.textContent = `${game.title} · Replay`;
     setHelp([
-      "<strong>Move</strong>: Left/Right (or A/D)",
-      "<strong>Launch</strong>: Space",
-      "<strong>Pause</strong>: P",
-      "<strong>Mute</strong>: M",
-      "<strong>Restart</strong>: R",
-      "<strong>Menu</strong>: Esc",
+      "<strong>Play/pause</strong>: Space",
+      "<strong>Skip</strong>: ← / →",
+      helpLine("Leave replay", globalBound.menu),
     ]);
 
-    current = window.BreakoutGame;
-    current.start({ ...commonStartArgs(), livesEl });
-    if (current.setMuted) current.setMuted(muted);
+    const args = commonStartArgs();
+    args.params = run.params || {};
+    args.scoreTable = run.scoreTable;
+    args.events = replayEvents;
+
+    replayBarEl.hidden = false;
+    replay = {
+      run,
+      player: replays.createPlayer({
+        run,
+        module: current,
+        startArgs: args,
+        // Fast-forwarding would fire every sound of the skipped stretch at once.
+        onSeekStart: () => audio.setSilenced(true),
+        onSeekEnd: () => audio.setSilenced(false),
+        onProgress: renderReplayBar,
+      }),
+    };
+    replay.player.play();
   }
 
-  btnSnake.addEventListener("click", () => startSnake());
-  btnPacman.addEventListener("click", () => startPacman());
-  btnTetris.addEventListener("click", () => startTetris());
-  btnBreakout.addEventListener("click", () => startBreakout());
+  function stopReplay() {
+    if (!replay) return;
+    replay.player.stop();
+    replay = null;
+    replayBarEl.hidden = true;
+    audio.setSilenced(false);
+  }
 
-  window.addEventListener("keydown", (e) => {
-    const key = e.key.toLowerCase();
+  function skipReplay(seconds) {
+    // Frames are roughly 60 per second; exact enough for skipping around.
+    replay.player.seek(Number(replaySeekEl.value) + seconds * 60);
+  }
 
-    if (key === "escape") {
+  function renderReplays() {
+    const games = window.Arcade.list();
+    if (!replaysScope || !window.Arcade.get(replaysScope)) replaysScope = games[0]?.id || null;
+
+    replaysTabsEl.textContent = "";
+    games.forEach((game) => {
+      const tab = document.createElement("button");
+      tab.type = "button";
+      tab.className = "tab";
+      tab.textContent = game.title;
+      tab.setAttribute("aria-pressed", String(game.id === replaysScope));
+      tab.addEventListener("click", () => {
+        replaysScope = game.id;
+        renderReplays();
+      });
+      replaysTabsEl.appendChild(tab);
+    });
+
+    replaysListEl.textContent = "";
+    if (!replaysScope) return;
+    const runs = replays.list(replaysScope);
+    if (!runs.length) {
+      replaysListEl.textContent = "No runs recorded yet. Finish a game to record one.";
+      return;
+    }
+
+    runs.forEach((run) => {
+      const row = document.createElement("div");
+      row.className = "replay-row";
+
+      const info = document.createElement("span");
+      const daily = run.params?.mode === "daily" ? " · Daily" : "";
+      info.textContent = `${formatDate(run.date)} · ${run.score} pts · ${formatClock(run.durationMs)}${daily}`;
+
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "btn btn-small";
+      btn.textContent = "Watch";
+      btn.addEventListener("click", () => watchReplay(run));
+
+      row.appendChild(info);
+      row.appendChild(btn);
+      replaysListEl.appendChild(row);
+    });
+  }
+
+  function openReplays() {
+    renderReplays();
+    openScreen(replaysScreenEl);
+  }
+
+  function hideGameOverExtras() {
+    if (document.activeElement === scoreInitialsEl) scoreInitialsEl.blur();
+    overlayExtraEl.hidden = true;
+    scoreEntryEl.hidden = true;
+    scoreResultEl.hidden = true;
+    pendingEntry = null;
+  }
+
+  function parseRoute(hash) {
+    // "#/tetris?mode=daily&seed=7" -> { id: "tetris", params: { mode: "daily", seed: "7" } }
+    const raw = (hash || "").replace(/^#/, "");
+    const qIndex = raw.indexOf("?");
+    const path = qIndex === -1 ? raw : raw.slice(0, qIndex);
+    const query = qIndex === -1 ? "" : raw.slice(qIndex + 1);
+
+    const id = path.replace(/^\/+|\/+$/g, "");
+    const params = {};
+    new URLSearchParams(query).forEach((value, key) => {
+      params[key] = value;
+    });
+
+    return { id, params };
+  }
+
+  function formatRoute({ id, params }) {
+    const query = new URLSearchParams(params || {}).toString();
+    return `#/${id || ""}${query ? `?${query}` : ""}`;
+  }
+
+  function applyRoute() {
+    const route = parseRoute(window.location.hash);
+
+    if (route.id && !window.Arcade.get(route.id)) {
+      // Unknown game: fall back to the menu without leaving a broken entry behind.
+      navigate("/", { replace: true });
+      return;
+    }
+
+    const key = formatRoute(route);
+    if (key === currentRoute) return;
+    currentRoute = key;
+
+    if (route.id) startGame(route.id, route.params);
+    else showMenu();
+  }
+
+  function navigate(path, { replace = false } = {}) {
+    const target = formatRoute(parseRoute(path));
+    if (replace) {
+      window.history.replaceState(window.history.state, "", target);
+    } else {
+      // Remember that this entry was pushed by us, so Esc can pop it instead of
+      // stacking another menu entry on top.
+      window.history.pushState({ arcade: true }, "", target);
+    }
+    applyRoute();
+  }
+
+  function goToMenu() {
+    if (!parseRoute(window.location.hash).id) {
+      showMenu();
+      return;
+    }
+
+    if (window.history.state?.arcade) {
+      // Same as pressing the browser Back button; popstate brings up the menu.
+      window.history.back();
+      return;
+    }
+
+    // Deep-linked straight into a game: there is no menu entry to go back to.
+    navigate("/", { replace: true });
+  }
+
+  // Actions that should fire once per physical press, not on key auto-repeat.
+  const NO_REPEAT_ACTIONS = new Set(["menu", "mute", "fullscreen", "pause", "restart"]);
+
+  // Game actions currently held down, so a release can be sent when the game
+  // changes or the window loses focus (otherwise e.g. the Breakout paddle keeps moving).
+  const heldActions = new Map();
+
+  function handleGlobalAction(action) {
+    if (action === "menu") {
       // Always allow escaping back to the menu, regardless of current game.
+      if (openScreenEl) {
+        leaveScreen();
+        return;
+      }
+      goToMenu();
+      return;
+    }
+
+    if (action === "mute") {
+      // Mute lives in the shared mixer, so it covers every game and survives reloads.
+      audio.toggleMuted();
+      settingsMutedEl.checked = audio.isMuteSet();
+      return;
+    }
+
+    if (action === "fullscreen") fullscreen.toggle();
+  }
+
+  function autoPause() {
+    // Hidden tab or lost focus: pause the running game so nothing advances while
+    // the player is away. Resuming is left to them.
+    if (replay) {
+      replay.player.pause();
+      return;
+    }
+    if (!current?.pause) return;
+    record("z");
+    current.pause();
+  }
+
+  function sendGameAction(action, pressed) {
+    if (!current?.handleAction || replay) return;
+    // A screen opened over the game (e.g. High scores after a game over) takes input.
+    if (openScreenEl && pressed) return;
+    // Restarting leaves the finished run behind, prompt included.
+    if (action === "restart" && pressed) hideGameOverExtras();
+    record("a", action, pressed ? 1 : 0);
+    current.handleAction(action, pressed);
+  }
+
+  function releaseHeldActions() {
+    const actions = [...heldActions.values()];
+    heldActions.clear();
+    for (let i = 0; i < actions.length; i += 1) sendGameAction(actions[i], false);
+  }
+
+  function isTypingTarget(el) {
+    if (!el) return false;
+    // Sliders and checkboxes take arrows/Space themselves but leave shortcuts alone.
+    if (el.tagName === "INPUT") return !["range", "checkbox"].includes(el.type);
+    return el.tagName === "TEXTAREA" || Boolean(el.isContentEditable);
+  }
+
+  function onKeyDown(e) {
+    // Leave browser shortcuts (Ctrl+R, Cmd+W, ...) alone.
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    // Typing initials must not steer the game; Esc just leaves the field.
+    if (isTypingTarget(e.target)) {
+      if (bindings.normalizeKey(e.key) === "escape") e.target.blur();
+      return;
+    }
+
+    if (capture) {
+      handleCaptureKey(e);
+      return;
+    }
+
+    const key = bindings.normalizeKey(e.key);
+
+    // In fullscreen, Esc is the browser's way out and nothing more: the run carries
+    // on in the window rather than going back to the menu as well.
+    if (key === "escape" && fullscreen.handleEscape()) {
       e.preventDefault();
-      showMenu();
       return;
     }
 
-    if (key === "m") {
-      // Global mute toggle forwarded to the current game.
-      muted = !muted;
-      if (current?.setMuted) current.setMuted(muted);
+    const globalAction = bindings.findAction(globalBound, key);
+    if (globalAction) {
+      e.preventDefault();
+      if (e.repeat && NO_REPEAT_ACTIONS.has(globalAction)) return;
+      handleGlobalAction(globalAction);
+      return;
+    }
+
+    if (replay) {
+      handleReplayKey(e, key);
+      return;
+    }
+
+    if (!currentGame) return;
+    const action = bindings.findAction(gameBound, key);
+    if (!action) return;
+
+    e.preventDefault();
+    if (e.repeat && NO_REPEAT_ACTIONS.has(action)) return;
+    heldActions.set(key, action);
+    sendGameAction(action, true);
+  }
+
+  function handleReplayKey(e, key) {
+    // While watching, the keyboard drives the player instead of the game.
+    if (e.target instanceof HTMLButtonElement && (key === " " || key === "enter")) return;
+    if (key === " ") replay.player.toggle();
+    else if (key === "arrowleft") skipReplay(-5);
+    else if (key === "arrowright") skipReplay(5);
+    else return;
+    e.preventDefault();
+  }
+
+  function onKeyUp(e) {
+    const key = bindings.normalizeKey(e.key);
+    const action = heldActions.get(key);
+    if (!action) return;
+    heldActions.delete(key);
+    sendGameAction(action, false);
+  }
+
+  function moveMenuFocus(step) {
+    // Lets a pad-only player pick something on the menu screens.
+    const screen = openScreenEl || menuEl;
+    const buttons = [...screen.querySelectorAll("button:not([disabled]), input:not([disabled]):not([type=file])")];
+    if (!buttons.length) return;
+    const index = buttons.indexOf(document.activeElement);
+    const next = index === -1 ? 0 : (index + step + buttons.length) % buttons.length;
+    buttons[next].focus();
+  }
+
+  function onPadButton(button, pressed, { pad, repeat }) {
+    const { BUTTONS } = window.ArcadeGamepad;
+    const heldKey = `pad${pad}:${button}`;
+
+    if (!pressed) {
+      const action = heldActions.get(heldKey);
+      if (!action) return;
+      heldActions.delete(heldKey);
+      sendGameAction(action, false);
+      return;
+    }
+
+    noteActivity();
+    if (capture) return;
+
+    const globalAction = window.ArcadeGamepad.findAction(GLOBAL_CONTROLS, button);
+    if (globalAction) {
+      if (repeat && NO_REPEAT_ACTIONS.has(globalAction)) return;
+      handleGlobalAction(globalAction);
+      return;
+    }
+
+    if (!currentGame) {
+      const focused = document.activeElement;
+      if (focused?.type === "range" && (button === BUTTONS.left || button === BUTTONS.right)) {
+        // Left/right adjust a focused volume slider instead of moving focus.
+        if (button === BUTTONS.left) focused.stepDown();
+        else focused.stepUp();
+        focused.dispatchEvent(new Event("input", { bubbles: true }));
+      } else if (button === BUTTONS.up || button === BUTTONS.left) moveMenuFocus(-1);
+      else if (button === BUTTONS.down || button === BUTTONS.right) moveMenuFocus(1);
+      else if (!repeat && (button === BUTTONS.a || button === BUTTONS.start)) {
+        if (focused?.tagName === "BUTTON" || focused?.type === "checkbox") focused.click();
+      }
       return;
     }
+
+    const action = window.ArcadeGamepad.findAction(currentGame.controls, button);
+    if (!action) return;
+    if (repeat && NO_REPEAT_ACTIONS.has(action)) return;
+    heldActions.set(heldKey, action);
+    sendGameAction(action, true);
+  }
+
+  function updatePadStatus({ active }) {
+    padStatusEl.hidden = !active;
+    if (!active) return;
+    padStatusEl.textContent = `🎮 ${window.ArcadeGamepad.padLabel(active)}`;
+    padStatusEl.title = active.id;
+  }
+
+  const gamepad = window.ArcadeGamepad.create({
+    getGamepads: () => (navigator.getGamepads ? navigator.getGamepads() : []),
+    onButton: onPadButton,
+    onStatus: updatePadStatus,
   });
 
-  showMenu();
+  function wantsTouchPad() {
+    if (touchPadMode === "on") return true;
+    if (touchPadMode === "off") return false;
+    return Boolean(window.matchMedia?.("(pointer: coarse)").matches);
+  }
+
+  function updateTouchPad() {
+    const labels = { auto: "Auto", on: "On", off: "Off" };
+    btnTouchPad.textContent = `On-screen pad: ${labels[touchPadMode]}`;
+
+    if (!currentGame?.touch || replay || !wantsTouchPad()) {
+      touchPad.hide();
+      return;
+    }
+    touchPad.show(currentGame.touch, currentGame.controls, [
+      { label: GLOBAL_CONTROLS.menu.label, onPress: goToMenu },
+    ]);
+  }
+
+  function readTouchPadMode() {
+    const mode = storage.get(TOUCH_PAD_KEY);
+    return TOUCH_PAD_MODES.includes(mode) ? mode : "auto";
+  }
+
+  function cycleTouchPadMode() {
+    const index = TOUCH_PAD_MODES.indexOf(touchPadMode);
+    touchPadMode = TOUCH_PAD_MODES[(index + 1) % TOUCH_PAD_MODES.length];
+    storage.set(TOUCH_PAD_KEY, touchPadMode);
+    updateTouchPad();
+  }
+
+  const touchInput = window.ArcadeTouch.create({
+    element: canvas,
+    getConfig: () => currentGame?.touch || null,
+    onAction: sendGameAction,
+    onPointer: (e) => {
+      if (!current?.handlePointer || replay) return;
+      record("p", e.type, e.x, e.y);
+      current.handlePointer(e);
+    },
+  });
+
+  const touchPad = window.ArcadeTouch.createPad({
+    container: touchPadEl,
+    onAction: sendGameAction,
+  });
+
+  function hudStripItems() {
+    // The HUD as the fullscreen strip shows it; games without lives leave them out.
+    const items = [
+      ["Score", scoreEl.textContent],
+      ["Best", bestEl.textContent],
+    ];
+    if (livesEl.textContent !== "-") items.push(["Lives", livesEl.textContent]);
+    return items;
+  }
+
+  function updateFullscreenButton() {
+    btnFullscreen.hidden = !fullscreen.isSupported();
+    btnFullscreen.textContent = fullscreen.isActive() ? "Exit fullscreen" : "Fullscreen";
+  }
+
+  const fullscreen = window.ArcadeFullscreen.create({
+    element: gameEl,
+    canvas,
+    hudItems: hudStripItems,
+    onChange: updateFullscreenButton,
+  });
+
+  const attract = window.ArcadeAttract.create({
+    startArgs: demoStartArgs,
+    onChange: showDemo,
+  });
+
+  events.on("score", updateHud);
+  replayEvents.on("score", updateHud);
+  achievements.watch({
+    events,
+    onUnlock: (a) => showToast("Achievement unlocked", `${a.title} — ${a.description}`),
+  });
+  stats.watch({ events });
+
+  btnControls.addEventListener("click", openControls);
+  btnTouchPad.addEventListener("click", cycleTouchPadMode);
+  btnFullscreen.addEventListener("click", () => fullscreen.toggle());
+  controlsBackBtn.addEventListener("click", leaveScreen);
+  btnScores.addEventListener("click", () => openScores());
+  scoresBackBtn.addEventListener("click", leaveScreen);
+  btnAchievements.addEventListener("click", openAchievements);
+  achievementsBackBtn.addEventListener("click", leaveScreen);
+  btnStats.addEventListener("click", openStats);
+  statsExportBtn.addEventListener("click", exportStats);
+  statsBackBtn.addEventListener("click", leaveScreen);
+  overlayScoresBtn.addEventListener("click", () => openScores(currentGame?.id));
+  scoreEntryEl.addEventListener("submit", submitInitials);
+  btnData.addEventListener("click", openData);
+  btnSettings.addEventListener("click", openSettings);
+  btnDaily.addEventListener("click", openDaily);
+  btnReplays.addEventListener("click", openReplays);
+  replaysBackBtn.addEventListener("click", leaveScreen);
+  overlayReplayBtn.addEventListener("click", () => watchReplay(lastRecordedRun));
+  replayPlayBtn.addEventListener("click", () => replay?.player.toggle());
+  replayExitBtn.addEventListener("click", goToMenu);
+  replaySeekEl.addEventListener("input", () => {
+    if (replay) replay.player.pause();
+  });
+  replaySeekEl.addEventListener("change", () => {
+    if (!replay) return;
+    replay.player.seek(Number(replaySeekEl.value));
+    replaySeekEl.blur();
+  });
+  replays.SPEEDS.forEach((speed) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "tab";
+    btn.dataset.speed = String(speed);
+    btn.textContent = `${speed}x`;
+    btn.addEventListener("click", () => replay?.player.setSpeed(speed));
+    replaySpeedsEl.appendChild(btn);
+  });
+  dailyBackBtn.addEventListener("click", leaveScreen);
+  settingsBackBtn.addEventListener("click", leaveScreen);
+  settingsMutedEl.addEventListener("change", () => audio.setMuted(settingsMutedEl.checked));
+  dataBackBtn.addEventListener("click", leaveScreen);
+  dataExportBtn.addEventListener("click", exportBackup);
+  dataImportBtn.addEventListener("click", () => dataFileEl.click());
+  dataFileEl.addEventListener("change", readImportFile);
+  dataModeMergeBtn.addEventListener("click", () => {
+    importMode = "merge";
+    renderImportPreview();
+  });
+  dataModeReplaceBtn.addEventListener("click", () => {
+    importMode = "replace";
+    renderImportPreview();
+  });
+  dataApplyBtn.addEventListener("click", applyImport);
+  dataCancelBtn.addEventListener("click", () => {
+    cancelImport();
+    setDataMessage("");
+  });
+  controlsResetBtn.addEventListener("click", () => {
+    bindings.resetScope(controlsScope);
+    capture = null;
+    setControlsMessage(`${scopeTitle(controlsScope)} controls reset to defaults.`);
+    refreshBindings();
+    renderControls();
+  });
+
+  // Capture phase: a demo ends before the input does anything else.
+  ["keydown", "pointerdown", "pointermove", "wheel", "touchstart"].forEach((type) => {
+    window.addEventListener(type, noteActivity, { capture: true, passive: true });
+  });
+  window.addEventListener("keydown", onKeyDown);
+  window.addEventListener("keyup", onKeyUp);
+  window.addEventListener("blur", () => {
+    releaseHeldActions();
+    autoPause();
+  });
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) autoPause();
+  });
+  gamepad.attach();
+  touchInput.attach();
+  // Sharp at any size: the canvas's pixels follow its size on screen.
+  window.ArcadeView.attach(canvas);
+  fullscreen.attach();
+  updateFullscreenButton();
+
+  // Back/forward and manual URL edits. Both events can fire for one navigation;
+  // applyRoute() ignores the repeat.
+  window.addEventListener("popstate", applyRoute);
+  window.addEventListener("hashchange", applyRoute);
+
+  // Leaving the page keeps the run in progress too; reloading (or reopening the
+  // same game link) picks it back up.
+  window.addEventListener("beforeunload", suspendRun);
+
+  buildMenu();
+  updateTouchPad();
+  resumeId = parseRoute(window.location.hash).id || null;
+  applyRoute();
 })();
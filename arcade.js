@@ -0,0 +1,96 @@
+(() => {
+  function createArcade() {
+    // Game registry shared by the game modules and app.js.
+    // Each game script calls Arcade.register(...) with a descriptor when it loads:
+    // - id: route/storage friendly name ("snake")
+    // - title/subtitle: shown on the menu button and in the HUD
+    // - hasLives: whether the HUD lives counter is driven by the game
+    // - controls: named actions with a label and default keys
+    //   ({ left: { label: "Move left", keys: ["arrowleft", "a"] } }); app.js
+    //   applies the user's bindings on top and builds the help panel from them.
+    //   `buttons` lists standard-mapping gamepad buttons for the action (gamepad.js:
+    //   0 A, 1 B, 2 X, 3 Y, 8 Select, 9 Start, 12-15 D-pad up/down/left/right).
+    // - scoreDetails: extra high-score columns ([{ key: "lines", label: "Lines" }]),
+    //   read from the `details` a game reports when a run ends
+    // - touch: optional gesture/on-screen pad config for touch.js
+    // - logic: optional pure rule functions (no DOM, no state), for the test suite
+    // - autopilot: optional demo player for attract mode (attract.js), a factory
+    //   returning think(state, time) -> actions to hold down
+    // - create(): factory returning the module ({ start, stop, ... })
+    // app.js only talks to games through this registry.
+    const games = [];
+    const byId = new Map();
+    const modules = new Map();
+
+    function normalizeControls(controls) {
+      const out = {};
+      const actions = Object.keys(controls || {});
+      for (let i = 0; i < actions.length; i += 1) {
+        const action = actions[i];
+        const { label, keys, buttons } = controls[action] || {};
+        out[action] = {
+          label: label || action,
+          keys: Array.isArray(keys) ? keys.slice() : [],
+          buttons: Array.isArray(buttons) ? buttons.slice() : [],
+        };
+      }
+      return out;
+    }
+
+    function register(descriptor) {
+      const { id, title, create } = descriptor || {};
+      if (!id || typeof id !== "string") {
+        throw new Error("Arcade.register: descriptor.id is required");
+      }
+      if (typeof create !== "function") {
+        throw new Error(`Arcade.register: "${id}" needs a create() factory`);
+      }
+      if (byId.has(id)) {
+        throw new Error(`Arcade.register: "${id}" is already registered`);
+      }
+
+      const entry = {
+        id,
+        title: title || id,
+        subtitle: descriptor.subtitle || "",
+        hasLives: Boolean(descriptor.hasLives),
+        controls: normalizeControls(descriptor.controls),
+        scoreDetails: Array.isArray(descriptor.scoreDetails) ? descriptor.scoreDetails.slice() : [],
+        touch: descriptor.touch || null,
+        logic: descriptor.logic || null,
+        autopilot: typeof descriptor.autopilot === "function" ? descriptor.autopilot : null,
+        create,
+      };
+
+      games.push(entry);
+      byId.set(id, entry);
+      return entry;
+    }
+
+    function get(id) {
+      return byId.get(id) || null;
+    }
+
+    function list() {
+      return games.slice();
+    }
+
+    function getModule(id) {
+      // Modules are created lazily and reused, so a game keeps its closure state
+      // (e.g. its audio context) across menu round-trips like before.
+      const entry = byId.get(id);
+      if (!entry) return null;
+      if (!modules.has(id)) modules.set(id, entry.create());
+      return modules.get(id);
+    }
+
+    return {
+      register,
+      get,
+      list,
+      getModule,
+    };
+  }
+
+  window.Arcade = createArcade();
+})();
@@ -0,0 +1,127 @@
+(() => {
+  function createAttractMode() {
+    // Attract mode: when the menu sits idle, the games play themselves behind it, in
+    // turn, like an arcade cabinet's demo loop.
+    // A game takes part by registering an `autopilot` (see arcade.js): a factory for
+    // think(state, time), which looks at the game's live state (getState()) and returns
+    // the actions to hold down right now. createPilot() turns those answers into
+    // handleAction() presses and releases, once per frame.
+    const IDLE_MS = 20000;
+    // Each demo lasts this long, or until its run ends, before the next game's turn.
+    const DEMO_MS = 30000;
+    // How long a finished demo run stays up (its game-over screen) before moving on.
+    const GAME_OVER_MS = 2500;
+
+    function createPilot(entry, module) {
+      const think = entry.autopilot();
+      let held = new Set();
+
+      function steer(time) {
+        const state = module.getState();
+        const wanted = new Set(state ? think(state, time) : []);
+        held.forEach((action) => {
+          if (!wanted.has(action)) module.handleAction(action, false);
+        });
+        wanted.forEach((action) => {
+          if (!held.has(action)) module.handleAction(action, true);
+        });
+        held = wanted;
+      }
+
+      function release() {
+        held.forEach((action) => module.handleAction(action, false));
+        held = new Set();
+      }
+
+      return {
+        steer,
+        release,
+      };
+    }
+
+    function create({ startArgs, onChange = () => {} }) {
+      // The idle countdown and the demo rotation, for app.js:
+      // - startArgs(entry): start(...) args for a demo run (canvas, overlay stand-ins,
+      //   a private event bus)
+      // - onChange(entry | null): a demo began, or demos are over, so the shell can
+      //   dim the menu and mute the games
+      let idleTimer = null;
+      let turnTimer = null;
+      let turn = 0;
+      // Demo on screen: { entry, module, pilot }.
+      let demo = null;
+
+      function arm() {
+        // (Re)starts the idle countdown.
+        window.clearTimeout(idleTimer);
+        idleTimer = window.setTimeout(playNext, IDLE_MS);
+      }
+
+      function playNext() {
+        idleTimer = null;
+        const games = window.Arcade.list().filter((g) => g.autopilot);
+        endDemo();
+        if (!games.length) return;
+        const entry = games[turn % games.length];
+        turn += 1;
+
+        const module = window.Arcade.getModule(entry.id);
+        const pilot = createPilot(entry, module);
+        const args = startArgs(entry);
+        args.clock = {
+          requestFrame: (cb) =>
+            requestAnimationFrame((ts) => {
+              pilot.steer(ts);
+              cb(ts);
+            }),
+          cancelFrame: (id) => cancelAnimationFrame(id),
+        };
+        args.onGameOver = () => scheduleNext(GAME_OVER_MS);
+
+        demo = { entry, module, pilot };
+        onChange(entry);
+        module.start(args);
+        scheduleNext(DEMO_MS);
+      }
+
+      function scheduleNext(ms) {
+        window.clearTimeout(turnTimer);
+        turnTimer = window.setTimeout(playNext, ms);
+      }
+
+      function endDemo() {
+        window.clearTimeout(turnTimer);
+        turnTimer = null;
+        if (!demo) return;
+        demo.pilot.release();
+        demo.module.stop();
+        demo = null;
+      }
+
+      function stop() {
+        // Ends any demo and the countdown. True when a demo was on screen.
+        window.clearTimeout(idleTimer);
+        idleTimer = null;
+        const wasPlaying = Boolean(demo);
+        endDemo();
+        if (wasPlaying) onChange(null);
+        return wasPlaying;
+      }
+
+      return {
+        arm,
+        stop,
+        isPlaying: () => Boolean(demo),
+      };
+    }
+
+    return {
+      IDLE_MS,
+      DEMO_MS,
+      createPilot,
+      create,
+    };
+  }
+
+  window.ArcadeAttract = createAttractMode();
+})();
@@ -0,0 +1,175 @@
+(() => {
+  function createAudio() {
+    // Shared audio mixer. One AudioContext for the whole arcade, created on the first
+    // sound (browsers only allow it after a user gesture) and kept across games:
+    //
+    //   game channel (per game SFX volume) ─┐
+    //                                       ├─ sfx bus ─┐
+    //   game channel ... ───────────────────┘           ├─ master ─ destination
+    //                                       music bus ──┘
+    //
+    // Games get their channel with output(gameId) and connect their voices to it.
+    // Volumes (0..1) and mute are persisted under "settings:audio".
+    const STORAGE_KEY = "settings:audio";
+    const storage = window.ArcadeStorage;
+
+    const DEFAULTS = {
+      muted: false,
+      master: 0.6,
+      sfx: 1,
+      music: 0.7,
+      games: {},
+    };
+
+    const settings = load();
+    // Temporary silence that isn't saved, e.g. while a replay fast-forwards.
+    let silenced = false;
+    let ctx = null;
+    let buses = null;
+    const channels = new Map();
+
+    function clampVolume(value) {
+      const v = Number(value);
+      return Number.isFinite(v) ? Math.min(1, Math.max(0, v)) : 1;
+    }
+
+    function load() {
+      const stored = storage.get(STORAGE_KEY, {});
+      const s = stored && typeof stored === "object" ? stored : {};
+      return {
+        muted: Boolean(s.muted),
+        master: "master" in s ? clampVolume(s.master) : DEFAULTS.master,
+        sfx: "sfx" in s ? clampVolume(s.sfx) : DEFAULTS.sfx,
+        music: "music" in s ? clampVolume(s.music) : DEFAULTS.music,
+        games: s.games && typeof s.games === "object" ? { ...s.games } : {},
+      };
+    }
+
+    function save() {
+      storage.set(STORAGE_KEY, settings);
+    }
+
+    function ensure() {
+      // Returns the context, or null where Web Audio is unavailable.
+      if (ctx) return ctx;
+      const AudioCtx = window.AudioContext || window.webkitAudioContext;
+      if (!AudioCtx) return null;
+      try {
+        ctx = new AudioCtx();
+        const master = ctx.createGain();
+        const sfx = ctx.createGain();
+        const music = ctx.createGain();
+        sfx.connect(master);
+        music.connect(master);
+        master.connect(ctx.destination);
+        buses = { master, sfx, music };
+        applyGains();
+        return ctx;
+      } catch {
+        ctx = null;
+        return null;
+      }
+    }
+
+    function resume() {
+      if (ctx && ctx.state === "suspended") ctx.resume().catch(() => {});
+    }
+
+    function applyGains() {
+      if (!buses) return;
+      buses.master.gain.value = settings.muted || silenced ? 0 : settings.master;
+      buses.sfx.gain.value = settings.sfx;
+      buses.music.gain.value = settings.music;
+      channels.forEach((node, gameId) => {
+        node.gain.value = getGameVolume(gameId);
+      });
+    }
+
+    function output(gameId) {
+      // The node a game's sound effects connect to; null until ensure() succeeded.
+      if (!ensure()) return null;
+      if (!channels.has(gameId)) {
+        const node = ctx.createGain();
+        node.gain.value = getGameVolume(gameId);
+        node.connect(buses.sfx);
+        channels.set(gameId, node);
+      }
+      return channels.get(gameId);
+    }
+
+    function musicOutput() {
+      return ensure() ? buses.music : null;
+    }
+
+    function isMuted() {
+      return settings.muted || silenced;
+    }
+
+    function setSilenced(on) {
+      silenced = Boolean(on);
+      applyGains();
+    }
+
+    function setMuted(muted) {
+      settings.muted = Boolean(muted);
+      save();
+      applyGains();
+    }
+
+    function toggleMuted() {
+      setMuted(!settings.muted);
+      return settings.muted;
+    }
+
+    function isMuteSet() {
+      // The saved preference alone, for the Sound screen checkbox.
+      return settings.muted;
+    }
+
+    function getVolume(bus) {
+      return settings[bus];
+    }
+
+    function setVolume(bus, value) {
+      if (!["master", "sfx", "music"].includes(bus)) return;
+      settings[bus] = clampVolume(value);
+      save();
+      applyGains();
+    }
+
+    function getGameVolume(gameId) {
+      return gameId in settings.games ? clampVolume(settings.games[gameId]) : 1;
+    }
+
+    function setGameVolume(gameId, value) {
+      settings.games[gameId] = clampVolume(value);
+      save();
+      applyGains();
+    }
+
+    function reload() {
+      // Re-read settings after the stored data changed underneath (backup import).
+      Object.assign(settings, load());
+      applyGains();
+    }
+
+    return {
+      ensure,
+      resume,
+      output,
+      musicOutput,
+      isMuted,
+      isMuteSet,
+      setMuted,
+      toggleMuted,
+      setSilenced,
+      getVolume,
+      setVolume,
+      getGameVolume,
+      setGameVolume,
+      reload,
+    };
+  }
+
+  window.ArcadeAudio = createAudio();
+})();
@@ -0,0 +1,207 @@
+(() => {
+  function createBackup() {
+    // Export/import of everything in ArcadeStorage as one JSON file:
+    //   { format: "arcade-backup", schema: 1, exportedAt, checksum, data: { key: value } }
+    // `schema` is the storage version the data was written with and `checksum` an
+    // FNV-1a hash of the canonical `data`, so damaged or hand-edited files are refused.
+    // Importing either merges (score tables combined, best runs kept; achievement
+    // progress and run histories combined; local settings win) or replaces all stored
+    // data with the file's.
+    const FORMAT = "arcade-backup";
+    const storage = window.ArcadeStorage;
+    const scores = window.ArcadeScores;
+    const achievements = window.ArcadeAchievements;
+    const stats = window.ArcadeStats;
+
+    const SETTING_LABELS = {
+      "settings:bindings": "Key bindings",
+      "settings:initials": "Last used initials",
+      "settings:touchPad": "On-screen pad",
+      "settings:audio": "Sound settings",
+    };
+
+    function canonical(value) {
+      // JSON with sorted object keys, so the checksum doesn't depend on key order.
+      if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+      if (value && typeof value === "object") {
+        const keys = Object.keys(value).sort();
+        return `{${keys.map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`).join(",")}}`;
+      }
+      return JSON.stringify(value);
+    }
+
+    function checksum(data) {
+      const text = canonical(data);
+      let hash = 0x811c9dc5;
+      for (let i = 0; i < text.length; i += 1) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+      }
+      return hash.toString(16).padStart(8, "0");
+    }
+
+    function snapshot() {
+      const data = {};
+      storage.keys().forEach((key) => {
+        data[key] = storage.get(key);
+      });
+      return data;
+    }
+
+    function createExport() {
+      const data = snapshot();
+      return {
+        format: FORMAT,
+        schema: storage.VERSION,
+        exportedAt: new Date().toISOString(),
+        checksum: checksum(data),
+        data,
+      };
+    }
+
+    function exportText() {
+      return JSON.stringify(createExport(), null, 2);
+    }
+
+    function isScoreKey(key) {
+      return key.startsWith("scores:");
+    }
+
+    function validateData(data) {
+      const keys = Object.keys(data);
+      for (let i = 0; i < keys.length; i += 1) {
+        const key = keys[i];
+        const value = data[key];
+        if (!isScoreKey(key)) continue;
+        const ok = Array.isArray(value) && value.every((e) => e && typeof e.id === "string" && Number.isFinite(e.score));
+        if (!ok) return `The high-score table "${key.slice(7)}" is malformed.`;
+      }
+      return null;
+    }
+
+    function parse(text) {
+      // Returns { ok: true, backup } or { ok: false, error } with a message for the player.
+      let parsed;
+      try {
+        parsed = JSON.parse(text);
+      } catch {
+        return { ok: false, error: "This file isn't valid JSON." };
+      }
+
+      if (!parsed || parsed.format !== FORMAT || !parsed.data || typeof parsed.data !== "object") {
+        return { ok: false, error: "This isn't an arcade backup file." };
+      }
+      if (!Number.isInteger(parsed.schema) || parsed.schema < 1) {
+        return { ok: false, error: "The backup has no valid schema version." };
+      }
+      if (parsed.schema > storage.VERSION) {
+        return { ok: false, error: `The backup was made by a newer version (schema ${parsed.schema}).` };
+      }
+      if (parsed.checksum !== checksum(parsed.data)) {
+        return { ok: false, error: "Checksum mismatch: the file is damaged or was edited." };
+      }
+
+      const error = validateData(parsed.data);
+      if (error) return { ok: false, error };
+      return { ok: true, backup: parsed };
+    }
+
+    function describeKey(key) {
+      if (isScoreKey(key)) {
+        // "scores:tetris" or "scores:tetris:daily:2026-10-19"
+        const [id, kind, date] = key.slice(7).split(":");
+        const game = window.Arcade.get(id);
+        const title = game ? game.title : id;
+        return kind === "daily" ? `${title} Daily Challenge ${date}` : `${title} high scores`;
+      }
+      if (key.startsWith("replays:")) {
+        const game = window.Arcade.get(key.slice(8));
+        return `${game ? game.title : key.slice(8)} replays`;
+      }
+      if (key === achievements.STORAGE_KEY) return "Achievements";
+      if (key === stats.STORAGE_KEY) return "Run history (Stats)";
+      if (key.startsWith("saves:")) {
+        const game = window.Arcade.get(key.slice(6));
+        return `${game ? game.title : key.slice(6)} run in progress`;
+      }
+      return SETTING_LABELS[key] || key;
+    }
+
+    function bestOf(entries) {
+      return entries && entries.length ? entries[0].score : 0;
+    }
+
+    function resolve(backup, mode) {
+      // The stored data an import would produce: { key: value }, null meaning "remove".
+      const incoming = backup.data;
+      const result = {};
+      const keys = new Set([...storage.keys(), ...Object.keys(incoming)]);
+
+      keys.forEach((key) => {
+        const local = storage.get(key);
+        const has = Object.prototype.hasOwnProperty.call(incoming, key);
+        if (mode === "replace" && !has) {
+          result[key] = null;
+        } else if (mode === "replace") {
+          // Score tables still go through combine() so they come back sorted and capped.
+          result[key] = isScoreKey(key) ? scores.combine(incoming[key], []) : incoming[key];
+        } else if (isScoreKey(key)) {
+          result[key] = scores.combine(local, has ? incoming[key] : []);
+        } else if (key === achievements.STORAGE_KEY) {
+          result[key] = achievements.combine(local, has ? incoming[key] : {});
+        } else if (key === stats.STORAGE_KEY) {
+          result[key] = stats.combine(local, has ? incoming[key] : []);
+        } else {
+          result[key] = local != null ? local : incoming[key];
+        }
+      });
+      return result;
+    }
+
+    function preview(backup, mode) {
+      // One line per stored item that would change: [{ key, label, text }].
+      const next = resolve(backup, mode);
+      const lines = [];
+      Object.keys(next)
+        .sort()
+        .forEach((key) => {
+          const before = storage.get(key);
+          const after = next[key];
+          if (canonical(before) === canonical(after)) return;
+
+          let text;
+          if (after == null) text = "removed";
+          else if (before == null) text = "added";
+          else text = "replaced";
+
+          if (isScoreKey(key) && after != null) {
+            const count = after.length;
+            const was = before ? before.length : 0;
+            text = `${count} ${count === 1 ? "entry" : "entries"} (was ${was}), best ${bestOf(before)} → ${bestOf(after)}`;
+          }
+          lines.push({ key, label: describeKey(key), text });
+        });
+      return lines;
+    }
+
+    function apply(backup, mode) {
+      const next = resolve(backup, mode);
+      Object.keys(next).forEach((key) => {
+        if (next[key] == null) storage.remove(key);
+        else storage.set(key, next[key]);
+      });
+    }
+
+    return {
+      FORMAT,
+      checksum,
+      createExport,
+      exportText,
+      parse,
+      preview,
+      apply,
+    };
+  }
+
+  window.ArcadeBackup = createBackup();
+})();
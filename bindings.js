@@ -0,0 +1,144 @@
+(() => {
+  function createBindings() {
+    // User key bindings.
+    // Defaults live with each game (its registered `controls`) and with app.js for the
+    // global actions; this module only stores the user's overrides, per scope:
+    //   { snake: { up: ["arrowup", "z"] }, global: { mute: ["m"] } }
+    // Keys are normalized KeyboardEvent.key values (lowercase, " " for Space), so they
+    // follow the active keyboard layout (AZERTY users get "z"/"q" as typed).
+    const STORAGE_KEY = "settings:bindings";
+    const storage = window.ArcadeStorage;
+
+    const KEY_LABELS = {
+      " ": "Space",
+      arrowup: "↑",
+      arrowdown: "↓",
+      arrowleft: "←",
+      arrowright: "→",
+      escape: "Esc",
+      enter: "Enter",
+      tab: "Tab",
+      backspace: "Backspace",
+      delete: "Delete",
+      shift: "Shift",
+      control: "Ctrl",
+      alt: "Alt",
+      meta: "Meta",
+      capslock: "Caps Lock",
+      pageup: "Page Up",
+      pagedown: "Page Down",
+      home: "Home",
+      end: "End",
+      insert: "Insert",
+    };
+
+    let overrides = load();
+
+    function load() {
+      const stored = storage.get(STORAGE_KEY, {});
+      return stored && typeof stored === "object" && !Array.isArray(stored) ? stored : {};
+    }
+
+    function save() {
+      storage.set(STORAGE_KEY, overrides);
+    }
+
+    function reload() {
+      // Re-read overrides after the stored data changed underneath (backup import).
+      overrides = load();
+    }
+
+    function normalizeKey(key) {
+      const k = String(key || "").toLowerCase();
+      return k === "spacebar" ? " " : k;
+    }
+
+    function keyLabel(key) {
+      const k = normalizeKey(key);
+      if (KEY_LABELS[k]) return KEY_LABELS[k];
+      if (k.length === 1) return k.toUpperCase();
+      return k.charAt(0).toUpperCase() + k.slice(1);
+    }
+
+    function customKeys(scope) {
+      // Every key the user bound themselves in a scope.
+      const saved = overrides[scope] || {};
+      return Object.keys(saved)
+        .filter((action) => Array.isArray(saved[action]))
+        .flatMap((action) => saved[action].map(normalizeKey));
+    }
+
+    function defaultKeys(scope, defaults, action, claimed) {
+      // An action's default keys, and the ones it gives up: a key the user bound
+      // themselves, in this scope or among `claimed`, stays theirs even when a newer
+      // default (an action added since) wants it too.
+      const taken = new Set([...customKeys(scope), ...claimed.map(normalizeKey)]);
+      const keys = defaults[action].keys.map(normalizeKey);
+      return { keys: keys.filter((k) => !taken.has(k)), lost: keys.filter((k) => taken.has(k)) };
+    }
+
+    function resolve(scope, defaults, claimed = []) {
+      // Merge a scope's defaults ({ action: { label, keys } }) with the stored overrides.
+      // Returns { action: keys[] } in the defaults' declaration order. `claimed`: the
+      // user's own keys elsewhere that take precedence (a game's, over global defaults).
+      const saved = overrides[scope] || {};
+      const out = {};
+      const actions = Object.keys(defaults || {});
+      for (let i = 0; i < actions.length; i += 1) {
+        const action = actions[i];
+        out[action] = Array.isArray(saved[action])
+          ? saved[action].map(normalizeKey)
+          : defaultKeys(scope, defaults, action, claimed).keys;
+      }
+      return out;
+    }
+
+    function conflicts(scope, defaults, claimed = []) {
+      // The default keys resolve() left out because the user has them on something
+      // else: [{ action, key }], for the Controls screen to point out.
+      const saved = overrides[scope] || {};
+      return Object.keys(defaults || {})
+        .filter((action) => !Array.isArray(saved[action]))
+        .flatMap((action) => defaultKeys(scope, defaults, action, claimed).lost.map((key) => ({ action, key })));
+    }
+
+    function setKeys(scope, action, keys) {
+      if (!overrides[scope]) overrides[scope] = {};
+      overrides[scope][action] = keys.map(normalizeKey).filter(Boolean);
+      save();
+    }
+
+    function resetScope(scope) {
+      delete overrides[scope];
+      save();
+    }
+
+    function isCustomized(scope) {
+      return Boolean(overrides[scope] && Object.keys(overrides[scope]).length);
+    }
+
+    function findAction(bound, key) {
+      const k = normalizeKey(key);
+      const actions = Object.keys(bound || {});
+      for (let i = 0; i < actions.length; i += 1) {
+        if (bound[actions[i]].includes(k)) return actions[i];
+      }
+      return null;
+    }
+
+    return {
+      normalizeKey,
+      keyLabel,
+      customKeys,
+      resolve,
+      conflicts,
+      setKeys,
+      resetScope,
+      isCustomized,
+      findAction,
+      reload,
+    };
+  }
+
+  window.ArcadeBindings = createBindings();
+})();
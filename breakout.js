@@ -1,27 +1,73 @@
 (() => {
+  // Breakout collision rules as plain functions, used by the game below and exposed
+  // as the registry's `logic` for tests.
+  function clamp(n, min, max) {
+    return Math.max(min, Math.min(max, n));
+  }
+
+  function circleRectHit(cx, cy, r, rect) {
+    const closestX = clamp(cx, rect.x, rect.x + rect.w);
+    const closestY = clamp(cy, rect.y, rect.y + rect.h);
+    const dx = cx - closestX;
+    const dy = cy - closestY;
+    return dx * dx + dy * dy <= r * r;
+  }
+
+  function createAutopilot() {
+    // Demo player for attract mode (attract.js): launches the ball and keeps the
+    // paddle under it, a little off-centre so the rebounds vary.
+    return (state) => {
+      if (!state.running || state.paused) return [];
+      const { paddle, ball } = state;
+      if (ball.attached) return ["launch"];
+      const target = ball.x + (ball.vx > 0 ? -paddle.w / 5 : paddle.w / 5);
+      const center = paddle.x + paddle.w / 2;
+      if (center < target - 6) return ["right"];
+      if (center > target + 6) return ["left"];
+      return [];
+    };
+  }
+
   function createBreakoutGame() {
     // Breakout game module.
-    // Exposes start()/stop() and mute helpers.
-    // start(...) receives DOM elements (canvas, HUD spans, overlay) from app.js.
+    // Exposes start()/stop()/pause(), handleAction()/handlePointer(), getState() and
+    // save(), whose result start({ resume }) restores.
+    // start(...) receives DOM elements (canvas, overlay) from app.js.
 
     let canvas;
     let ctx;
 
-    let scoreEl;
-    let bestEl;
-    let livesEl;
-
     let overlayEl;
     let overlayTitleEl;
     let overlaySubtitleEl;
 
-    let rafId = null;
+    // Label of the key bound to an action ("P" for pause), provided by app.js.
+    let keyLabel = (action) => action;
+    // Called with { score, details } when a run ends, provided by app.js.
+    let onGameOver = () => {};
+    // Gameplay events (events.js): the shared bus, or app.js's own for replays and demos.
+    let events = window.ArcadeEvents;
+    // Called with { seed } whenever a run (re)starts, so app.js can record it.
+    let onRunStart = () => {};
+    // Frame scheduling for the game loop. app.js passes its own to record runs and to
+    // drive replays; game time itself is counted in fixed steps (see update()).
+    let clock = {
+      requestFrame: (cb) => requestAnimationFrame(cb),
+      cancelFrame: (id) => cancelAnimationFrame(id),
+    };
+    // Seed for every (re)start, from app.js: fixed for the Daily Challenge or a
+    // "?seed=" route, null for a fresh random game each time.
+    let seed = null;
+    let rng = null;
+
+    let gameLoop = null;
     let runningAttached = false;
-    let keydownHandler;
-    let keyupHandler;
     let pointerdownHandler;
 
-    const STORAGE_KEY = "breakout_best_score";
+    // Registry id; scores.js keeps this game's high-score table under it unless
+    // app.js names another table (the Daily Challenge has its own).
+    const GAME_ID = "breakout";
+    let scoreTable = GAME_ID;
 
     const COLORS = {
       bg: "#070a10",
@@ -39,55 +85,33 @@
     const BRICK_GAP = 6;
     const BRICK_H = 18;
     const BRICK_TOP = 54;
+    // The play area in logical units (view.js), whatever the canvas's pixel size;
+    // the ball and paddle move in these units too.
+    const WIDTH = window.ArcadeView.WIDTH;
+    const HEIGHT = window.ArcadeView.HEIGHT;
+    const LIVES = 3;
 
-    const MAX_DT = 1 / 30;
+    // Length of one update() step in milliseconds of game time (loop.js).
+    const STEP_MS = window.ArcadeLoop.STEP_MS;
 
-    let audioState = {
-      ctx: null,
-      master: null,
-      muted: false,
-    };
+    // Sound goes through the shared mixer (audio.js): one context for the arcade,
+    // with this game's voices on its own SFX channel.
+    const audio = window.ArcadeAudio;
 
     function ensureAudio() {
-      if (audioState.ctx) return true;
-      const AudioCtx = window.AudioContext || window.webkitAudioContext;
-      if (!AudioCtx) return false;
-      try {
-        const a = new AudioCtx();
-        const master = a.createGain();
-        master.gain.value = 0.6;
-        master.connect(a.destination);
-        audioState = { ctx: a, master, muted: audioState.muted };
-        return true;
-      } catch {
-        return false;
-      }
+      return Boolean(audio.ensure());
     }
 
     function resumeAudioIfNeeded() {
-      if (!audioState.ctx) return;
-      if (audioState.ctx.state === "suspended") {
-        audioState.ctx.resume().catch(() => {});
-      }
-    }
-
-    function setMuted(muted) {
-      audioState.muted = muted;
-      if (audioState.master) {
-        audioState.master.gain.value = muted ? 0 : 0.6;
-      }
-    }
-
-    function toggleMuted() {
-      setMuted(!audioState.muted);
+      audio.resume();
     }
 
     function playTone({ type, freq, durationMs, startGain, endGain, attackMs, releaseMs, detune }) {
       if (!ensureAudio()) return;
       resumeAudioIfNeeded();
-      if (audioState.muted) return;
+      if (audio.isMuted()) return;
 
-      const a = audioState.ctx;
+      const a = audio.ensure();
       const osc = a.createOscillator();
       const gain = a.createGain();
 
@@ -108,7 +132,7 @@
       gain.gain.exponentialRampToValueAtTime(0.0001, now + dur);
 
       osc.connect(gain);
-      gain.connect(audioState.master);
+      gain.connect(audio.output(GAME_ID));
 
       osc.start(now);
       osc.stop(now + dur + 0.02);
@@ -132,18 +156,8 @@
       playTone({ type: "sine", freq: 990, durationMs: 110, startGain: 0.14, attackMs: 2, releaseMs: 70, detune: 8 });
     }
 
-    function clamp(n, min, max) {
-      return Math.max(min, Math.min(max, n));
-    }
-
     function getBestScore() {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      const n = raw ? Number(raw) : 0;
-      return Number.isFinite(n) ? n : 0;
-    }
-
-    function setBestScore(value) {
-      localStorage.setItem(STORAGE_KEY, String(value));
+      return window.ArcadeScores.best(scoreTable);
     }
 
     let state;
@@ -158,9 +172,13 @@
       overlayEl.hidden = true;
     }
 
-    function updateLivesUi() {
-      if (!livesEl) return;
-      livesEl.textContent = state ? String(state.lives) : "-";
+    function emit(type, detail) {
+      events.emit(type, { game: GAME_ID, ...detail });
+    }
+
+    // app.js keeps the HUD (score, best, lives) in step with these.
+    function emitScore() {
+      emit("score", { score: state.score, best: state.best, lives: state.lives });
     }
 
     function brickColor(row, col) {
@@ -171,8 +189,8 @@
     function buildBricks() {
       const bricks = [];
       const totalGap = (BRICK_COLS - 1) * BRICK_GAP;
-      const w = (canvas.width - 48 - totalGap) / BRICK_COLS;
-      const startX = (canvas.width - (w * BRICK_COLS + totalGap)) / 2;
+      const w = (WIDTH - 48 - totalGap) / BRICK_COLS;
+      const startX = (WIDTH - (w * BRICK_COLS + totalGap)) / 2;
 
       for (let r = 0; r < BRICK_ROWS; r += 1) {
         for (let c = 0; c < BRICK_COLS; c += 1) {
@@ -196,35 +214,53 @@
       state.ball.vx = 0;
       state.ball.vy = 0;
       state.ball.attached = true;
+      settle();
+    }
+
+    function settle() {
+      // Marks the current paddle and ball positions as where render() interpolates
+      // from: before every step, and after a jump (respawn) so nothing slides across.
+      state.paddle.px = state.paddle.x;
+      state.ball.px = state.ball.x;
+      state.ball.py = state.ball.y;
     }
 
     function resetState() {
+      rng = window.ArcadeRandom.create(seed ?? window.ArcadeRandom.randomSeed());
+      onRunStart({ seed: rng.seed });
+      if (gameLoop) gameLoop.reset();
       state = {
         running: true,
         paused: false,
-        lastTs: 0,
+        // Game time in ms: advances by STEP_MS per update() and stands still while
+        // paused or after game over.
+        time: 0,
+        // Game time at which the "Life lost" message goes away (0: not showing).
+        lifeLostUntil: 0,
 
         score: 0,
         best: getBestScore(),
-        lives: 3,
+        lives: LIVES,
 
         input: {
           left: false,
           right: false,
+          // Canvas x of a finger dragging the paddle (touch), or null.
+          pointerX: null,
         },
 
         paddle: {
           w: PADDLE_W,
           h: PADDLE_H,
-          x: canvas.width / 2 - PADDLE_W / 2,
-          y: canvas.height - 36,
+          x: WIDTH / 2 - PADDLE_W / 2,
+          y: HEIGHT - 36,
           speed: 420,
         },
 
         ball: {
           r: BALL_R,
-          x: canvas.width / 2,
-          y: canvas.height - 50,
+          x: WIDTH / 2,
+          y: HEIGHT - 50,
           vx: 0,
           vy: 0,
           speed: 360,
@@ -236,59 +272,95 @@
 
       resetBallOnPaddle();
 
-      scoreEl.textContent = String(state.score);
-      bestEl.textContent = String(state.best);
-      updateLivesUi();
+      emitScore();
       hideOverlay();
-      draw();
+      render(0);
+    }
+
+    function save() {
+      // The run in progress as plain data, for app.js to keep while the player is
+      // away (Esc, closed tab), or null when there's no run to come back to.
+      if (!state?.running) return null;
+      const { best, paused, input, ...rest } = state;
+      return { seed: rng.seed, rng: rng.position(), state: JSON.parse(JSON.stringify(rest)) };
+    }
+
+    function restore(saved) {
+      // Picks a run from save() back up, paused until the player is ready. Keys held
+      // back then aren't held now.
+      rng = window.ArcadeRandom.create(saved.seed, saved.rng);
+      state = {
+        ...saved.state,
+        best: getBestScore(),
+        paused: false,
+        input: { left: false, right: false, pointerX: null },
+      };
+      settle();
+
+      emitScore();
+      hideOverlay();
+      pause();
+      render(0);
     }
 
     function setPaused(paused) {
+      if (state.paused === paused) return;
       state.paused = paused;
-      if (paused) showOverlay("Paused", "Press P to resume");
-      else {
-        hideOverlay();
-        state.lastTs = performance.now();
-      }
+      emit("paused", { paused });
+      // Game time stands still while paused; an unfinished "Life lost" message
+      // simply comes back on resume.
+      if (paused) showOverlay("Paused", `Press ${keyLabel("pause")} to resume`);
+      else if (state.lifeLostUntil) showOverlay("Life lost", `Lives left: ${state.lives}`);
+      else hideOverlay();
+    }
+
+    function pause() {
+      // Used by the shell when the tab is hidden or the window loses focus.
+      if (state?.running) setPaused(true);
     }
 
     function gameOver(win) {
       state.running = false;
       state.paused = false;
 
-      if (state.score > state.best) {
-        state.best = state.score;
-        setBestScore(state.best);
-      }
+      // The shell records the run (high-score table, initials prompt); the table's
+      // top entry is the best score from here on.
+      const details = { bricks: state.bricks.filter((br) => !br.alive).length };
+      onGameOver({ score: state.score, details });
+      state.best = getBestScore();
 
-      bestEl.textContent = String(state.best);
-      showOverlay(win ? "You Win" : "Game Over", "Press R to restart (Esc for menu)");
+      emitScore();
+      emit("gameOver", { score: state.score, win, details, timeMs: state.time, livesLost: LIVES - state.lives });
+      showOverlay(win ? "You Win" : "Game Over", `Press ${keyLabel("restart")} to restart (${keyLabel("menu")} for menu)`);
     }
 
     function loseLife() {
       playLoseLife();
 
       state.lives = Math.max(0, state.lives - 1);
-      updateLivesUi();
+      emitScore();
+      emit("lifeLost", { lives: state.lives });
 
       if (state.lives <= 0) {
         gameOver(false);
         return;
       }
 
-      showOverlay("Life lost", `Lives left: ${state.lives}`);
-      window.setTimeout(() => {
-        if (state && state.running && !state.paused) hideOverlay();
-      }, 700);
-
+      showLifeLost(700);
       resetBallOnPaddle();
     }
 
+    function showLifeLost(ms) {
+      // update() hides the message again once `ms` of game time has passed.
+      state.lifeLostUntil = state.time + ms;
+      showOverlay("Life lost", `Lives left: ${state.lives}`);
+    }
+
     function launchBall() {
       if (!state.ball.attached) return;
 
       // Launch slightly randomized to avoid perfectly vertical starts.
-      const angle = (-Math.PI / 2) + (Math.random() * 0.6 - 0.3);
+      const angle = (-Math.PI / 2) + (rng.next() * 0.6 - 0.3);
       state.ball.vx = Math.cos(angle) * state.ball.speed;
       state.ball.vy = Math.sin(angle) * state.ball.speed;
       state.ball.attached = false;
@@ -296,20 +368,16 @@
       playTone({ type: "sine", freq: 520, durationMs: 55, startGain: 0.12, attackMs: 2, releaseMs: 35 });
     }
 
-    function circleRectHit(cx, cy, r, rect) {
-      const closestX = clamp(cx, rect.x, rect.x + rect.w);
-      const closestY = clamp(cy, rect.y, rect.y + rect.h);
-      const dx = cx - closestX;
-      const dy = cy - closestY;
-      return dx * dx + dy * dy <= r * r;
-    }
-
     function step(dt) {
       const p = state.paddle;
       const b = state.ball;
 
-      const dir = (state.input.right ? 1 : 0) - (state.input.left ? 1 : 0);
-      p.x = clamp(p.x + dir * p.speed * dt, 10, canvas.width - 10 - p.w);
+      if (state.input.pointerX != null) {
+        p.x = clamp(state.input.pointerX - p.w / 2, 10, WIDTH - 10 - p.w);
+      } else {
+        const dir = (state.input.right ? 1 : 0) - (state.input.left ? 1 : 0);
+        p.x = clamp(p.x + dir * p.speed * dt, 10, WIDTH - 10 - p.w);
+      }
 
       if (b.attached) {
         b.x = p.x + p.w / 2;
@@ -326,8 +394,8 @@
         b.vx = Math.abs(b.vx);
         playPaddleHit();
       }
-      if (b.x + b.r > canvas.width) {
-        b.x = canvas.width - b.r;
+      if (b.x + b.r > WIDTH) {
+        b.x = WIDTH - b.r;
         b.vx = -Math.abs(b.vx);
         playPaddleHit();
       }
@@ -338,7 +406,7 @@
       }
 
       // Bottom = lose life
-      if (b.y - b.r > canvas.height) {
+      if (b.y - b.r > HEIGHT) {
         loseLife();
         return;
       }
@@ -371,7 +439,8 @@
 
         br.alive = false;
         state.score += 50;
-        scoreEl.textContent = String(state.score);
+        emitScore();
+        emit("brickBroken", { points: 50, left: state.bricks.filter((other) => other.alive).length });
 
         // Bounce: reflect based on which side we are closer to.
         const prevX = b.x - b.vx * dt;
@@ -397,16 +466,26 @@
 
     function drawBackground() {
       ctx.fillStyle = COLORS.bg;
-      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.fillRect(0, 0, WIDTH, HEIGHT);
 
-      const grad = ctx.createLinearGradient(0, 0, 0, canvas.height);
+      const grad = ctx.createLinearGradient(0, 0, 0, HEIGHT);
       grad.addColorStop(0, "rgba(90,120,255,0.12)");
       grad.addColorStop(1, "rgba(0,0,0,0)");
       ctx.fillStyle = grad;
-      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.fillRect(0, 0, WIDTH, HEIGHT);
     }
 
-    function draw() {
+    function render(alpha) {
+      // Draws the current state; alpha (0..1) is how far the frame is into the next
+      // step, used to place the paddle and ball between their last two positions.
+      if (!state) return;
+      window.ArcadeView.begin(ctx, canvas);
+      const p = state.paddle;
+      const b = state.ball;
+      const paddleX = p.px + (p.x - p.px) * alpha;
+      const ballX = b.px + (b.x - b.px) * alpha;
+      const ballY = b.py + (b.y - b.py) * alpha;
+
       drawBackground();
 
       // Bricks
@@ -424,156 +503,181 @@
 
       // Paddle
       ctx.fillStyle = COLORS.paddle;
-      ctx.fillRect(state.paddle.x, state.paddle.y, state.paddle.w, state.paddle.h);
+      ctx.fillRect(paddleX, p.y, p.w, p.h);
 
       // Ball
       ctx.fillStyle = COLORS.ball;
       ctx.beginPath();
-      ctx.arc(state.ball.x, state.ball.y, state.ball.r, 0, Math.PI * 2);
+      ctx.arc(ballX, ballY, b.r, 0, Math.PI * 2);
       ctx.fill();
 
       // Simple "ready" hint
-      if (state.ball.attached && state.running && !state.paused) {
+      if (b.attached && state.running && !state.paused) {
         ctx.fillStyle = "rgba(232,238,246,0.75)";
         ctx.font = "12px ui-sans-serif, system-ui";
         ctx.textAlign = "center";
-        ctx.fillText("Press Space to launch", canvas.width / 2, canvas.height / 2 + 10);
+        ctx.fillText(`Press ${keyLabel("launch")} to launch`, WIDTH / 2, HEIGHT / 2 + 10);
       }
     }
 
-    function loop(ts) {
-      if (!state) return;
+    function update() {
+      // One fixed step of game time, called by the game loop (loop.js).
+      if (!state || !state.running || state.paused) return;
+      state.time += STEP_MS;
 
-      // Keep drawing even on game over so the overlay stays visible.
-      if (!state.running) {
-        draw();
-        rafId = requestAnimationFrame(loop);
-        return;
+      if (state.lifeLostUntil && state.time >= state.lifeLostUntil) {
+        state.lifeLostUntil = 0;
+        hideOverlay();
       }
 
-      if (!state.lastTs) state.lastTs = ts;
-      const dt = clamp((ts - state.lastTs) / 1000, 0, MAX_DT);
-      state.lastTs = ts;
-
-      if (!state.paused) step(dt);
-      draw();
-      rafId = requestAnimationFrame(loop);
+      settle();
+      step(STEP_MS / 1000);
     }
 
-    function attachListeners() {
-      if (runningAttached) return;
-      runningAttached = true;
+    function handleAction(action, pressed) {
+      // Named actions come from the input layer in app.js (see controls below).
+      // Paddle movement is held, so left/right also receive the release.
+      if (!state) return;
 
-      keydownHandler = (e) => {
-        ensureAudio();
-        resumeAudioIfNeeded();
+      if (action === "left") {
+        state.input.left = pressed;
+        return;
+      }
+      if (action === "right") {
+        state.input.right = pressed;
+        return;
+      }
 
-        const key = e.key.toLowerCase();
+      if (!pressed) return;
 
-        if (key === "p") {
-          e.preventDefault();
-          if (!state?.running) return;
-          setPaused(!state.paused);
-          return;
-        }
+      ensureAudio();
+      resumeAudioIfNeeded();
 
-        if (key === "r") {
-          resetState();
-          return;
-        }
+      if (action === "pause") {
+        if (!state.running) return;
+        setPaused(!state.paused);
+        return;
+      }
 
-        if (key === "m") {
-          toggleMuted();
-          return;
-        }
+      if (action === "restart") {
+        resetState();
+        return;
+      }
 
-        if (key === " " || key === "spacebar") {
-          e.preventDefault();
-          if (!state?.running) return;
-          if (!state.paused) launchBall();
-          return;
-        }
+      if (action === "launch") {
+        if (!state.running) return;
+        if (!state.paused) launchBall();
+      }
+    }
 
-        if (key === "arrowleft" || key === "a") {
-          e.preventDefault();
-          state.input.left = true;
-          return;
-        }
-        if (key === "arrowright" || key === "d") {
-          e.preventDefault();
-          state.input.right = true;
-        }
-      };
+    function handlePointer({ type, x }) {
+      // Touch drag from touch.js, in logical units (view.js): the paddle follows the finger.
+      if (!state) return;
+      state.input.pointerX = type === "end" ? null : x;
+    }
 
-      keyupHandler = (e) => {
-        const key = e.key.toLowerCase();
-        if (key === "arrowleft" || key === "a") state.input.left = false;
-        if (key === "arrowright" || key === "d") state.input.right = false;
-      };
+    function attachListeners() {
+      if (runningAttached) return;
+      runningAttached = true;
 
       pointerdownHandler = () => {
         ensureAudio();
         resumeAudioIfNeeded();
       };
 
-      window.addEventListener("keydown", keydownHandler);
-      window.addEventListener("keyup", keyupHandler);
       window.addEventListener("pointerdown", pointerdownHandler, { passive: true });
     }
 
     function detachListeners() {
       if (!runningAttached) return;
       runningAttached = false;
-      window.removeEventListener("keydown", keydownHandler);
-      window.removeEventListener("keyup", keyupHandler);
       window.removeEventListener("pointerdown", pointerdownHandler);
     }
 
     function start({
       canvas: c,
-      scoreEl: s,
-      bestEl: b,
-      livesEl: l,
       overlayEl: o,
       overlayTitleEl: ot,
       overlaySubtitleEl: os,
+      keyLabel: kl,
+      onGameOver: og,
+      onRunStart: rs,
+      clock: ck,
+      events: ev,
+      seed: sd = null,
+      scoreTable: st,
+      resume = null,
     }) {
       canvas = c;
       ctx = canvas.getContext("2d");
 
-      scoreEl = s;
-      bestEl = b;
-      livesEl = l;
-
       overlayEl = o;
       overlayTitleEl = ot;
       overlaySubtitleEl = os;
+      if (kl) keyLabel = kl;
+      if (og) onGameOver = og;
+      if (rs) onRunStart = rs;
+      if (ck) clock = ck;
+      events = ev || window.ArcadeEvents;
+      seed = sd;
+      scoreTable = st || GAME_ID;
 
       attachListeners();
-      resetState();
-      if (rafId != null) cancelAnimationFrame(rafId);
-      rafId = requestAnimationFrame(loop);
+      if (resume) restore(resume);
+      else resetState();
+      if (gameLoop) gameLoop.stop();
+      gameLoop = window.ArcadeLoop.create({ clock, update, render });
+      gameLoop.start();
+    }
+
+    function getState() {
+      // Live state, so tests can aim the ball at a brick or the floor.
+      return state;
     }
 
     function stop() {
-      if (rafId != null) cancelAnimationFrame(rafId);
-      rafId = null;
+      if (gameLoop) gameLoop.stop();
+      gameLoop = null;
       detachListeners();
       if (overlayEl) overlayEl.hidden = true;
       state = null;
     }
 
-    function setMutedExternal(muted) {
-      setMuted(muted);
-    }
-
     return {
       start,
       stop,
-      setMuted: setMutedExternal,
-      toggleMuted,
+      pause,
+      save,
+      handleAction,
+      getState,
+      handlePointer,
     };
   }
 
-  window.BreakoutGame = createBreakoutGame();
+  window.Arcade.register({
+    id: "breakout",
+    title: "Breakout",
+    subtitle: "Smash bricks. Keep the ball alive.",
+    hasLives: true,
+    // Extra high-score table columns, read from the details passed to onGameOver.
+    scoreDetails: [{ key: "bricks", label: "Bricks" }],
+    controls: {
+      left: { label: "Move left", keys: ["arrowleft", "a"], buttons: [14] },
+      right: { label: "Move right", keys: ["arrowright", "d"], buttons: [15] },
+      launch: { label: "Launch", keys: [" "], buttons: [0] },
+      pause: { label: "Pause", keys: ["p"], buttons: [9] },
+      restart: { label: "Restart", keys: ["r"], buttons: [3] },
+    },
+    // Dragging on the canvas positions the paddle directly (see handlePointer).
+    touch: {
+      drag: true,
+      tap: "launch",
+      pad: { left: "left", right: "right" },
+      buttons: ["launch", "pause", "restart"],
+    },
+    // Pure collision rules, for tests (test/breakout.test.js).
+    logic: { clamp, circleRectHit },
+    autopilot: createAutopilot,
+    create: createBreakoutGame,
+  });
 })();
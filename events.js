@@ -0,0 +1,76 @@
+(() => {
+  function createEvents() {
+    // Gameplay event bus: games announce what happens in a run, and the shell and
+    // extensions (achievements, stats, stream overlays) listen instead of reaching
+    // into the games. Every event is a plain object with its `type` and the `game` id:
+    // - score: the scoreboard changed { score, best, lives } (lives only for games
+    //   that have them); also sent when a run starts or is resumed
+    // - lifeLost { lives }: lives left
+    // - foodEaten { length } (Snake)
+    // - ghostEaten { points, ghost }, powerPellet {} (Pac-Man); `ghost` is its id
+    // - linesCleared { lines, total }, levelUp { level } (Tetris)
+    // - brickBroken { points, left } (Breakout)
+    // - paused { paused }
+    // - gameOver { score, win, details, timeMs, livesLost }: the run ended; `details`
+    //   as for the high-score table, `timeMs` the game time played (pauses excluded)
+    //   and `livesLost` only from games with lives
+    //
+    // window.ArcadeEvents is the shared bus for live play. app.js hands games a
+    // private bus instead for replays and attract-mode demos, so nothing listening
+    // here counts those.
+    const TYPES = [
+      "score",
+      "lifeLost",
+      "foodEaten",
+      "ghostEaten",
+      "powerPellet",
+      "linesCleared",
+      "levelUp",
+      "brickBroken",
+      "paused",
+      "gameOver",
+    ];
+
+    function createBus() {
+      // type -> Set of listeners; "*" listens to every type.
+      const listeners = new Map();
+
+      function on(type, fn) {
+        // Returns a function that unsubscribes again.
+        if (!listeners.has(type)) listeners.set(type, new Set());
+        listeners.get(type).add(fn);
+        return () => off(type, fn);
+      }
+
+      function off(type, fn) {
+        listeners.get(type)?.delete(fn);
+      }
+
+      function emit(type, detail = {}) {
+        const event = { type, ...detail };
+        [...(listeners.get(type) || []), ...(listeners.get("*") || [])].forEach((fn) => {
+          // A broken listener must not take the game loop down with it.
+          try {
+            fn(event);
+          } catch (err) {
+            console.error(`ArcadeEvents: "${type}" listener failed`, err);
+          }
+        });
+      }
+
+      return {
+        on,
+        off,
+        emit,
+      };
+    }
+
+    return {
+      TYPES,
+      createBus,
+      ...createBus(),
+    };
+  }
+
+  window.ArcadeEvents = createEvents();
+})();
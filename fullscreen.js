@@ -0,0 +1,118 @@
+(() => {
+  // Fullscreen play.
+  // The `.game` section (canvas, overlay, menus) goes fullscreen through the
+  // Fullscreen API. The page's HUD stays behind, so while fullscreen the canvas draws
+  // score, best and lives itself in a strip along its top (view.setStrip()), and is
+  // sized to the largest play area that fits with that strip above it; the games
+  // draw at the screen's own resolution whatever the size (view.js). The rest of the
+  // screen is letterboxed (see .game.is-fullscreen in style.css).
+  //
+  // Browsers leave fullscreen on Esc by themselves, and may still deliver that Esc
+  // to the page afterwards; handleEscape() takes both that Esc and one pressed while
+  // still in fullscreen, so only later ones reach app.js's menu.
+  const EXIT_GRACE_MS = 300;
+  // Height of the HUD strip, in the games' logical units (the play area is 480).
+  const STRIP_HEIGHT = 32;
+  const STRIP_FONT = "15px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial";
+
+  // hudItems() returns what the strip shows, [[label, value], ...].
+  function createFullscreen({ element, canvas, hudItems = () => [], onChange = () => {} }) {
+    const view = window.ArcadeView;
+    let active = false;
+    let exitedAt = -Infinity;
+
+    function isSupported() {
+      return Boolean(document.fullscreenEnabled && element.requestFullscreen);
+    }
+
+    function isActive() {
+      return document.fullscreenElement === element;
+    }
+
+    function enter() {
+      if (!isSupported() || isActive()) return;
+      // Refused requests (no user gesture, iframe policy) just leave things as they are.
+      element.requestFullscreen().catch(() => {});
+    }
+
+    function exit() {
+      if (isActive()) document.exitFullscreen().catch(() => {});
+    }
+
+    function toggle() {
+      if (isActive()) exit();
+      else enter();
+    }
+
+    function wasJustExited() {
+      return performance.now() - exitedAt < EXIT_GRACE_MS;
+    }
+
+    function handleEscape() {
+      // Whether an Esc keypress was fullscreen's: it leaves fullscreen and nothing else.
+      if (!isActive() && !wasJustExited()) return false;
+      exit();
+      return true;
+    }
+
+    function drawStrip(ctx, width, height) {
+      // The items spread evenly across the strip, in the page HUD's colours.
+      const items = hudItems();
+      ctx.fillStyle = "rgba(255, 255, 255, 0.06)";
+      ctx.fillRect(0, 0, width, height);
+      ctx.fillStyle = "rgba(232, 238, 246, 0.9)";
+      ctx.font = STRIP_FONT;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      items.forEach(([label, value], i) => {
+        ctx.fillText(`${label}: ${value}`, (width * (i + 0.5)) / items.length, height / 2);
+      });
+    }
+
+    function fit() {
+      // The canvas gets the play area and the strip, as large as the screen allows.
+      if (!isActive()) return;
+      const scale = Math.min(element.clientWidth / view.WIDTH, element.clientHeight / (view.HEIGHT + STRIP_HEIGHT));
+      if (!(scale > 0)) return;
+      canvas.style.width = `${Math.floor(view.WIDTH * scale)}px`;
+      canvas.style.height = `${Math.floor((view.HEIGHT + STRIP_HEIGHT) * scale)}px`;
+    }
+
+    function onFullscreenChange() {
+      if (isActive() === active) return;
+      active = isActive();
+      element.classList.toggle("is-fullscreen", active);
+      if (active) {
+        view.setStrip(canvas, { height: STRIP_HEIGHT, draw: drawStrip });
+        fit();
+      } else {
+        view.setStrip(canvas, null);
+        canvas.style.width = "";
+        canvas.style.height = "";
+        exitedAt = performance.now();
+      }
+      onChange(active);
+    }
+
+    function attach() {
+      document.addEventListener("fullscreenchange", onFullscreenChange);
+      window.addEventListener("resize", fit);
+    }
+
+    return {
+      isSupported,
+      isActive,
+      enter,
+      exit,
+      toggle,
+      wasJustExited,
+      handleEscape,
+      attach,
+    };
+  }
+
+  window.ArcadeFullscreen = {
+    STRIP_HEIGHT,
+    create: createFullscreen,
+  };
+})();
@@ -0,0 +1,227 @@
+(() => {
+  // Gamepad polling layer.
+  // Browsers only expose gamepads by polling navigator.getGamepads(), so this module
+  // reads every connected pad once per animation frame and turns it into button
+  // press/release edges. It knows nothing about games: app.js maps the (standard
+  // mapping) button indices to named actions through each game's controls.
+  //
+  // The left stick is folded into the D-pad buttons (12-15) using a deadzone, so a
+  // game binding D-pad left also reacts to the stick.
+  //
+  // create({ getGamepads, onButton, onStatus }) takes its gamepad source as a
+  // parameter so tests can pass a mocked navigator.getGamepads.
+  const BUTTONS = {
+    a: 0,
+    b: 1,
+    x: 2,
+    y: 3,
+    select: 8,
+    start: 9,
+    up: 12,
+    down: 13,
+    left: 14,
+    right: 15,
+  };
+
+  const DPAD = new Set([BUTTONS.up, BUTTONS.down, BUTTONS.left, BUTTONS.right]);
+
+  // Held D-pad directions repeat like keyboard auto-repeat (Tetris sideways moves).
+  const REPEAT_DELAY_MS = 180;
+  const REPEAT_RATE_MS = 55;
+
+  function findAction(controls, button) {
+    // The action a game (or app.js's global controls) binds to a button index.
+    const actions = Object.keys(controls || {});
+    for (let i = 0; i < actions.length; i += 1) {
+      if ((controls[actions[i]].buttons || []).includes(button)) return actions[i];
+    }
+    return null;
+  }
+
+  function padLabel({ index, id }) {
+    // Short name for the HUD: pad ids are verbose ("Xbox Wireless Controller
+    // (STANDARD GAMEPAD Vendor: ...)").
+    return id.replace(/\s*\(.*$/, "") || `Gamepad ${index + 1}`;
+  }
+
+  function createGamepadInput({
+    getGamepads,
+    onButton = () => {},
+    onStatus = () => {},
+    deadzone = 0.4,
+  }) {
+    // Per pad index: { id, pressed: Set, repeatAt: Map(button -> ts) }
+    const pads = new Map();
+    let activeIndex = null;
+    let rafId = null;
+    let attached = false;
+    let connectedHandler;
+    let disconnectedHandler;
+
+    function listPads() {
+      const list = getGamepads ? getGamepads() : [];
+      return Array.from(list || []).filter((p) => p && p.connected !== false);
+    }
+
+    function readButtons(pad) {
+      const pressed = new Set();
+      const buttons = pad.buttons || [];
+      for (let i = 0; i < buttons.length; i += 1) {
+        const b = buttons[i];
+        if (!b) continue;
+        if (b.pressed || b.value > 0.5) pressed.add(i);
+      }
+
+      const axes = pad.axes || [];
+      const x = axes[0] || 0;
+      const y = axes[1] || 0;
+      // Only the dominant axis counts, so diagonals don't press two directions.
+      if (Math.abs(x) >= Math.abs(y)) {
+        if (x <= -deadzone) pressed.add(BUTTONS.left);
+        if (x >= deadzone) pressed.add(BUTTONS.right);
+      } else {
+        if (y <= -deadzone) pressed.add(BUTTONS.up);
+        if (y >= deadzone) pressed.add(BUTTONS.down);
+      }
+
+      return pressed;
+    }
+
+    function getActive() {
+      const active = activeIndex != null ? pads.get(activeIndex) : null;
+      return active ? { index: activeIndex, id: active.id } : null;
+    }
+
+    function emitStatus() {
+      onStatus({ connected: pads.size, active: getActive() });
+    }
+
+    function trackPad(pad) {
+      if (pads.has(pad.index)) return pads.get(pad.index);
+      const entry = { id: pad.id || `Gamepad ${pad.index + 1}`, pressed: new Set(), repeatAt: new Map() };
+      pads.set(pad.index, entry);
+      if (activeIndex == null) activeIndex = pad.index;
+      return entry;
+    }
+
+    function releasePad(index) {
+      const entry = pads.get(index);
+      if (!entry) return;
+      entry.pressed.forEach((button) => onButton(button, false, { pad: index, repeat: false }));
+      pads.delete(index);
+      if (activeIndex === index) {
+        activeIndex = pads.size ? pads.keys().next().value : null;
+      }
+    }
+
+    function poll(now = 0) {
+      const list = listPads();
+      const seen = new Set();
+      let changed = false;
+
+      for (let i = 0; i < list.length; i += 1) {
+        const pad = list[i];
+        seen.add(pad.index);
+        if (!pads.has(pad.index)) changed = true;
+        const entry = trackPad(pad);
+        const next = readButtons(pad);
+
+        entry.pressed.forEach((button) => {
+          if (next.has(button)) return;
+          entry.repeatAt.delete(button);
+          onButton(button, false, { pad: pad.index, repeat: false });
+        });
+
+        next.forEach((button) => {
+          if (entry.pressed.has(button)) {
+            const at = entry.repeatAt.get(button);
+            if (at != null && now >= at) {
+              entry.repeatAt.set(button, at + REPEAT_RATE_MS);
+              onButton(button, true, { pad: pad.index, repeat: true });
+            }
+            return;
+          }
+
+          if (DPAD.has(button)) entry.repeatAt.set(button, now + REPEAT_DELAY_MS);
+          if (activeIndex !== pad.index) {
+            activeIndex = pad.index;
+            changed = true;
+          }
+          onButton(button, true, { pad: pad.index, repeat: false });
+        });
+
+        entry.pressed = next;
+      }
+
+      // Pads that vanished without a disconnect event (some browsers) are released too.
+      [...pads.keys()].forEach((index) => {
+        if (seen.has(index)) return;
+        releasePad(index);
+        changed = true;
+      });
+
+      if (changed) emitStatus();
+    }
+
+    function loop(ts) {
+      rafId = null;
+      poll(ts);
+      if (pads.size) rafId = requestAnimationFrame(loop);
+    }
+
+    function ensureLoop() {
+      if (rafId == null) rafId = requestAnimationFrame(loop);
+    }
+
+    function attach() {
+      if (attached) return;
+      attached = true;
+
+      connectedHandler = (e) => {
+        trackPad(e.gamepad);
+        emitStatus();
+        ensureLoop();
+      };
+
+      disconnectedHandler = (e) => {
+        releasePad(e.gamepad.index);
+        emitStatus();
+      };
+
+      window.addEventListener("gamepadconnected", connectedHandler);
+      window.addEventListener("gamepaddisconnected", disconnectedHandler);
+
+      // Pads that were already connected before the page loaded only show up once a
+      // button is pressed, at which point the browser fires gamepadconnected.
+      if (listPads().length) {
+        poll(performance.now());
+        ensureLoop();
+      }
+    }
+
+    function detach() {
+      if (!attached) return;
+      attached = false;
+      window.removeEventListener("gamepadconnected", connectedHandler);
+      window.removeEventListener("gamepaddisconnected", disconnectedHandler);
+      if (rafId != null) cancelAnimationFrame(rafId);
+      rafId = null;
+      [...pads.keys()].forEach(releasePad);
+      emitStatus();
+    }
+
+    return {
+      attach,
+      detach,
+      poll,
+      getActive,
+    };
+  }
+
+  window.ArcadeGamepad = {
+    BUTTONS,
+    findAction,
+    padLabel,
+    create: createGamepadInput,
+  };
+})();
@@ -0,0 +1,70 @@
+(() => {
+  // Fixed-timestep game loop shared by the games.
+  // The simulation advances only in update() steps of exactly STEP_MS of game time.
+  // Each browser frame runs as many steps as the real time since the previous frame
+  // calls for (kept in an accumulator), then render(alpha) draws, alpha (0..1) being
+  // how far the frame sits between the last step and the next, for interpolation.
+  // Games keep their own game time by counting steps, so 60 Hz and 144 Hz displays
+  // and stuttering frames all run the very same simulation.
+
+  // 125 steps per second: a whole number of milliseconds, so the accumulator stays
+  // exact for frame times in whole milliseconds (recordings, tests).
+  const STEP_MS = 8;
+  // After a long stall (debugger, suspended tab) a frame runs at most this many
+  // steps and the rest of the backlog is dropped rather than fast-forwarded.
+  const MAX_STEPS_PER_FRAME = 30;
+
+  function createLoop({ clock, update, render }) {
+    let rafId = null;
+    let lastTs = null;
+    let accumulator = 0;
+
+    function frame(ts) {
+      rafId = null;
+      if (lastTs != null) accumulator += Math.max(0, ts - lastTs);
+      lastTs = ts;
+
+      let steps = 0;
+      while (accumulator >= STEP_MS && steps < MAX_STEPS_PER_FRAME) {
+        update();
+        accumulator -= STEP_MS;
+        steps += 1;
+      }
+      if (accumulator >= STEP_MS) accumulator %= STEP_MS;
+
+      render(accumulator / STEP_MS);
+      rafId = clock.requestFrame(frame);
+    }
+
+    function start() {
+      stop();
+      lastTs = null;
+      accumulator = 0;
+      rafId = clock.requestFrame(frame);
+    }
+
+    function reset() {
+      // Counts time afresh from the next frame, as start() does. Games call it when a
+      // run restarts without a new loop (Restart mid-run): a replay of that run gets a
+      // loop of its own, with no time left over from before.
+      lastTs = null;
+      accumulator = 0;
+    }
+
+    function stop() {
+      if (rafId != null) clock.cancelFrame(rafId);
+      rafId = null;
+    }
+
+    return {
+      start,
+      reset,
+      stop,
+    };
+  }
+
+  window.ArcadeLoop = {
+    STEP_MS,
+    create: createLoop,
+  };
+})();
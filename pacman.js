@@ -1,126 +1,211 @@
 (() => {
+  // Pac-Man maze rules as plain functions, used by the game below and exposed as the
+  // registry's `logic` for tests.
+  const DIRS = {
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 },
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 },
+    none: { x: 0, y: 0 },
+  };
+
+  const MAZE = [
+    "#####################",
+    "#.........#.........#",
+    "#.###.###.#.###.###.#",
+    "#o###.###.#.###.###o#",
+    "#...................#",
+    "#.###.#.#####.#.###.#",
+    "#.....#...#...#.....#",
+    "#####.### # ###.#####",
+    "    #.#   G   #.#    ",
+    "#####.# ## ## #.#####",
+    "#.........#.........#",
+    "#.###.###.#.###.###.#",
+    "#o..#.....P.....#..o#",
+    "###.#.#.#####.#.#.###",
+    "#.....#...#...#.....#",
+    "#.######### #########",
+    "#...................#",
+    "#####################",
+  ];
+
+  function posKey(x, y) {
+    return `${x},${y}`;
+  }
+
+  function parseMaze(maze = MAZE) {
+    // Grid of characters plus the pellets, power pellets and start positions.
+    const rows = maze.length;
+    const cols = Math.max(...maze.map((r) => r.length));
+
+    const grid = Array.from({ length: rows }, (_, y) => {
+      const row = maze[y];
+      return Array.from({ length: cols }, (_, x) => row[x] ?? " ");
+    });
+
+    let pacStart = { x: 1, y: 1 };
+    let ghostGate = null;
+
+    const pellets = new Set();
+    const power = new Set();
+
+    for (let y = 0; y < rows; y += 1) {
+      for (let x = 0; x < cols; x += 1) {
+        const c = grid[y][x];
+        if (c === ".") pellets.add(posKey(x, y));
+        if (c === "o") power.add(posKey(x, y));
+        if (c === "P") {
+          pacStart = { x, y };
+          grid[y][x] = " ";
+        }
+        if (c === "G") {
+          ghostGate = { x, y };
+          grid[y][x] = " ";
+        }
+      }
+    }
+
+    return { grid, rows, cols, pellets, power, pacStart, ghostGate };
+  }
+
+  function isWall(grid, x, y) {
+    if (y < 0 || y >= grid.length) return true;
+    if (x < 0 || x >= grid[0].length) return true;
+    return grid[y][x] === "#";
+  }
+
+  function canMove(grid, x, y) {
+    return !isWall(grid, x, y);
+  }
+
+  function wrapTunnel(cols, x) {
+    if (x < 0) return cols - 1;
+    if (x >= cols) return 0;
+    return x;
+  }
+
+  const MOVES = ["left", "right", "up", "down"];
+
+  function firstStepToward(grid, from, isTarget, isBlocked) {
+    // Breadth-first search through the maze (tunnel included): the move that starts
+    // the shortest path to a tile where isTarget(x, y), or null when none is reachable.
+    const cols = grid[0].length;
+    const seen = new Set([posKey(from.x, from.y)]);
+    const queue = [];
+    MOVES.forEach((move) => {
+      const x = wrapTunnel(cols, from.x + DIRS[move].x);
+      const y = from.y + DIRS[move].y;
+      if (!canMove(grid, x, y) || isBlocked(x, y)) return;
+      seen.add(posKey(x, y));
+      queue.push({ x, y, move });
+    });
+    for (let i = 0; i < queue.length; i += 1) {
+      const p = queue[i];
+      if (isTarget(p.x, p.y)) return p.move;
+      MOVES.forEach((move) => {
+        const x = wrapTunnel(cols, p.x + DIRS[move].x);
+        const y = p.y + DIRS[move].y;
+        const k = posKey(x, y);
+        if (seen.has(k) || !canMove(grid, x, y) || isBlocked(x, y)) return;
+        seen.add(k);
+        queue.push({ x, y, move: p.move });
+      });
+    }
+    return null;
+  }
+
+  function createAutopilot() {
+    // Demo player for attract mode (attract.js): heads for the nearest pellet, giving
+    // hunting ghosts a one-tile berth (none needed while they're frightened).
+    return (state) => {
+      if (!state.running || state.paused) return [];
+      const { grid, pac, ghosts } = state;
+      const frightened = state.time < state.frightenedUntil;
+      const near = (x, y) => !frightened && ghosts.some((g) => Math.abs(g.x - x) + Math.abs(g.y - y) <= 1);
+      const food = (x, y) => state.pellets.has(posKey(x, y)) || state.power.has(posKey(x, y));
+      const move =
+        firstStepToward(grid, pac, food, near) ||
+        // Cornered: any way out to a tile no ghost is next to.
+        firstStepToward(grid, pac, (x, y) => !near(x, y), () => false);
+      return move ? [move] : [];
+    };
+  }
+
   function createPacmanGame() {
     // Pac-Man game module.
-    // Exposes start()/stop() and mute helpers.
-    // start(...) receives DOM elements (canvas, HUD spans, overlay) from app.js.
+    // Exposes start()/stop()/pause(), handleAction(), getState() and save(), whose
+    // result start({ resume }) restores.
+    // start(...) receives DOM elements (canvas, overlay) from app.js.
     let canvas;
     let ctx;
 
-    let scoreEl;
-    let bestEl;
-    let livesEl;
-
     let overlayEl;
     let overlayTitleEl;
     let overlaySubtitleEl;
 
-    let rafId = null;
+    // Label of the key bound to an action ("P" for pause), provided by app.js.
+    let keyLabel = (action) => action;
+    // Called with { score, details } when a run ends, provided by app.js.
+    let onGameOver = () => {};
+    // Gameplay events (events.js) go to the shared bus unless app.js passes its own.
+    let events = window.ArcadeEvents;
+    // Called with { seed } whenever a run (re)starts, so app.js can record it.
+    let onRunStart = () => {};
+    // Frame scheduling for the game loop. app.js passes its own to record runs and to
+    // drive replays; game time itself is counted in fixed steps (see update()).
+    let clock = {
+      requestFrame: (cb) => requestAnimationFrame(cb),
+      cancelFrame: (id) => cancelAnimationFrame(id),
+    };
+    // Seed for every (re)start, from app.js: fixed for the Daily Challenge or a
+    // "?seed=" route, null for a fresh random game each time.
+    let seed = null;
+    let rng = null;
+
+    let gameLoop = null;
     let runningAttached = false;
-    let keydownHandler;
     let pointerdownHandler;
 
-    let lifeLostTimeoutId = null;
-
-    const STORAGE_KEY = "pacman_best_score";
+    // Registry id; scores.js keeps this game's high-score table under it unless
+    // app.js names another table (the Daily Challenge has its own).
+    const GAME_ID = "pacman";
+    let scoreTable = GAME_ID;
 
     const TILE = 20;
-    const FPS_DT_LIMIT = 0.05;
-
-    const DIRS = {
-      left: { x: -1, y: 0 },
-      right: { x: 1, y: 0 },
-      up: { x: 0, y: -1 },
-      down: { x: 0, y: 1 },
-      none: { x: 0, y: 0 },
-    };
-
-    const MAZE = [
-      "#####################",
-      "#.........#.........#",
-      "#.###.###.#.###.###.#",
-      "#o###.###.#.###.###o#",
-      "#...................#",
-      "#.###.#.#####.#.###.#",
-      "#.....#...#...#.....#",
-      "#####.### # ###.#####",
-      "    #.#   G   #.#    ",
-      "#####.# ## ## #.#####",
-      "#.........#.........#",
-      "#.###.###.#.###.###.#",
-      "#o..#.....P.....#..o#",
-      "###.#.#.#####.#.#.###",
-      "#.....#...#...#.....#",
-      "#.######### #########",
-      "#...................#",
-      "#####################",
-    ];
-
-    function clamp(n, min, max) {
-      return Math.max(min, Math.min(max, n));
-    }
+    // The play area in logical units (view.js), whatever the canvas's pixel size.
+    const WIDTH = window.ArcadeView.WIDTH;
+    const HEIGHT = window.ArcadeView.HEIGHT;
+    const LIVES = 3;
+    // Length of one update() step in milliseconds of game time (loop.js).
+    const STEP_MS = window.ArcadeLoop.STEP_MS;
 
     function randInt(min, maxInclusive) {
-      return Math.floor(Math.random() * (maxInclusive - min + 1)) + min;
-    }
-
-    function posKey(x, y) {
-      return `${x},${y}`;
+      return rng.int(min, maxInclusive);
     }
 
     function getBestScore() {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      const n = raw ? Number(raw) : 0;
-      return Number.isFinite(n) ? n : 0;
+      return window.ArcadeScores.best(scoreTable);
     }
 
-    function setBestScore(value) {
-      localStorage.setItem(STORAGE_KEY, String(value));
-    }
-
-    let audioState = {
-      ctx: null,
-      master: null,
-      muted: false,
-    };
+    // Sound goes through the shared mixer (audio.js): one context for the arcade,
+    // with this game's voices on its own SFX channel.
+    const audio = window.ArcadeAudio;
 
     function ensureAudio() {
-      if (audioState.ctx) return true;
-      const AudioCtx = window.AudioContext || window.webkitAudioContext;
-      if (!AudioCtx) return false;
-      try {
-        const ctx = new AudioCtx();
-        const master = ctx.createGain();
-        master.gain.value = audioState.muted ? 0 : 0.6;
-        master.connect(ctx.destination);
-        audioState = { ctx, master, muted: audioState.muted };
-        return true;
-      } catch {
-        return false;
-      }
+      return Boolean(audio.ensure());
     }
 
     function resumeAudioIfNeeded() {
-      if (!audioState.ctx) return;
-      if (audioState.ctx.state === "suspended") {
-        audioState.ctx.resume().catch(() => {});
-      }
-    }
-
-    function setMuted(muted) {
-      audioState.muted = muted;
-      if (audioState.master) audioState.master.gain.value = muted ? 0 : 0.6;
-    }
-
-    function toggleMuted() {
-      setMuted(!audioState.muted);
+      audio.resume();
     }
 
     function playTone({ type, freq, durationMs, gain = 0.2, attackMs = 2, releaseMs = 40 }) {
       if (!ensureAudio()) return;
       resumeAudioIfNeeded();
-      if (audioState.muted) return;
+      if (audio.isMuted()) return;
 
-      const ctxA = audioState.ctx;
+      const ctxA = audio.ensure();
       const osc = ctxA.createOscillator();
       const g = ctxA.createGain();
 
@@ -137,7 +222,7 @@
       g.gain.exponentialRampToValueAtTime(0.0001, now + Math.max(attack + 0.001, dur - release));
 
       osc.connect(g);
-      g.connect(audioState.master);
+      g.connect(audio.output(GAME_ID));
 
       osc.start(now);
       osc.stop(now + dur + 0.02);
@@ -171,65 +256,15 @@
       frightened: "#2f7bff",
     };
 
-    function parseMaze() {
-      const rows = MAZE.length;
-      const cols = Math.max(...MAZE.map((r) => r.length));
-
-      const grid = Array.from({ length: rows }, (_, y) => {
-        const row = MAZE[y];
-        return Array.from({ length: cols }, (_, x) => row[x] ?? " ");
-      });
-
-      let pacStart = { x: 1, y: 1 };
-      let ghostGate = null;
-
-      const pellets = new Set();
-      const power = new Set();
-
-      for (let y = 0; y < rows; y += 1) {
-        for (let x = 0; x < cols; x += 1) {
-          const c = grid[y][x];
-          if (c === ".") pellets.add(posKey(x, y));
-          if (c === "o") power.add(posKey(x, y));
-          if (c === "P") {
-            pacStart = { x, y };
-            grid[y][x] = " ";
-          }
-          if (c === "G") {
-            ghostGate = { x, y };
-            grid[y][x] = " ";
-          }
-        }
-      }
-
-      return { grid, rows, cols, pellets, power, pacStart, ghostGate };
-    }
-
-    function isWall(grid, x, y) {
-      if (y < 0 || y >= grid.length) return true;
-      if (x < 0 || x >= grid[0].length) return true;
-      return grid[y][x] === "#";
-    }
-
-    function canMove(grid, x, y) {
-      return !isWall(grid, x, y);
-    }
+    let state;
 
-    function wrapTunnel(cols, x) {
-      if (x < 0) return cols - 1;
-      if (x >= cols) return 0;
-      return x;
+    function emit(type, detail) {
+      events.emit(type, { game: GAME_ID, ...detail });
     }
 
-    let state;
-
-    // Update the HUD lives display. We keep this as a helper so:
-    // - reset can initialize it
-    // - death can decrement it
-    // - stop can clear state and the UI can fall back to '-'
-    function updateLivesUi() {
-      if (!livesEl) return;
-      livesEl.textContent = state ? String(state.lives) : "-";
+    // app.js draws the HUD (score, best, lives) from these.
+    function emitScore() {
+      emit("score", { score: state.score, best: state.best, lives: state.lives });
     }
 
     function showOverlay(title, subtitle) {
@@ -243,6 +278,9 @@
     }
 
     function resetState() {
+      rng = window.ArcadeRandom.create(seed ?? window.ArcadeRandom.randomSeed());
+      onRunStart({ seed: rng.seed });
+      if (gameLoop) gameLoop.reset();
       // Full reset used by start() and R-key restart.
       // This resets the maze, pellets, score, and restores lives back to 3.
       const parsed = parseMaze();
@@ -250,12 +288,17 @@
         ...parsed,
         score: 0,
         best: getBestScore(),
-        lives: 3,
+        lives: LIVES,
+        pelletsEaten: 0,
         running: true,
         paused: false,
-        lastTs: 0,
+        // Game time in ms: advances by STEP_MS per update() and stands still while
+        // paused or after game over. The timers below are measured against it.
+        time: 0,
         lastWakaTs: 0,
         frightenedUntil: 0,
+        // Game time at which the "Life lost" message goes away (0: not showing).
+        lifeLostUntil: 0,
         pac: {
           x: parsed.pacStart.x,
           y: parsed.pacStart.y,
@@ -283,11 +326,45 @@
         });
       }
 
-      scoreEl.textContent = String(state.score);
-      bestEl.textContent = String(state.best);
-      updateLivesUi();
+      emitScore();
+      hideOverlay();
+      render(0);
+    }
+
+    function save() {
+      // The run in progress as plain data, for app.js to keep while the player is
+      // away (Esc, closed tab), or null when there's no run to come back to. The maze
+      // itself never changes, so only what was eaten of it is kept.
+      if (!state?.running) return null;
+      const { grid, rows, cols, pacStart, ghostGate, pellets, power, best, paused, ...rest } = state;
+      return {
+        seed: rng.seed,
+        rng: rng.position(),
+        state: { ...JSON.parse(JSON.stringify(rest)), pellets: [...pellets], power: [...power] },
+      };
+    }
+
+    function restore(saved) {
+      // Picks a run from save() back up, paused until the player is ready.
+      // Directions are compared by identity, so they go back to the DIRS objects.
+      rng = window.ArcadeRandom.create(saved.seed, saved.rng);
+      const dir = (d) => Object.values(DIRS).find((v) => v.x === d.x && v.y === d.y) || DIRS.none;
+      const s = saved.state;
+      state = {
+        ...parseMaze(),
+        ...s,
+        pellets: new Set(s.pellets),
+        power: new Set(s.power),
+        best: getBestScore(),
+        paused: false,
+        pac: { ...s.pac, dir: dir(s.pac.dir), wish: dir(s.pac.wish) },
+        ghosts: s.ghosts.map((g) => ({ ...g, dir: dir(g.dir) })),
+      };
+
+      emitScore();
       hideOverlay();
-      draw(performance.now());
+      pause();
+      render(0);
     }
 
     function resetActorsPositions() {
@@ -314,7 +391,6 @@
       }
 
       state.frightenedUntil = 0;
-      state.lastTs = 0;
     }
 
     function loseLife() {
@@ -327,43 +403,53 @@
       playDeath();
 
       state.lives = Math.max(0, state.lives - 1);
-      updateLivesUi();
+      emitScore();
+      emit("lifeLost", { lives: state.lives });
 
       if (state.lives <= 0) {
         gameOver(false);
         return;
       }
 
-      showOverlay("Life lost", `Lives left: ${state.lives}`);
-      if (lifeLostTimeoutId) window.clearTimeout(lifeLostTimeoutId);
-      lifeLostTimeoutId = window.setTimeout(() => {
-        lifeLostTimeoutId = null;
-        if (state && state.running && !state.paused) hideOverlay();
-      }, 900);
-
+      showLifeLost(900);
       resetActorsPositions();
     }
 
+    function showLifeLost(ms) {
+      // update() hides the message again once `ms` of game time has passed.
+      state.lifeLostUntil = state.time + ms;
+      showOverlay("Life lost", `Lives left: ${state.lives}`);
+    }
+
     function setPaused(paused) {
+      if (state.paused === paused) return;
       state.paused = paused;
-      if (paused) showOverlay("Paused", "Press Space to resume");
-      else {
-        hideOverlay();
-        state.lastTs = performance.now();
-      }
+      emit("paused", { paused });
+      // Game time stands still while paused, so power pellet time needs no
+      // adjusting; an unfinished "Life lost" message simply comes back on resume.
+      if (paused) showOverlay("Paused", `Press ${keyLabel("pause")} to resume`);
+      else if (state.lifeLostUntil) showOverlay("Life lost", `Lives left: ${state.lives}`);
+      else hideOverlay();
+    }
+
+    function pause() {
+      // Used by the shell when the tab is hidden or the window loses focus.
+      if (state?.running) setPaused(true);
     }
 
     function gameOver(win) {
       state.running = false;
       state.paused = false;
 
-      if (state.score > state.best) {
-        state.best = state.score;
-        setBestScore(state.best);
-      }
+      // The shell records the run (high-score table, initials prompt); the table's
+      // top entry is the best score from here on.
+      const details = { pellets: state.pelletsEaten };
+      onGameOver({ score: state.score, details });
+      state.best = getBestScore();
 
-      bestEl.textContent = String(state.best);
-      showOverlay(win ? "You Win" : "Game Over", "Press R to restart (Esc for menu)");
+      emitScore();
+      emit("gameOver", { score: state.score, win, details, timeMs: state.time, livesLost: LIVES - state.lives });
+      showOverlay(win ? "You Win" : "Game Over", `Press ${keyLabel("restart")} to restart (${keyLabel("menu")} for menu)`);
     }
 
     function tryTurn(entity, wishDir) {
@@ -397,20 +483,23 @@
         const k = posKey(p.x, p.y);
         if (state.pellets.has(k)) {
           state.pellets.delete(k);
+          state.pelletsEaten += 1;
           state.score += 10;
-          scoreEl.textContent = String(state.score);
+          emitScore();
 
-          if (performance.now() - state.lastWakaTs > 45) {
+          if (state.time - state.lastWakaTs > 45) {
             playWaka();
-            state.lastWakaTs = performance.now();
+            state.lastWakaTs = state.time;
           }
         }
 
         if (state.power.has(k)) {
           state.power.delete(k);
+          state.pelletsEaten += 1;
           state.score += 50;
-          scoreEl.textContent = String(state.score);
-          state.frightenedUntil = performance.now() + 6500;
+          emitScore();
+          state.frightenedUntil = state.time + 6500;
+          emit("powerPellet");
           playPower();
         }
 
@@ -438,7 +527,7 @@
         return { x: -g.dir.x, y: -g.dir.y };
       }
 
-      const frightened = performance.now() < state.frightenedUntil;
+      const frightened = state.time < state.frightenedUntil;
       const px = state.pac.x;
       const py = state.pac.y;
 
@@ -459,7 +548,7 @@
         }
       }
 
-      if (Math.random() < 0.15) {
+      if (rng.next() < 0.15) {
         return options[randInt(0, options.length - 1)];
       }
 
@@ -496,7 +585,7 @@
       // Ghost collision handling:
       // - if frightened: eat ghost and send it back to its respawn position
       // - else: lose a life (or game over when lives are exhausted)
-      const frightened = performance.now() < state.frightenedUntil;
+      const frightened = state.time < state.frightenedUntil;
       const px = state.pac.x;
       const py = state.pac.y;
 
@@ -505,7 +594,8 @@
         if (g.x === px && g.y === py) {
           if (frightened) {
             state.score += 200;
-            scoreEl.textContent = String(state.score);
+            emitScore();
+            emit("ghostEaten", { points: 200, ghost: g.id });
             playEatGhost();
             g.x = g.respawnX;
             g.y = g.respawnY;
@@ -519,9 +609,14 @@
       }
     }
 
-    function draw() {
-      const w = canvas.width;
-      const h = canvas.height;
+    function render(alpha) {
+      // Draws the current state. Actors move tile by tile, so alpha (0..1, how far
+      // the frame is into the next step) only smooths the animations.
+      if (!state) return;
+      window.ArcadeView.begin(ctx, canvas);
+      const time = state.time + alpha * STEP_MS;
+      const w = WIDTH;
+      const h = HEIGHT;
       ctx.fillStyle = "#000000";
       ctx.fillRect(0, 0, w, h);
 
@@ -548,7 +643,7 @@
         ctx.fill();
       }
 
-      const pulse = 0.6 + 0.4 * Math.sin(performance.now() / 160);
+      const pulse = 0.6 + 0.4 * Math.sin(time / 160);
       ctx.fillStyle = COLORS.power;
       for (const key of state.power) {
         const [x, y] = key.split(",").map(Number);
@@ -559,7 +654,7 @@
 
       const p = state.pac;
       ctx.fillStyle = COLORS.pac;
-      const mouth = 0.22 + 0.18 * Math.sin(performance.now() / 80);
+      const mouth = 0.22 + 0.18 * Math.sin(time / 80);
       const angle = Math.atan2(p.dir.y, p.dir.x);
       ctx.beginPath();
       ctx.moveTo(p.x * TILE + TILE / 2, p.y * TILE + TILE / 2);
@@ -574,14 +669,13 @@
       ctx.closePath();
       ctx.fill();
 
-      const nowMs = performance.now();
-      const frightened = nowMs < state.frightenedUntil;
+      const frightened = time < state.frightenedUntil;
       const flickerWindowMs = 2000;
       const flickerPeriodMs = 180;
       const flicker =
         frightened &&
-        state.frightenedUntil - nowMs < flickerWindowMs &&
-        Math.floor((state.frightenedUntil - nowMs) / flickerPeriodMs) % 2 === 0;
+        state.frightenedUntil - time < flickerWindowMs &&
+        Math.floor((state.frightenedUntil - time) / flickerPeriodMs) % 2 === 0;
       for (let i = 0; i < state.ghosts.length; i += 1) {
         const g = state.ghosts[i];
         const gx = g.x * TILE + TILE / 2;
@@ -611,144 +705,162 @@
       ctx.restore();
     }
 
-    function loop(ts) {
-      // Main animation loop (requestAnimationFrame).
-      // Even when the game is over, we keep drawing so the overlay stays visible.
-      if (!state) return;
-      if (!state.running) {
-        draw();
-        rafId = requestAnimationFrame(loop);
-        return;
-      }
-
-      if (!state.lastTs) state.lastTs = ts;
-      const dt = clamp((ts - state.lastTs) / 1000, 0, FPS_DT_LIMIT);
-      state.lastTs = ts;
+    function update() {
+      // One fixed step of game time, called by the game loop (loop.js).
+      if (!state || !state.running || state.paused) return;
+      state.time += STEP_MS;
 
-      if (!state.paused) {
-        stepPac(dt);
-        stepGhosts(dt);
-        handleCollisions();
+      if (state.lifeLostUntil && state.time >= state.lifeLostUntil) {
+        state.lifeLostUntil = 0;
+        hideOverlay();
       }
 
-      draw();
-      rafId = requestAnimationFrame(loop);
+      const dt = STEP_MS / 1000;
+      stepPac(dt);
+      stepGhosts(dt);
+      handleCollisions();
     }
 
-    function attachListeners() {
-      if (runningAttached) return;
-      runningAttached = true;
+    function handleAction(action, pressed) {
+      // Named actions come from the input layer in app.js (see controls below).
+      if (!state || !pressed) return;
 
-      keydownHandler = (e) => {
-        ensureAudio();
-        resumeAudioIfNeeded();
-
-        const key = e.key.toLowerCase();
+      ensureAudio();
+      resumeAudioIfNeeded();
 
-        if (key === " " || key === "spacebar") {
-          e.preventDefault();
-          if (!state?.running) return;
-          setPaused(!state.paused);
-          return;
-        }
+      if (action === "pause") {
+        if (!state.running) return;
+        setPaused(!state.paused);
+        return;
+      }
 
-        if (key === "r") {
-          resetState();
-          return;
-        }
+      if (action === "restart") {
+        resetState();
+        return;
+      }
 
-        if (key === "m") {
-          toggleMuted();
-          return;
-        }
+      if (action === "up") {
+        state.pac.wish = DIRS.up;
+        return;
+      }
+      if (action === "down") {
+        state.pac.wish = DIRS.down;
+        return;
+      }
+      if (action === "left") {
+        state.pac.wish = DIRS.left;
+        return;
+      }
+      if (action === "right") {
+        state.pac.wish = DIRS.right;
+      }
+    }
 
-        if (key === "arrowup" || key === "w") {
-          e.preventDefault();
-          state.pac.wish = DIRS.up;
-          return;
-        }
-        if (key === "arrowdown" || key === "s") {
-          e.preventDefault();
-          state.pac.wish = DIRS.down;
-          return;
-        }
-        if (key === "arrowleft" || key === "a") {
-          e.preventDefault();
-          state.pac.wish = DIRS.left;
-          return;
-        }
-        if (key === "arrowright" || key === "d") {
-          e.preventDefault();
-          state.pac.wish = DIRS.right;
-        }
-      };
+    function attachListeners() {
+      if (runningAttached) return;
+      runningAttached = true;
 
       pointerdownHandler = () => {
         ensureAudio();
         resumeAudioIfNeeded();
       };
 
-      window.addEventListener("keydown", keydownHandler);
       window.addEventListener("pointerdown", pointerdownHandler, { passive: true });
     }
 
     function detachListeners() {
       if (!runningAttached) return;
       runningAttached = false;
-      window.removeEventListener("keydown", keydownHandler);
       window.removeEventListener("pointerdown", pointerdownHandler);
     }
 
     function start({
       canvas: c,
-      scoreEl: s,
-      bestEl: b,
-      livesEl: l,
       overlayEl: o,
       overlayTitleEl: ot,
       overlaySubtitleEl: os,
+      keyLabel: kl,
+      onGameOver: og,
+      onRunStart: rs,
+      clock: ck,
+      events: ev,
+      seed: sd = null,
+      scoreTable: st,
+      resume = null,
     }) {
       // Bootstraps the game with DOM elements provided by app.js.
-      // This is how the game updates the HUD and overlay without owning the layout.
+      // This is how the game updates the overlay without owning the layout; the HUD
+      // follows the "score" events sent to `events`.
       canvas = c;
       ctx = canvas.getContext("2d");
 
-      scoreEl = s;
-      bestEl = b;
-      livesEl = l;
-
       overlayEl = o;
       overlayTitleEl = ot;
       overlaySubtitleEl = os;
+      if (kl) keyLabel = kl;
+      if (og) onGameOver = og;
+      if (rs) onRunStart = rs;
+      if (ck) clock = ck;
+      events = ev || window.ArcadeEvents;
+      seed = sd;
+      scoreTable = st || GAME_ID;
 
       attachListeners();
-      resetState();
-      if (rafId != null) cancelAnimationFrame(rafId);
-      rafId = requestAnimationFrame(loop);
+      if (resume) restore(resume);
+      else resetState();
+      if (gameLoop) gameLoop.stop();
+      gameLoop = window.ArcadeLoop.create({ clock, update, render });
+      gameLoop.start();
+    }
+
+    function getState() {
+      // Tests reach the live state through this to place ghosts and Pac-Man.
+      return state;
     }
 
     function stop() {
       // Stop rendering, detach input handlers, and clear state.
-      if (rafId != null) cancelAnimationFrame(rafId);
-      rafId = null;
+      if (gameLoop) gameLoop.stop();
+      gameLoop = null;
       detachListeners();
-      if (lifeLostTimeoutId) window.clearTimeout(lifeLostTimeoutId);
-      lifeLostTimeoutId = null;
       if (overlayEl) overlayEl.hidden = true;
       state = null;
     }
 
-    function setMutedExternal(muted) {
-      setMuted(muted);
-    }
-
     return {
       start,
       stop,
-      setMuted: setMutedExternal,
-      toggleMuted,
+      pause,
+      save,
+      handleAction,
+      getState,
     };
   }
 
-  window.PacmanGame = createPacmanGame();
+  window.Arcade.register({
+    id: "pacman",
+    title: "Pac-Man",
+    subtitle: "Chomp pellets. Dodge ghosts.",
+    // Pac-Man exposes a lives system (3 lives per run) and keeps the HUD updated.
+    hasLives: true,
+    // Extra high-score table columns, read from the details passed to onGameOver.
+    scoreDetails: [{ key: "pellets", label: "Pellets" }],
+    controls: {
+      up: { label: "Move up", keys: ["arrowup", "w"], buttons: [12] },
+      down: { label: "Move down", keys: ["arrowdown", "s"], buttons: [13] },
+      left: { label: "Move left", keys: ["arrowleft", "a"], buttons: [14] },
+      right: { label: "Move right", keys: ["arrowright", "d"], buttons: [15] },
+      pause: { label: "Pause", keys: ["p", " "], buttons: [9] },
+      restart: { label: "Restart", keys: ["r"], buttons: [3] },
+    },
+    touch: {
+      swipe: { up: "up", down: "down", left: "left", right: "right" },
+      pad: { up: "up", down: "down", left: "left", right: "right" },
+      buttons: ["pause", "restart"],
+    },
+    // Pure maze rules, for tests (test/pacman.test.js).
+    logic: { DIRS, MAZE, posKey, parseMaze, isWall, canMove, wrapTunnel },
+    autopilot: createAutopilot,
+    create: createPacmanGame,
+  });
 })();
@@ -0,0 +1,82 @@
+(() => {
+  // Seedable pseudo-random numbers for the games.
+  // Every random decision in a game (Tetris bags, Snake food, ghost turns, launch
+  // angles) goes through a generator made here, so the same seed and the same
+  // inputs replay the same game. app.js picks the seed: the Daily Challenge derives
+  // it from the date, "#/tetris?seed=abc" from the route, otherwise it is random.
+  //
+  // Generators use mulberry32: tiny, fast and plenty for gameplay (not for crypto).
+
+  function hashSeed(text) {
+    // FNV-1a, so any string ("2026-10-19:tetris") maps to a 32-bit seed.
+    const s = String(text);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < s.length; i += 1) {
+      hash ^= s.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+  }
+
+  function toSeed(value) {
+    // Numeric seeds are used as-is (e.g. ?seed=42), anything else is hashed.
+    const n = Number(value);
+    return Number.isInteger(n) && n >= 0 ? n >>> 0 : hashSeed(value);
+  }
+
+  function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  function createRandom(seed, position) {
+    // `position` (from position()) picks a saved generator up where it left off.
+    let a = position == null ? toSeed(seed) : position >>> 0;
+
+    function next() {
+      // Float in [0, 1), like Math.random().
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    function int(min, maxInclusive) {
+      return Math.floor(next() * (maxInclusive - min + 1)) + min;
+    }
+
+    function pick(list) {
+      return list[int(0, list.length - 1)];
+    }
+
+    return {
+      seed: toSeed(seed),
+      next,
+      int,
+      pick,
+      position: () => a,
+    };
+  }
+
+  function dateKey(date = new Date()) {
+    // Local calendar date ("2026-10-19"): the Daily Challenge changes at midnight.
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, "0");
+    const d = String(date.getDate()).padStart(2, "0");
+    return `${y}-${m}-${d}`;
+  }
+
+  function dailySeed(gameId, date = new Date()) {
+    // Same for everyone on the same date; each game gets its own sequence.
+    return hashSeed(`daily:${dateKey(date)}:${gameId}`);
+  }
+
+  window.ArcadeRandom = {
+    create: createRandom,
+    hashSeed,
+    toSeed,
+    randomSeed,
+    dateKey,
+    dailySeed,
+  };
+})();
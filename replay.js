@@ -0,0 +1,319 @@
+(() => {
+  function createReplays() {
+    // Recording and playback of runs.
+    // Games are deterministic given their seed, the frame timestamps their loop sees
+    // and the inputs between frames, so a run is stored as exactly that:
+    //   { id, gameId, date, seed, params, scoreTable, score, details, durationMs,
+    //     t0, frames: "<encoded deltas>", events: [[frame, kind, ...args]] }
+    // Frame times are quantized to whole milliseconds; from them the game loop
+    // (loop.js) works out the same fixed steps on playback, which is what makes
+    // replays exact. Event kinds: "a" action (name, 1/0 pressed), "p" pointer (type, x, y),
+    // "z" pause from the shell (tab hidden, window blur).
+    // The last MAX_RUNS runs per game are kept under "replays:<gameId>", and no more
+    // than MAX_TOTAL_CHARS of them across games (oldest dropped first), so replays
+    // never crowd scores, settings and saves out of localStorage.
+    const MAX_RUNS = 5;
+    const MAX_TOTAL_CHARS = 1500000;
+    // Runs longer than this (about 30 minutes at 60 fps) are not kept.
+    const MAX_FRAMES = 108000;
+    const SPEEDS = [0.5, 1, 2, 4];
+    const storage = window.ArcadeStorage;
+
+    // Frame deltas are stored one character each when they fit (almost always),
+    // as "(123)" otherwise, which keeps a long run down to a few dozen kilobytes.
+    const DIGITS = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz-_";
+
+    function encodeDeltas(deltas) {
+      return deltas.map((d) => (d >= 0 && d < DIGITS.length ? DIGITS[d] : `(${d})`)).join("");
+    }
+
+    function decodeDeltas(text) {
+      const out = [];
+      for (let i = 0; i < text.length; i += 1) {
+        if (text[i] === "(") {
+          const end = text.indexOf(")", i);
+          out.push(Number(text.slice(i + 1, end)));
+          i = end;
+        } else {
+          out.push(DIGITS.indexOf(text[i]));
+        }
+      }
+      return out;
+    }
+
+    function storageKey(gameId) {
+      return `replays:${gameId}`;
+    }
+
+    function list(gameId) {
+      // Newest first.
+      const runs = storage.get(storageKey(gameId), []);
+      return Array.isArray(runs) ? runs : [];
+    }
+
+    function get(gameId, runId) {
+      return list(gameId).find((r) => r.id === runId) || null;
+    }
+
+    function save(run) {
+      const key = storageKey(run.gameId);
+      const stored = {};
+      storage.keys("replays:").forEach((k) => {
+        const runs = storage.get(k, []);
+        stored[k] = Array.isArray(runs) ? runs : [];
+      });
+      stored[key] = [run, ...(stored[key] || []).filter((r) => r.id !== run.id)].slice(0, MAX_RUNS);
+
+      const all = Object.keys(stored)
+        .flatMap((k) => stored[k].map((r) => ({ key: k, run: r, size: JSON.stringify(r).length })))
+        .sort((a, b) => String(a.run.date).localeCompare(String(b.run.date)));
+      let total = all.reduce((sum, entry) => sum + entry.size, 0);
+      const shrunk = new Set();
+      for (let i = 0; i < all.length && total > MAX_TOTAL_CHARS; i += 1) {
+        if (all[i].run === run) continue;
+        stored[all[i].key] = stored[all[i].key].filter((r) => r !== all[i].run);
+        shrunk.add(all[i].key);
+        total -= all[i].size;
+      }
+
+      // Make room first, then store the new run.
+      shrunk.forEach((k) => {
+        if (k !== key) storage.set(k, stored[k]);
+      });
+      storage.set(key, stored[key]);
+    }
+
+    function createClock(onFrame) {
+      // Clock handed to games while recording: browser frames in whole milliseconds.
+      // now() is the last frame's time, where a recording starts counting from.
+      let time = Math.round(performance.now());
+      return {
+        requestFrame: (cb) =>
+          requestAnimationFrame((ts) => {
+            time = Math.max(time, Math.round(ts));
+            onFrame(time);
+            cb(time);
+          }),
+        cancelFrame: (id) => cancelAnimationFrame(id),
+        now: () => time,
+      };
+    }
+
+    function createRecorder({ gameId, seed, params, scoreTable, t0 }) {
+      const deltas = [];
+      const events = [];
+      let last = t0;
+
+      function frame(time) {
+        if (deltas.length >= MAX_FRAMES) return;
+        deltas.push(time - last);
+        last = time;
+      }
+
+      function event(kind, ...args) {
+        if (deltas.length >= MAX_FRAMES) return;
+        events.push([deltas.length, kind, ...args]);
+      }
+
+      function finish({ score, details }) {
+        // The finished run, or null when it was too long to keep.
+        if (deltas.length >= MAX_FRAMES) return null;
+        return {
+          id: `${Date.now().toString(36)}${seed.toString(36)}`,
+          gameId,
+          date: new Date().toISOString(),
+          seed,
+          params: { ...params },
+          scoreTable,
+          score,
+          details: { ...details },
+          durationMs: last - t0,
+          t0,
+          frames: encodeDeltas(deltas),
+          events,
+        };
+      }
+
+      return {
+        frame,
+        event,
+        finish,
+      };
+    }
+
+    function createPlayer({ run, module, startArgs, onSeekStart = () => {}, onSeekEnd = () => {}, onProgress = () => {} }) {
+      // Plays a run back through the game module itself: the module gets a virtual
+      // clock whose frames are the recorded ones, and the recorded events are fed to
+      // it between the same frames. Seeking backwards restarts from the seed.
+      const deltas = decodeDeltas(run.frames);
+      const times = [];
+      let t = run.t0;
+      for (let i = 0; i < deltas.length; i += 1) {
+        t += deltas[i];
+        times.push(t);
+      }
+
+      let frameIndex = 0;
+      let eventIndex = 0;
+      let virtualNow = run.t0;
+      let pending = null;
+      let playing = false;
+      let speed = 1;
+      let playhead = run.t0;
+      let lastReal = null;
+      let rafId = null;
+
+      const clock = {
+        requestFrame: (cb) => {
+          pending = cb;
+          return 1;
+        },
+        cancelFrame: () => {
+          pending = null;
+        },
+      };
+
+      function dispatch(ev) {
+        const [, kind, a, b, c] = ev;
+        if (kind === "a") module.handleAction?.(a, Boolean(b));
+        else if (kind === "p") module.handlePointer?.({ type: a, x: b, y: c });
+        else if (kind === "z") module.pause?.();
+      }
+
+      function restart() {
+        module.stop();
+        frameIndex = 0;
+        eventIndex = 0;
+        virtualNow = run.t0;
+        playhead = run.t0;
+        pending = null;
+        module.start({
+          ...startArgs,
+          seed: run.seed,
+          clock,
+          onRunStart: () => {},
+          onGameOver: () => {},
+        });
+      }
+
+      function stepFrame() {
+        // Inputs recorded before this frame, then the frame itself.
+        while (eventIndex < run.events.length && run.events[eventIndex][0] <= frameIndex) {
+          dispatch(run.events[eventIndex]);
+          eventIndex += 1;
+        }
+        virtualNow = times[frameIndex];
+        frameIndex += 1;
+        const cb = pending;
+        pending = null;
+        if (cb) cb(virtualNow);
+
+        // Inputs after the last frame (e.g. the hard drop that ended the run).
+        if (isDone()) {
+          while (eventIndex < run.events.length) {
+            dispatch(run.events[eventIndex]);
+            eventIndex += 1;
+          }
+        }
+      }
+
+      function isDone() {
+        return frameIndex >= times.length;
+      }
+
+      function report() {
+        onProgress({
+          playing,
+          speed,
+          frame: frameIndex,
+          frames: times.length,
+          timeMs: virtualNow - run.t0,
+          durationMs: run.durationMs,
+          done: isDone(),
+        });
+      }
+
+      function tick(real) {
+        rafId = null;
+        if (!playing) return;
+        if (lastReal != null) playhead += (real - lastReal) * speed;
+        lastReal = real;
+
+        while (!isDone() && times[frameIndex] <= playhead) stepFrame();
+        if (isDone()) playing = false;
+        report();
+        if (playing) rafId = requestAnimationFrame(tick);
+      }
+
+      function play() {
+        if (isDone()) seek(0);
+        playing = true;
+        lastReal = null;
+        playhead = virtualNow;
+        if (rafId == null) rafId = requestAnimationFrame(tick);
+        report();
+      }
+
+      function pause() {
+        playing = false;
+        if (rafId != null) cancelAnimationFrame(rafId);
+        rafId = null;
+        report();
+      }
+
+      function toggle() {
+        if (playing) pause();
+        else play();
+      }
+
+      function setSpeed(next) {
+        if (SPEEDS.includes(next)) speed = next;
+        report();
+      }
+
+      function seek(frame) {
+        const target = Math.max(0, Math.min(times.length, Math.round(frame)));
+        onSeekStart();
+        if (target < frameIndex) restart();
+        while (frameIndex < target) stepFrame();
+        playhead = virtualNow;
+        lastReal = null;
+        onSeekEnd();
+        report();
+      }
+
+      function stop() {
+        pause();
+        module.stop();
+      }
+
+      restart();
+      // Show the opening frame straight away.
+      if (times.length) stepFrame();
+      report();
+
+      return {
+        play,
+        pause,
+        toggle,
+        setSpeed,
+        seek,
+        stop,
+      };
+    }
+
+    return {
+      MAX_RUNS,
+      MAX_TOTAL_CHARS,
+      SPEEDS,
+      list,
+      get,
+      save,
+      createClock,
+      createRecorder,
+      createPlayer,
+    };
+  }
+
+  window.ArcadeReplays = createReplays();
+})();
@@ -0,0 +1,50 @@
+(() => {
+  function createSaves() {
+    // Runs left in progress, one per game, for "Continue" and for reloads. Kept
+    // under "saves:<gameId>" as
+    //   { version, date, score, run: { seed, scoreTable, label, params }, game }
+    // `game` being whatever the module's save() returned. Bump VERSION when that changes.
+    const VERSION = 1;
+    const storage = window.ArcadeStorage;
+
+    function key(gameId) {
+      return `saves:${gameId}`;
+    }
+
+    function read(gameId) {
+      const saved = storage.get(key(gameId));
+      return saved?.version === VERSION && saved.game ? saved : null;
+    }
+
+    function write(gameId, { score, run, game }) {
+      storage.set(key(gameId), { version: VERSION, date: new Date().toISOString(), score, run, game });
+    }
+
+    function remove(gameId) {
+      storage.remove(key(gameId));
+    }
+
+    function sameParams(a, b) {
+      const keys = Object.keys(a || {});
+      return keys.length === Object.keys(b || {}).length && keys.every((k) => String(a[k]) === String(b[k]));
+    }
+
+    function forRoute(gameId, params) {
+      // The save a link to the game picks back up: only a run started with the same
+      // params. "#/tetris?seed=42" over a normal run starts fresh, leaving that one
+      // for Continue.
+      const saved = read(gameId);
+      return saved && sameParams(saved.run.params, params) ? saved : null;
+    }
+
+    return {
+      VERSION,
+      read,
+      write,
+      remove,
+      forRoute,
+    };
+  }
+
+  window.ArcadeSaves = createSaves();
+})();
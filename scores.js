@@ -0,0 +1,122 @@
+(() => {
+  function createScores() {
+    // Local high-score tables, one per game: the top MAX_ENTRIES runs, best first.
+    // Entry: { id, initials, score, date (ISO string), details: { lines: 12, ... } }
+    // `details` holds game-specific numbers; each game's registered `scoreDetails`
+    // says which ones to show as table columns.
+    const MAX_ENTRIES = 10;
+    const INITIALS_KEY = "settings:initials";
+    const DEFAULT_INITIALS = "AAA";
+    const storage = window.ArcadeStorage;
+
+    function storageKey(gameId) {
+      return `scores:${gameId}`;
+    }
+
+    function sortEntries(entries) {
+      // Highest score first; on ties the older run keeps its place.
+      return entries.sort((a, b) => b.score - a.score || String(a.date).localeCompare(String(b.date)));
+    }
+
+    function load(gameId) {
+      const stored = storage.get(storageKey(gameId), []);
+      if (!Array.isArray(stored)) return [];
+      return sortEntries(stored.filter((e) => e && Number.isFinite(e.score)));
+    }
+
+    function save(gameId, entries) {
+      storage.set(storageKey(gameId), entries);
+    }
+
+    function makeId() {
+      return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+    }
+
+    function normalizeInitials(text) {
+      return String(text || "")
+        .toUpperCase()
+        .replace(/[^A-Z0-9]/g, "")
+        .slice(0, 3);
+    }
+
+    function top(gameId) {
+      return load(gameId);
+    }
+
+    function best(gameId) {
+      const entries = load(gameId);
+      return entries.length ? entries[0].score : 0;
+    }
+
+    function qualifies(gameId, score) {
+      if (!(score > 0)) return false;
+      const entries = load(gameId);
+      return entries.length < MAX_ENTRIES || score > entries[entries.length - 1].score;
+    }
+
+    function submit(gameId, { score, details = {}, initials }) {
+      // Returns the stored entry and its 0-based rank, or null if it didn't make the table.
+      if (!qualifies(gameId, score)) return null;
+
+      const entry = {
+        id: makeId(),
+        initials: normalizeInitials(initials) || lastInitials(),
+        score,
+        date: new Date().toISOString(),
+        details: { ...details },
+      };
+
+      const entries = sortEntries([...load(gameId), entry]).slice(0, MAX_ENTRIES);
+      save(gameId, entries);
+      return { entry, rank: entries.indexOf(entry) };
+    }
+
+    function combine(a, b) {
+      // Merge two tables (e.g. local and imported), keeping the best MAX_ENTRIES runs.
+      // Entries present in both (same id) are counted once.
+      const byId = new Map();
+      [...(a || []), ...(b || [])].forEach((e) => {
+        if (e && Number.isFinite(e.score) && !byId.has(e.id)) byId.set(e.id, e);
+      });
+      return sortEntries([...byId.values()]).slice(0, MAX_ENTRIES);
+    }
+
+    function dailyTable(gameId, date) {
+      // Daily Challenge runs are ranked per game and date, apart from the main table.
+      return `${gameId}:daily:${date}`;
+    }
+
+    function rename(gameId, entryId, initials) {
+      const clean = normalizeInitials(initials);
+      if (!clean) return false;
+
+      const entries = load(gameId);
+      const entry = entries.find((e) => e.id === entryId);
+      if (!entry) return false;
+
+      entry.initials = clean;
+      save(gameId, entries);
+      storage.set(INITIALS_KEY, clean);
+      return true;
+    }
+
+    function lastInitials() {
+      return normalizeInitials(storage.get(INITIALS_KEY, "")) || DEFAULT_INITIALS;
+    }
+
+    return {
+      MAX_ENTRIES,
+      top,
+      best,
+      qualifies,
+      submit,
+      rename,
+      combine,
+      dailyTable,
+      lastInitials,
+      normalizeInitials,
+    };
+  }
+
+  window.ArcadeScores = createScores();
+})();
@@ -1,75 +1,163 @@
 (() => {
+  // Snake rules as plain functions of the board, used by the game below and exposed
+  // as the registry's `logic` for tests.
+  const GRID_SIZE = 24;
+
+  function samePos(a, b) {
+    return a.x === b.x && a.y === b.y;
+  }
+
+  function posKey(p) {
+    return `${p.x},${p.y}`;
+  }
+
+  function isOpposite(a, b) {
+    return a.x === -b.x && a.y === -b.y;
+  }
+
+  function moveSnake(snake, dir, food) {
+    // One move of the head in `dir`, as { result, snake }. result is "wall" or "self"
+    // for a crash (snake unchanged), "eat" when the head lands on the food (the snake
+    // grows by one) or "move".
+    const head = snake[0];
+    const nextHead = { x: head.x + dir.x, y: head.y + dir.y };
+
+    if (nextHead.x < 0 || nextHead.x >= GRID_SIZE || nextHead.y < 0 || nextHead.y >= GRID_SIZE) {
+      return { result: "wall", snake };
+    }
+    for (let i = 0; i < snake.length; i += 1) {
+      if (samePos(snake[i], nextHead)) return { result: "self", snake };
+    }
+
+    if (food && samePos(nextHead, food)) return { result: "eat", snake: [nextHead, ...snake] };
+    return { result: "move", snake: [nextHead, ...snake.slice(0, -1)] };
+  }
+
+  const TURNS = {
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 },
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 },
+  };
+
+  function openArea(snake) {
+    // Cells reachable from the head without crossing the snake or a wall.
+    const blocked = new Set(snake.slice(1).map(posKey));
+    const seen = new Set([posKey(snake[0])]);
+    const queue = [snake[0]];
+    for (let i = 0; i < queue.length; i += 1) {
+      const p = queue[i];
+      Object.values(TURNS).forEach((d) => {
+        const n = { x: p.x + d.x, y: p.y + d.y };
+        const k = posKey(n);
+        if (n.x < 0 || n.x >= GRID_SIZE || n.y < 0 || n.y >= GRID_SIZE) return;
+        if (blocked.has(k) || seen.has(k)) return;
+        seen.add(k);
+        queue.push(n);
+      });
+    }
+    return seen.size;
+  }
+
+  function createAutopilot() {
+    // Demo player for attract mode (attract.js): greedy for the food, but never into
+    // a crash, and only into a pocket too small for the snake when nothing else is left.
+    // The choice only changes when the snake or the food moves, so it's kept till then.
+    let lastKey = null;
+    let choice = [];
+    return (state) => {
+      if (!state.running || state.paused || !state.food) return [];
+      const key = `${posKey(state.snake[0])}|${posKey(state.food)}|${state.snake.length}`;
+      if (key === lastKey) return choice;
+      lastKey = key;
+
+      let best = null;
+      Object.keys(TURNS).forEach((action) => {
+        const dir = TURNS[action];
+        if (isOpposite(dir, state.dir)) return;
+        const moved = moveSnake(state.snake, dir, state.food);
+        if (moved.result === "wall" || moved.result === "self") return;
+        const head = moved.snake[0];
+        const option = {
+          action,
+          roomy: openArea(moved.snake) >= moved.snake.length,
+          dist: Math.abs(head.x - state.food.x) + Math.abs(head.y - state.food.y),
+        };
+        if (!best || (option.roomy && !best.roomy) || (option.roomy === best.roomy && option.dist < best.dist)) {
+          best = option;
+        }
+      });
+      choice = best ? [best.action] : [];
+      return choice;
+    };
+  }
+
   function createSnakeGame() {
     // Snake game module.
-    // The outside world interacts through start()/stop() and mute helpers.
-    // start(...) receives DOM elements (canvas, HUD spans, overlay) from app.js.
+    // The outside world interacts through start()/stop()/pause(), handleAction(),
+    // getState(), and save() to suspend a run that start({ resume }) picks up later.
+    // start(...) receives DOM elements (canvas, overlay) from app.js.
     let canvas;
     let ctx;
 
-    let scoreEl;
-    let bestEl;
-    let livesEl;
-
     let overlayEl;
     let overlayTitleEl;
     let overlaySubtitleEl;
 
-    let rafId = null;
+    // Label of the key bound to an action ("P" for pause), provided by app.js.
+    let keyLabel = (action) => action;
+    // Called with { score, details } when a run ends, provided by app.js.
+    let onGameOver = () => {};
+    // Where gameplay events go (events.js): the shared bus, or app.js's own for
+    // replays and demos.
+    let events = window.ArcadeEvents;
+    // Called with { seed } whenever a run (re)starts, so app.js can record it.
+    let onRunStart = () => {};
+    // Frame scheduling for the game loop. app.js passes its own to record runs and to
+    // drive replays; game time itself is counted in fixed steps (see update()).
+    let clock = {
+      requestFrame: (cb) => requestAnimationFrame(cb),
+      cancelFrame: (id) => cancelAnimationFrame(id),
+    };
+    // Seed for every (re)start, from app.js: fixed for the Daily Challenge or a
+    // "?seed=" route, null for a fresh random game each time.
+    let seed = null;
+    let rng = null;
+
+    let gameLoop = null;
     let runningAttached = false;
-    let keydownHandler;
     let pointerdownHandler;
 
-    let lifeLostTimeoutId = null;
-
-  const GRID_SIZE = 24;
-  let CELL = 20;
+  // The play area in logical units (view.js), whatever the canvas's pixel size.
+  const WIDTH = window.ArcadeView.WIDTH;
+  const HEIGHT = window.ArcadeView.HEIGHT;
+  const CELL = Math.floor(WIDTH / GRID_SIZE);
 
   const INITIAL_SPEED_MS = 120;
   const MIN_SPEED_MS = 60;
   const SPEEDUP_EVERY = 5;
 
   const FOOD_MOVE_MS = 1260;
+  const LIVES = 3;
 
-  const STORAGE_KEY = "snake_best_score";
+  // Length of one update() step in milliseconds of game time (loop.js).
+  const STEP_MS = window.ArcadeLoop.STEP_MS;
 
-  let audioState = {
-    ctx: null,
-    master: null,
-    muted: false,
-  };
+  // Registry id; scores.js keeps this game's high-score table under it unless
+  // app.js names another table (the Daily Challenge has its own).
+  const GAME_ID = "snake";
+  let scoreTable = GAME_ID;
+
+  // Sound goes through the shared mixer (audio.js): one context for the arcade,
+  // with this game's voices on its own SFX channel.
+  const audio = window.ArcadeAudio;
 
   function ensureAudio() {
-    if (audioState.ctx) return true;
-    const AudioCtx = window.AudioContext || window.webkitAudioContext;
-    if (!AudioCtx) return false;
-    try {
-      const ctx = new AudioCtx();
-      const master = ctx.createGain();
-      master.gain.value = 0.6;
-      master.connect(ctx.destination);
-      audioState = { ctx, master, muted: audioState.muted };
-      return true;
-    } catch {
-      return false;
-    }
+    return Boolean(audio.ensure());
   }
 
   function resumeAudioIfNeeded() {
-    if (!audioState.ctx) return;
-    if (audioState.ctx.state === "suspended") {
-      audioState.ctx.resume().catch(() => {});
-    }
-  }
-
-  function setMuted(muted) {
-    audioState.muted = muted;
-    if (audioState.master) {
-      audioState.master.gain.value = muted ? 0 : 0.6;
-    }
-  }
-
-  function toggleMuted() {
-    setMuted(!audioState.muted);
+    audio.resume();
   }
 
   function playTone({
@@ -84,9 +172,9 @@
   }) {
     if (!ensureAudio()) return;
     resumeAudioIfNeeded();
-    if (audioState.muted) return;
+    if (audio.isMuted()) return;
 
-    const ctx = audioState.ctx;
+    const ctx = audio.ensure();
     const osc = ctx.createOscillator();
     const gain = ctx.createGain();
 
@@ -109,7 +197,7 @@
     gain.gain.exponentialRampToValueAtTime(0.0001, now + dur);
 
     osc.connect(gain);
-    gain.connect(audioState.master);
+    gain.connect(audio.output(GAME_ID));
 
     osc.start(now);
     osc.stop(now + dur + 0.02);
@@ -124,9 +212,6 @@
       attackMs: 3,
       releaseMs: 40,
     });
-    if (!audioState.ctx || audioState.muted) return;
-    const ctx = audioState.ctx;
-    const t = ctx.currentTime + 0.05;
     playTone({
       type: "triangle",
       freq: 1320,
@@ -141,9 +226,9 @@
   function playDieSound() {
     if (!ensureAudio()) return;
     resumeAudioIfNeeded();
-    if (audioState.muted) return;
+    if (audio.isMuted()) return;
 
-    const ctx = audioState.ctx;
+    const ctx = audio.ensure();
     const osc = ctx.createOscillator();
     const gain = ctx.createGain();
 
@@ -157,7 +242,7 @@
     gain.gain.exponentialRampToValueAtTime(0.0001, now + 0.22);
 
     osc.connect(gain);
-    gain.connect(audioState.master);
+    gain.connect(audio.output(GAME_ID));
 
     osc.start(now);
     osc.stop(now + 0.25);
@@ -178,15 +263,7 @@
   }
 
   function randInt(min, maxInclusive) {
-    return Math.floor(Math.random() * (maxInclusive - min + 1)) + min;
-  }
-
-  function samePos(a, b) {
-    return a.x === b.x && a.y === b.y;
-  }
-
-  function posKey(p) {
-    return `${p.x},${p.y}`;
+    return rng.int(min, maxInclusive);
   }
 
   function drawRoundedRect(x, y, w, h, r) {
@@ -201,13 +278,7 @@
   }
 
   function getBestScore() {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    const n = raw ? Number(raw) : 0;
-    return Number.isFinite(n) ? n : 0;
-  }
-
-  function setBestScore(value) {
-    localStorage.setItem(STORAGE_KEY, String(value));
+    return window.ArcadeScores.best(scoreTable);
   }
 
   // The game state object. This holds all the game's state, including:
@@ -219,13 +290,13 @@
   // - game over state
   let state;
 
-  // Update the HUD lives display. We keep this in one place so:
-  // - snake can update it after collisions
-  // - reset can initialize it
-  // - stop can clear state and the UI can fall back to '-'
-  function updateLivesUi() {
-    if (!livesEl) return;
-    livesEl.textContent = state ? String(state.lives) : "-";
+  function emit(type, detail) {
+    events.emit(type, { game: GAME_ID, ...detail });
+  }
+
+  // The HUD belongs to app.js, which shows whatever the last "score" event said.
+  function emitScore() {
+    emit("score", { score: state.score, best: state.best, lives: state.lives });
   }
 
   // Respawn logic for continuing after a collision.
@@ -240,16 +311,19 @@
     state.dir = { x: 1, y: 0 };
     state.queuedDir = { x: 1, y: 0 };
     state.tickMs = INITIAL_SPEED_MS;
-    state.lastStepTs = 0;
+    state.moveMs = 0;
     state.particles = [];
     state.food = spawnFood();
     state.foodDir = [{ x: 1, y: 0 }, { x: -1, y: 0 }, { x: 0, y: 1 }, { x: 0, y: -1 }][
       randInt(0, 3)
     ];
-    state.lastFoodMoveTs = performance.now();
+    state.foodMoveMs = 0;
   }
 
   function resetState() {
+    rng = window.ArcadeRandom.create(seed ?? window.ArcadeRandom.randomSeed());
+    onRunStart({ seed: rng.seed });
+    if (gameLoop) gameLoop.reset();
     // Full reset used by start() and R-key restart.
     // This resets score, speed and also restores lives back to 3.
     state = {
@@ -257,26 +331,51 @@
       dir: { x: 1, y: 0 },
       queuedDir: { x: 1, y: 0 },
       foodDir: { x: 0, y: 0 },
-      lastFoodMoveTs: 0,
+      // Game time (ms) since the food last drifted.
+      foodMoveMs: 0,
       food: null,
       particles: [],
       score: 0,
       best: getBestScore(),
       // Lives are tracked at the game state level (not per snake segment).
-      lives: 3,
+      lives: LIVES,
+      // Longest the snake has been this run; a crash starts it over at 3 segments.
+      maxLength: 3,
       running: true,
       paused: false,
       bgHue: randInt(0, 359),
       tickMs: INITIAL_SPEED_MS,
-      lastStepTs: 0,
+      // Game time (ms) since the snake last moved.
+      moveMs: 0,
+      // Game time in ms: advances by STEP_MS per update() and stands still while
+      // paused, so every timer below is measured against it.
+      time: 0,
+      // Game time at which the "Life lost" message goes away (0: not showing).
+      lifeLostUntil: 0,
     };
 
     resetSnakePosition();
-    scoreEl.textContent = String(state.score);
-    bestEl.textContent = String(state.best);
-    updateLivesUi();
+    emitScore();
     hideOverlay();
-    draw(performance.now());
+    render(0);
+  }
+
+  function save() {
+    // The run in progress as plain data, for app.js to keep while the player is away
+    // (Esc, closed tab), or null when there's no run to come back to.
+    if (!state?.running) return null;
+    const { particles, best, paused, ...rest } = state;
+    return { seed: rng.seed, rng: rng.position(), state: JSON.parse(JSON.stringify(rest)) };
+  }
+
+  function restore(saved) {
+    // Picks a run from save() back up, paused until the player is ready.
+    rng = window.ArcadeRandom.create(saved.seed, saved.rng);
+    state = { ...saved.state, particles: [], best: getBestScore(), paused: false };
+    emitScore();
+    hideOverlay();
+    pause();
+    render(0);
   }
 
   function loseLife(reason) {
@@ -289,7 +388,8 @@
     playDieSound();
 
     state.lives = Math.max(0, state.lives - 1);
-    updateLivesUi();
+    emitScore();
+    emit("lifeLost", { lives: state.lives });
 
     if (state.lives <= 0) {
       gameOver();
@@ -299,19 +399,21 @@
     state.running = true;
     state.paused = false;
 
-    showOverlay("Life lost", `Lives left: ${state.lives}`);
-    if (lifeLostTimeoutId) window.clearTimeout(lifeLostTimeoutId);
-    lifeLostTimeoutId = window.setTimeout(() => {
-      lifeLostTimeoutId = null;
-      if (state && state.running && !state.paused) hideOverlay();
-    }, 800);
-
+    showLifeLost(800);
     resetSnakePosition();
   }
 
+  function showLifeLost(ms) {
+    // update() hides the message again once `ms` of game time has passed.
+    state.lifeLostUntil = state.time + ms;
+    showOverlay("Life lost", `Lives left: ${state.lives}`);
+  }
+
   function eatFoodAt(pos) {
     state.score += 1;
-    scoreEl.textContent = String(state.score);
+    state.maxLength = Math.max(state.maxLength, state.snake.length);
+    emitScore();
+    emit("foodEaten", { length: state.snake.length });
 
     playEatSound();
 
@@ -326,7 +428,7 @@
     state.foodDir = [{ x: 1, y: 0 }, { x: -1, y: 0 }, { x: 0, y: 1 }, { x: 0, y: -1 }][
       randInt(0, 3)
     ];
-    state.lastFoodMoveTs = performance.now();
+    state.foodMoveMs = 0;
   }
 
   function spawnFood() {
@@ -340,10 +442,6 @@
     return { x: 0, y: 0 };
   }
 
-  function isOpposite(a, b) {
-    return a.x === -b.x && a.y === -b.y;
-  }
-
   function queueDirection(next) {
     if (!state.running) return;
     if (state.paused) return;
@@ -355,24 +453,31 @@
     state.running = false;
     state.paused = false;
 
-    if (state.score > state.best) {
-      state.best = state.score;
-      setBestScore(state.best);
-    }
+    // The shell records the run (high-score table, initials prompt); the table's
+    // top entry is the best score from here on.
+    const details = { length: state.snake.length, maxLength: state.maxLength };
+    onGameOver({ score: state.score, details });
+    state.best = getBestScore();
 
-    bestEl.textContent = String(state.best);
-    showOverlay("Game Over", "Press R to restart");
+    emitScore();
+    emit("gameOver", { score: state.score, win: false, details, timeMs: state.time, livesLost: LIVES - state.lives });
+    showOverlay("Game Over", `Press ${keyLabel("restart")} to restart`);
   }
 
   function togglePause() {
     if (!state.running) return;
     state.paused = !state.paused;
-    if (state.paused) {
-      showOverlay("Paused", "Press Space to resume");
-    } else {
-      hideOverlay();
-      state.lastStepTs = performance.now();
-    }
+    emit("paused", { paused: state.paused });
+    // Game time stands still while paused, so timers need no adjusting; an
+    // unfinished "Life lost" message simply comes back on resume.
+    if (state.paused) showOverlay("Paused", `Press ${keyLabel("pause")} to resume`);
+    else if (state.lifeLostUntil) showOverlay("Life lost", `Lives left: ${state.lives}`);
+    else hideOverlay();
+  }
+
+  function pause() {
+    // Used by the shell when the tab is hidden or the window loses focus.
+    if (state?.running && !state.paused) togglePause();
   }
 
   function showOverlay(title, subtitle) {
@@ -390,38 +495,15 @@
     // Movement direction is queued by keyboard input, then applied here.
     state.dir = state.queuedDir;
 
-    const head = state.snake[0];
-    const nextHead = {
-      x: head.x + state.dir.x,
-      y: head.y + state.dir.y,
-    };
-
-    if (
-      nextHead.x < 0 ||
-      nextHead.x >= GRID_SIZE ||
-      nextHead.y < 0 ||
-      nextHead.y >= GRID_SIZE
-    ) {
-      // Wall collision -> lose a life.
-      loseLife("wall");
+    const moved = moveSnake(state.snake, state.dir, state.food);
+    if (moved.result === "wall" || moved.result === "self") {
+      // Crash -> lose a life.
+      loseLife(moved.result);
       return;
     }
 
-    for (let i = 0; i < state.snake.length; i += 1) {
-      if (samePos(state.snake[i], nextHead)) {
-        // Self collision -> lose a life.
-        loseLife("self");
-        return;
-      }
-    }
-
-    state.snake.unshift(nextHead);
-
-    if (samePos(nextHead, state.food)) {
-      eatFoodAt(state.food);
-    } else {
-      state.snake.pop();
-    }
+    state.snake = moved.snake;
+    if (moved.result === "eat") eatFoodAt(state.food);
   }
 
   function moveFoodOnce() {
@@ -458,8 +540,8 @@
   }
 
   function drawBackground() {
-    const w = canvas.width;
-    const h = canvas.height;
+    const w = WIDTH;
+    const h = HEIGHT;
 
     const hue = typeof state?.bgHue === "number" ? state.bgHue : 210;
 
@@ -510,41 +592,44 @@
   function spawnExplosion(foodPos) {
     const cx = foodPos.x * CELL + CELL / 2;
     const cy = foodPos.y * CELL + CELL / 2;
-    const now = performance.now();
 
     const count = 16;
     for (let i = 0; i < count; i += 1) {
-      const a = (Math.PI * 2 * i) / count + (Math.random() - 0.5) * 0.3;
+      const a = (Math.PI * 2 * i) / count + (rng.next() - 0.5) * 0.3;
       const speed = randInt(70, 170);
       state.particles.push({
         x: cx,
         y: cy,
+        // Position at the previous step, for interpolating between steps.
+        px: cx,
+        py: cy,
         vx: Math.cos(a) * speed,
         vy: Math.sin(a) * speed,
         r: randInt(2, 4),
-        born: now,
+        born: state.time,
         life: randInt(220, 340),
         hue: (state.bgHue + randInt(-20, 20) + 360) % 360,
       });
     }
   }
 
-  function updateParticles(ts) {
-    if (!state?.particles?.length) return;
-    const dt = Math.min(0.05, (ts - (state.lastParticleTs || ts)) / 1000);
-    state.lastParticleTs = ts;
+  function updateParticles() {
+    if (!state.particles.length) return;
+    const dt = STEP_MS / 1000;
 
     const drag = 0.92;
     const gravity = 420;
 
     for (let i = state.particles.length - 1; i >= 0; i -= 1) {
       const p = state.particles[i];
-      const age = ts - p.born;
+      const age = state.time - p.born;
       if (age >= p.life) {
         state.particles.splice(i, 1);
         continue;
       }
 
+      p.px = p.x;
+      p.py = p.y;
       p.vx *= Math.pow(drag, dt * 60);
       p.vy = p.vy * Math.pow(drag, dt * 60) + gravity * dt;
       p.x += p.vx * dt;
@@ -552,25 +637,27 @@
     }
   }
 
-  function drawParticles(ts) {
+  function drawParticles(alpha) {
     if (!state?.particles?.length) return;
+    const time = state.time + alpha * STEP_MS;
 
     ctx.save();
     ctx.globalCompositeOperation = "lighter";
 
     for (let i = 0; i < state.particles.length; i += 1) {
       const p = state.particles[i];
-      const age = ts - p.born;
+      const age = time - p.born;
       const t = clamp(age / p.life, 0, 1);
-      const alpha = (1 - t) * 0.9;
+      const x = p.px + (p.x - p.px) * alpha;
+      const y = p.py + (p.y - p.py) * alpha;
 
-      ctx.globalAlpha = alpha;
-      const grad = ctx.createRadialGradient(p.x, p.y, 0, p.x, p.y, p.r * 3.2);
+      ctx.globalAlpha = (1 - t) * 0.9;
+      const grad = ctx.createRadialGradient(x, y, 0, x, y, p.r * 3.2);
       grad.addColorStop(0, `hsla(${p.hue} 95% 70% / 1)`);
       grad.addColorStop(1, `hsla(${p.hue} 95% 55% / 0)`);
       ctx.fillStyle = grad;
       ctx.beginPath();
-      ctx.arc(p.x, p.y, p.r * 3.2, 0, Math.PI * 2);
+      ctx.arc(x, y, p.r * 3.2, 0, Math.PI * 2);
       ctx.fill();
     }
 
@@ -614,163 +701,190 @@
     }
   }
 
-  function draw(ts) {
+  function update() {
+    // One fixed step of game time, called by the game loop (loop.js).
+    // Everything stands still while paused; particles settle after game over.
+    if (!state || state.paused) return;
+    state.time += STEP_MS;
+    updateParticles();
+    if (!state.running) return;
+
+    if (state.lifeLostUntil && state.time >= state.lifeLostUntil) {
+      state.lifeLostUntil = 0;
+      hideOverlay();
+    }
+
+    state.moveMs += STEP_MS;
+    if (state.moveMs >= state.tickMs) {
+      state.moveMs -= state.tickMs;
+      step();
+      if (!state.running) return;
+    }
+
+    state.foodMoveMs += STEP_MS;
+    if (state.foodMoveMs >= FOOD_MOVE_MS) {
+      state.foodMoveMs -= FOOD_MOVE_MS;
+      moveFoodOnce();
+    }
+  }
+
+  function render(alpha) {
+    // Draws the current state; alpha (0..1) is how far the frame is into the next
+    // step. The snake moves cell by cell, so only the particles are interpolated.
+    if (!state) return;
+    window.ArcadeView.begin(ctx, canvas);
     drawBackground();
     drawFood();
     drawSnake();
-    drawParticles(ts ?? performance.now());
+    drawParticles(alpha);
   }
 
-  function loop(ts) {
-    if (!state) return;
+  function handleAction(action, pressed) {
+    // Named actions come from the input layer in app.js, which maps keys to
+    // them using the controls declared when registering the game.
+    if (!state || !pressed) return;
 
-    updateParticles(ts);
+    ensureAudio();
+    resumeAudioIfNeeded();
 
-    if (state.running && !state.paused) {
-      if (!state.lastStepTs) state.lastStepTs = ts;
-      const elapsed = ts - state.lastStepTs;
+    if (action === "pause") {
+      togglePause();
+      return;
+    }
 
-      if (elapsed >= state.tickMs) {
-        const steps = Math.min(5, Math.floor(elapsed / state.tickMs));
-        for (let i = 0; i < steps; i += 1) {
-          step();
-          if (!state.running) break;
-        }
-        state.lastStepTs = ts;
-      }
+    if (action === "restart") {
+      resetState();
+      return;
+    }
 
-      if (!state.lastFoodMoveTs) state.lastFoodMoveTs = ts;
-      if (ts - state.lastFoodMoveTs >= FOOD_MOVE_MS) {
-        const foodSteps = Math.min(3, Math.floor((ts - state.lastFoodMoveTs) / FOOD_MOVE_MS));
-        for (let i = 0; i < foodSteps; i += 1) moveFoodOnce();
-        state.lastFoodMoveTs = ts;
-      }
+    if (action === "up") {
+      queueDirection({ x: 0, y: -1 });
+      return;
+    }
+
+    if (action === "down") {
+      queueDirection({ x: 0, y: 1 });
+      return;
     }
 
-    draw(ts);
-    rafId = requestAnimationFrame(loop);
+    if (action === "left") {
+      queueDirection({ x: -1, y: 0 });
+      return;
+    }
+
+    if (action === "right") {
+      queueDirection({ x: 1, y: 0 });
+    }
   }
 
   function attachListeners() {
     if (runningAttached) return;
     runningAttached = true;
 
-    keydownHandler = (e) => {
-      ensureAudio();
-      resumeAudioIfNeeded();
-
-      const key = e.key.toLowerCase();
-
-      if (key === " " || key === "spacebar") {
-        e.preventDefault();
-        togglePause();
-        return;
-      }
-
-      if (key === "r") {
-        resetState();
-        return;
-      }
-
-      if (key === "m") {
-        toggleMuted();
-        return;
-      }
-
-      if (key === "arrowup" || key === "w") {
-        e.preventDefault();
-        queueDirection({ x: 0, y: -1 });
-        return;
-      }
-
-      if (key === "arrowdown" || key === "s") {
-        e.preventDefault();
-        queueDirection({ x: 0, y: 1 });
-        return;
-      }
-
-      if (key === "arrowleft" || key === "a") {
-        e.preventDefault();
-        queueDirection({ x: -1, y: 0 });
-        return;
-      }
-
-      if (key === "arrowright" || key === "d") {
-        e.preventDefault();
-        queueDirection({ x: 1, y: 0 });
-      }
-    };
-
     pointerdownHandler = () => {
       ensureAudio();
       resumeAudioIfNeeded();
     };
 
-    window.addEventListener("keydown", keydownHandler);
     window.addEventListener("pointerdown", pointerdownHandler, { passive: true });
   }
 
   function detachListeners() {
     if (!runningAttached) return;
     runningAttached = false;
-    window.removeEventListener("keydown", keydownHandler);
     window.removeEventListener("pointerdown", pointerdownHandler);
   }
 
   function start({
     canvas: c,
-    scoreEl: s,
-    bestEl: b,
-    livesEl: l,
     overlayEl: o,
     overlayTitleEl: ot,
     overlaySubtitleEl: os,
+    keyLabel: kl,
+    onGameOver: og,
+    onRunStart: rs,
+    clock: ck,
+    events: ev,
+    seed: sd = null,
+    scoreTable: st,
+    resume = null,
   }) {
     // Bootstraps the game with DOM elements provided by app.js.
-    // This is how the game updates the HUD and overlay without owning the layout.
+    // This is how the game updates the overlay without owning the layout; the HUD
+    // follows the "score" events sent to `events`.
     canvas = c;
     ctx = canvas.getContext("2d");
-    CELL = Math.floor(canvas.width / GRID_SIZE);
 
-    scoreEl = s;
-    bestEl = b;
-    livesEl = l;
     overlayEl = o;
     overlayTitleEl = ot;
     overlaySubtitleEl = os;
+    if (kl) keyLabel = kl;
+    if (og) onGameOver = og;
+    if (rs) onRunStart = rs;
+    if (ck) clock = ck;
+    events = ev || window.ArcadeEvents;
+    seed = sd;
+    scoreTable = st || GAME_ID;
 
     attachListeners();
-    resetState();
-    if (rafId != null) cancelAnimationFrame(rafId);
-    rafId = requestAnimationFrame(loop);
+    if (resume) restore(resume);
+    else resetState();
+    if (gameLoop) gameLoop.stop();
+    gameLoop = window.ArcadeLoop.create({ clock, update, render });
+    gameLoop.start();
+  }
+
+  function getState() {
+    // Live state for tests (see tools/headless.js).
+    return state;
   }
 
   function stop() {
-    // Stop rendering, detach input handlers, and clear state.
-    if (rafId != null) cancelAnimationFrame(rafId);
-    rafId = null;
+    // Stop the loop, detach input handlers, and clear state.
+    if (gameLoop) gameLoop.stop();
+    gameLoop = null;
     detachListeners();
-    if (lifeLostTimeoutId) window.clearTimeout(lifeLostTimeoutId);
-    lifeLostTimeoutId = null;
     if (overlayEl) overlayEl.hidden = true;
     state = null;
   }
 
-  function setMutedExternal(muted) {
-    setMuted(muted);
-  }
-
-  function toggleMutedExternal() {
-    toggleMuted();
-  }
-
   return {
     start,
     stop,
-    setMuted: setMutedExternal,
-    toggleMuted: toggleMutedExternal,
+    pause,
+    save,
+    handleAction,
+    getState,
   };
   }
 
-  window.SnakeGame = createSnakeGame();
+  window.Arcade.register({
+    id: "snake",
+    title: "Snake",
+    subtitle: "Eat apples. Don’t crash.",
+    // Snake exposes a lives system (3 lives per run) and keeps the HUD updated.
+    hasLives: true,
+    // Extra high-score table columns, read from the details passed to onGameOver.
+    scoreDetails: [
+      { key: "length", label: "Length" },
+      { key: "maxLength", label: "Longest" },
+    ],
+    controls: {
+      up: { label: "Move up", keys: ["arrowup", "w"], buttons: [12] },
+      down: { label: "Move down", keys: ["arrowdown", "s"], buttons: [13] },
+      left: { label: "Move left", keys: ["arrowleft", "a"], buttons: [14] },
+      right: { label: "Move right", keys: ["arrowright", "d"], buttons: [15] },
+      pause: { label: "Pause", keys: ["p", " "], buttons: [9] },
+      restart: { label: "Restart", keys: ["r"], buttons: [3] },
+    },
+    touch: {
+      swipe: { up: "up", down: "down", left: "left", right: "right" },
+      pad: { up: "up", down: "down", left: "left", right: "right" },
+      buttons: ["pause", "restart"],
+    },
+    // Pure rules, for tests (test/snake.test.js).
+    logic: { GRID_SIZE, samePos, isOpposite, moveSnake },
+    autopilot: createAutopilot,
+    create: createSnakeGame,
+  });
 })();
@@ -0,0 +1,211 @@
+(() => {
+  function createStats() {
+    // Lifetime statistics: every finished run of live play, logged from the
+    // "gameOver" events games send on the event bus (events.js).
+    // Run: { id, game, date (ISO string), durationMs, score, livesLost, win,
+    //   details: { lines: 12, ... } }
+    // `durationMs` is game time, pauses excluded; `livesLost` is null for games
+    // without lives; `details` are the game's own numbers, as for the high-score table.
+    // The last MAX_RUNS runs are kept, oldest first, under "stats:runs".
+    const STORAGE_KEY = "stats:runs";
+    const MAX_RUNS = 2000;
+    // The score chart shows this many of the latest runs.
+    const CHART_RUNS = 50;
+    const storage = window.ArcadeStorage;
+
+    function isRun(run) {
+      return Boolean(run) && typeof run.game === "string" && Number.isFinite(run.score);
+    }
+
+    function load() {
+      const stored = storage.get(STORAGE_KEY, []);
+      return Array.isArray(stored) ? stored.filter(isRun) : [];
+    }
+
+    function runs(gameId) {
+      // Oldest first; every game's runs when `gameId` is left out.
+      const all = load();
+      return gameId ? all.filter((run) => run.game === gameId) : all;
+    }
+
+    function makeId() {
+      return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+    }
+
+    function record({ game, score, durationMs = 0, livesLost = null, win = false, details = {} }) {
+      const run = {
+        id: makeId(),
+        game,
+        date: new Date().toISOString(),
+        durationMs: Math.max(0, Math.round(durationMs)),
+        score,
+        livesLost,
+        win: Boolean(win),
+        details: { ...details },
+      };
+      storage.set(STORAGE_KEY, [...load(), run].slice(-MAX_RUNS));
+      return run;
+    }
+
+    function watch({ events }) {
+      // Logs every run that ends on `events`. Returns a function to stop.
+      return events.on("gameOver", (e) =>
+        record({
+          game: e.game,
+          score: e.score,
+          durationMs: e.timeMs,
+          livesLost: e.livesLost ?? null,
+          win: e.win,
+          details: e.details,
+        }),
+      );
+    }
+
+    function summarize(list) {
+      // Totals and averages over `list`; averages are 0 for no runs.
+      const count = list.length;
+      const sum = (pick) => list.reduce((total, run) => total + (Number(pick(run)) || 0), 0);
+      const totalScore = sum((run) => run.score);
+      const playTimeMs = sum((run) => run.durationMs);
+      return {
+        runs: count,
+        wins: list.filter((run) => run.win).length,
+        totalScore,
+        bestScore: list.reduce((best, run) => Math.max(best, run.score), 0),
+        averageScore: count ? totalScore / count : 0,
+        playTimeMs,
+        averageTimeMs: count ? playTimeMs / count : 0,
+        livesLost: sum((run) => run.livesLost),
+        // Average of each game-specific number, over the runs that have it.
+        details: averageDetails(list),
+      };
+    }
+
+    function averageDetails(list) {
+      const totals = {};
+      list.forEach((run) => {
+        Object.keys(run.details || {}).forEach((key) => {
+          const value = Number(run.details[key]);
+          if (!Number.isFinite(value)) return;
+          const t = totals[key] || (totals[key] = { sum: 0, count: 0 });
+          t.sum += value;
+          t.count += 1;
+        });
+      });
+      const averages = {};
+      Object.keys(totals).forEach((key) => {
+        averages[key] = totals[key].sum / totals[key].count;
+      });
+      return averages;
+    }
+
+    function csvCell(value) {
+      if (value == null) return "";
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function toCsv(list) {
+      // One row per run; each game-specific number gets its own column.
+      const detailKeys = [...new Set(list.flatMap((run) => Object.keys(run.details || {})))].sort();
+      const header = ["date", "game", "score", "duration_s", "lives_lost", "win", ...detailKeys];
+      const rows = list.map((run) => [
+        run.date,
+        run.game,
+        run.score,
+        (run.durationMs / 1000).toFixed(1),
+        run.livesLost,
+        run.win ? "yes" : "no",
+        ...detailKeys.map((key) => run.details?.[key]),
+      ]);
+      return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+    }
+
+    function drawScoreChart(canvas, list) {
+      // Score of each of the last CHART_RUNS runs in `list`, oldest on the left, as
+      // a line over a light grid; the first and last run's dates go underneath.
+      const ctx = canvas.getContext("2d");
+      const { width, height } = canvas;
+      const shown = list.slice(-CHART_RUNS);
+      const pad = { left: 40, right: 12, top: 12, bottom: 22 };
+      const plotW = width - pad.left - pad.right;
+      const plotH = height - pad.top - pad.bottom;
+
+      ctx.clearRect(0, 0, width, height);
+      ctx.font = "11px ui-sans-serif, system-ui, sans-serif";
+      ctx.textBaseline = "middle";
+      if (!shown.length) {
+        ctx.fillStyle = "rgba(255,255,255,0.6)";
+        ctx.textAlign = "center";
+        ctx.fillText("No runs yet", width / 2, height / 2);
+        return;
+      }
+
+      const top = Math.max(1, ...shown.map((run) => run.score));
+      const x = (i) => pad.left + (shown.length === 1 ? plotW / 2 : (i / (shown.length - 1)) * plotW);
+      const y = (score) => pad.top + plotH - (score / top) * plotH;
+
+      ctx.strokeStyle = "rgba(255,255,255,0.12)";
+      ctx.fillStyle = "rgba(255,255,255,0.6)";
+      ctx.textAlign = "right";
+      ctx.lineWidth = 1;
+      [0, 0.5, 1].forEach((f) => {
+        const gy = y(top * f);
+        ctx.beginPath();
+        ctx.moveTo(pad.left, gy);
+        ctx.lineTo(width - pad.right, gy);
+        ctx.stroke();
+        ctx.fillText(String(Math.round(top * f)), pad.left - 6, gy);
+      });
+
+      ctx.strokeStyle = "#7affae";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      shown.forEach((run, i) => {
+        if (i === 0) ctx.moveTo(x(i), y(run.score));
+        else ctx.lineTo(x(i), y(run.score));
+      });
+      ctx.stroke();
+
+      ctx.fillStyle = "#7affae";
+      shown.forEach((run, i) => {
+        ctx.beginPath();
+        ctx.arc(x(i), y(run.score), 2.5, 0, Math.PI * 2);
+        ctx.fill();
+      });
+
+      const date = (run) => new Date(run.date).toLocaleDateString();
+      ctx.fillStyle = "rgba(255,255,255,0.6)";
+      ctx.textAlign = "left";
+      ctx.fillText(date(shown[0]), pad.left, height - pad.bottom / 2);
+      ctx.textAlign = "right";
+      ctx.fillText(date(shown[shown.length - 1]), width - pad.right, height - pad.bottom / 2);
+    }
+
+    function combine(a, b) {
+      // Merge two histories (e.g. local and imported): runs in both (same id) are
+      // counted once, and the result is in date order and capped like any history.
+      const byId = new Map();
+      [...(a || []), ...(b || [])].forEach((run) => {
+        if (isRun(run) && !byId.has(run.id)) byId.set(run.id, run);
+      });
+      return [...byId.values()]
+        .sort((x, y) => String(x.date).localeCompare(String(y.date)))
+        .slice(-MAX_RUNS);
+    }
+
+    return {
+      STORAGE_KEY,
+      MAX_RUNS,
+      runs,
+      record,
+      watch,
+      summarize,
+      toCsv,
+      drawScoreChart,
+      combine,
+    };
+  }
+
+  window.ArcadeStats = createStats();
+})();
@@ -0,0 +1,163 @@
+(() => {
+  function createStorage() {
+    // Single home for everything the arcade persists (scores, settings, saves).
+    // Values are JSON under versioned, namespaced keys: "arcade:v1:<key>", e.g.
+    //   arcade:v1:scores:tetris      high-score table
+    //   arcade:v1:settings:bindings  key binding overrides
+    // Reads are served from an in-memory copy. When localStorage is missing or throws
+    // (privacy modes, sandboxed iframes), data lives on in memory for the session
+    // instead of crashing the caller. A write that doesn't fit (quota) is kept in
+    // memory only; everything else goes on being saved.
+    const VERSION = 1;
+    const PREFIX = `arcade:v${VERSION}:`;
+    const VERSION_KEY = "arcade:version";
+
+    const memory = new Map();
+    let backend = openBackend();
+
+    function openBackend() {
+      try {
+        const ls = window.localStorage;
+        const probe = `${PREFIX}__probe__`;
+        ls.setItem(probe, "1");
+        ls.removeItem(probe);
+        return ls;
+      } catch {
+        return null;
+      }
+    }
+
+    function write(fullKey, text) {
+      // Whether the value reached localStorage. One that doesn't fit fails on its
+      // own; smaller writes after it may well succeed.
+      if (!backend) return false;
+      try {
+        backend.setItem(fullKey, text);
+        return true;
+      } catch {
+        return false;
+      }
+    }
+
+    function erase(fullKey) {
+      if (!backend) return;
+      try {
+        backend.removeItem(fullKey);
+      } catch {
+        // Left behind; it's read back on the next load, like a failed write's old value.
+      }
+    }
+
+    function readRaw(fullKey) {
+      try {
+        return backend ? backend.getItem(fullKey) : null;
+      } catch {
+        return null;
+      }
+    }
+
+    function parse(text) {
+      try {
+        return { ok: true, value: JSON.parse(text) };
+      } catch {
+        return { ok: false };
+      }
+    }
+
+    // Migrations from older layouts, keyed by the version they upgrade to. Each one
+    // reads legacy keys and returns [[key, value], ...] to store plus old keys to drop.
+    const MIGRATIONS = {
+      1: migrateToV1,
+    };
+
+    function migrateToV1() {
+      // Released builds kept one number per game under "<id>_best_score". Games
+      // without a table yet get it as an anonymous entry so the best score isn't lost.
+      const entries = [];
+      const obsolete = [];
+      const legacyKeys = [];
+      for (let i = 0; i < backend.length; i += 1) legacyKeys.push(backend.key(i));
+
+      legacyKeys.forEach((oldKey) => {
+        const match = /^(.+)_best_score$/.exec(oldKey);
+        if (!match) return;
+        obsolete.push(oldKey);
+        const key = `scores:${match[1]}`;
+        const score = Number(readRaw(oldKey));
+        if (readRaw(PREFIX + key) != null || !Number.isFinite(score) || score <= 0) return;
+        entries.push([key, [{ id: `legacy-${match[1]}`, initials: "---", score, date: null, details: {} }]]);
+      });
+
+      return { entries, obsolete };
+    }
+
+    function migrate() {
+      if (!backend) return;
+      const from = Number(readRaw(VERSION_KEY)) || 0;
+      for (let v = from + 1; v <= VERSION; v += 1) {
+        const { entries, obsolete } = MIGRATIONS[v]();
+        // This session has the migrated values even if some can't be saved.
+        entries.forEach(([key, value]) => memory.set(key, value));
+        const written = entries.map(([key, value]) => write(PREFIX + key, JSON.stringify(value)));
+        // Only drop the old keys once the new ones are safely written; otherwise the
+        // migration runs again on the next load.
+        if (!written.every(Boolean)) return;
+        obsolete.forEach(erase);
+      }
+      write(VERSION_KEY, String(VERSION));
+    }
+
+    function loadAll() {
+      if (!backend) return;
+      for (let i = 0; i < backend.length; i += 1) {
+        const fullKey = backend.key(i);
+        if (!fullKey || !fullKey.startsWith(PREFIX)) continue;
+        const parsed = parse(readRaw(fullKey));
+        // Corrupt values are skipped; callers fall back to their defaults.
+        if (parsed.ok) memory.set(fullKey.slice(PREFIX.length), parsed.value);
+      }
+    }
+
+    function clone(value) {
+      // Callers get their own copy, so mutating a result never changes stored data.
+      return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    function get(key, fallback = null) {
+      return memory.has(key) ? clone(memory.get(key)) : fallback;
+    }
+
+    function set(key, value) {
+      // Returns whether the value was saved for later sessions too.
+      memory.set(key, clone(value));
+      return write(PREFIX + key, JSON.stringify(value));
+    }
+
+    function remove(key) {
+      memory.delete(key);
+      erase(PREFIX + key);
+    }
+
+    function keys(prefix = "") {
+      return [...memory.keys()].filter((k) => k.startsWith(prefix)).sort();
+    }
+
+    function isPersistent() {
+      return Boolean(backend);
+    }
+
+    migrate();
+    loadAll();
+
+    return {
+      VERSION,
+      get,
+      set,
+      remove,
+      keys,
+      isPersistent,
+    };
+  }
+
+  window.ArcadeStorage = createStorage();
+})();
@@ -0,0 +1,116 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadGame } = require("../tools/headless");
+
+function watched(id, options) {
+  // A game whose events count towards the achievements, with the unlocks it made.
+  const game = loadGame(id, options);
+  const unlocks = [];
+  game.window.ArcadeAchievements.watch({
+    events: game.window.ArcadeEvents,
+    onUnlock: (a) => unlocks.push(a.id),
+  });
+  const standing = (achievementId) =>
+    game.window.ArcadeAchievements.list().find((a) => a.id === achievementId);
+  return { game, unlocks, standing };
+}
+
+test("progress builds up towards the goal and unlocks once", () => {
+  const { game, unlocks, standing } = watched("snake", { seed: 6 });
+  const bus = game.window.ArcadeEvents;
+  bus.emit("foodEaten", { game: "snake", length: 20 });
+  assert.equal(standing("snake-length").progress, 20);
+
+  // A shorter snake later doesn't undo the best so far.
+  bus.emit("foodEaten", { game: "snake", length: 4 });
+  assert.equal(standing("snake-length").progress, 20);
+  assert.equal(standing("snake-food").progress, 2);
+
+  bus.emit("foodEaten", { game: "snake", length: 50 });
+  bus.emit("foodEaten", { game: "snake", length: 51 });
+  assert.deepEqual(unlocks, ["snake-length"]);
+  assert.equal(standing("snake-length").progress, 50);
+  assert.ok(standing("snake-length").unlockedAt);
+});
+
+test("events from other games don't count", () => {
+  const { game, standing } = watched("tetris", { seed: 3 });
+  game.window.ArcadeEvents.emit("foodEaten", { game: "tetris", length: 60 });
+  assert.equal(standing("snake-length").progress, 0);
+});
+
+test("all four ghosts must be eaten on the same power pellet", () => {
+  const { game, unlocks, standing } = watched("pacman", { seed: 4 });
+  const bus = game.window.ArcadeEvents;
+  const eat = (ghost) => bus.emit("ghostEaten", { game: "pacman", points: 200, ghost });
+
+  eat(0);
+  assert.equal(standing("pacman-ghosts").progress, 0);
+
+  bus.emit("powerPellet", { game: "pacman" });
+  eat(0);
+  eat(0);
+  eat(1);
+  assert.equal(standing("pacman-ghosts").progress, 2);
+
+  bus.emit("powerPellet", { game: "pacman" });
+  [0, 1, 2, 3].forEach(eat);
+  assert.deepEqual(unlocks, ["pacman-ghosts"]);
+});
+
+function winBreakout(game, lives) {
+  // Breaks the last brick standing with `lives` left.
+  const state = game.state();
+  game.tap("launch");
+  state.lives = lives;
+  state.bricks.forEach((br, i) => {
+    if (i > 0) br.alive = false;
+  });
+  const brick = state.bricks[0];
+  const x = brick.x + brick.w / 2;
+  const y = brick.y + brick.h + 8;
+  Object.assign(state.ball, { x, y, vx: 0, vy: -300, px: x, py: y, attached: false });
+  game.advance(40);
+  assert.equal(game.overlay().title, "You Win");
+}
+
+test("a Breakout win only counts as flawless with every life left", () => {
+  const dented = watched("breakout", { seed: 2 });
+  winBreakout(dented.game, 2);
+  assert.equal(dented.standing("breakout-flawless").unlockedAt, null);
+
+  const flawless = watched("breakout", { seed: 2 });
+  winBreakout(flawless.game, 3);
+  assert.deepEqual(flawless.unlocks, ["breakout-flawless"]);
+});
+
+test("a four-line clear in Tetris unlocks Tetris!", () => {
+  const { game, unlocks } = watched("tetris", { seed: 3 });
+  const state = game.state();
+  const { COLS, ROWS, PIECES, rotateCW } = game.logic;
+  for (let y = ROWS - 4; y < ROWS; y += 1) {
+    for (let x = 1; x < COLS; x += 1) state.board[y][x] = "#999";
+  }
+  // Vertical I: column 2 of its matrix drops into the gap in column 0.
+  state.active = { kind: "I", color: PIECES.I.color, cells: rotateCW(PIECES.I.cells) };
+  state.ax = -2;
+  state.ay = 0;
+
+  game.tap("hardDrop");
+  assert.equal(state.lines, 4);
+  assert.deepEqual(unlocks, ["tetris-four"]);
+});
+
+test("combine keeps the further progress and the earlier unlock", () => {
+  const { game } = watched("snake");
+  const combined = game.window.ArcadeAchievements.combine(
+    { "snake-food": { progress: 30, unlockedAt: null }, "tetris-four": { progress: 1, unlockedAt: "2026-02-01" } },
+    { "snake-food": { progress: 12, unlockedAt: null }, "tetris-four": { progress: 1, unlockedAt: "2026-01-05" } },
+  );
+  assert.deepEqual(combined, {
+    "snake-food": { progress: 30, unlockedAt: null },
+    "tetris-four": { progress: 1, unlockedAt: "2026-01-05" },
+  });
+});
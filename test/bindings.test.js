@@ -0,0 +1,53 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts } = require("../tools/headless");
+
+function loadBindings() {
+  return loadScripts(["storage.js", "bindings.js"]).ArcadeBindings;
+}
+
+// Tetris-like defaults: rotateCCW's "z" stands for a default added after the player
+// had already picked their own keys.
+const CONTROLS = {
+  rotate: { label: "Rotate", keys: ["arrowup", "w"] },
+  rotateCCW: { label: "Rotate CCW", keys: ["z"] },
+  hardDrop: { label: "Hard drop", keys: [" "] },
+};
+
+test("overrides replace an action's defaults, keys normalized", () => {
+  const bindings = loadBindings();
+  bindings.setKeys("tetris", "hardDrop", ["Enter", "Spacebar"]);
+  assert.deepEqual(JSON.parse(JSON.stringify(bindings.resolve("tetris", CONTROLS))), {
+    rotate: ["arrowup", "w"],
+    rotateCCW: ["z"],
+    hardDrop: ["enter", " "],
+  });
+  assert.deepEqual(bindings.conflicts("tetris", CONTROLS), []);
+});
+
+test("a new default gives way to a key the player bound themselves, and says so", () => {
+  const bindings = loadBindings();
+  bindings.setKeys("tetris", "hardDrop", ["z"]);
+  const bound = bindings.resolve("tetris", CONTROLS);
+  assert.equal(bindings.findAction(bound, "z"), "hardDrop");
+  assert.deepEqual([...bound.rotateCCW], []);
+  assert.deepEqual(JSON.parse(JSON.stringify(bindings.conflicts("tetris", CONTROLS))), [
+    { action: "rotateCCW", key: "z" },
+  ]);
+});
+
+test("a game's own keys beat global defaults they clash with", () => {
+  const bindings = loadBindings();
+  const global = { menu: { label: "Menu", keys: ["escape"] }, fullscreen: { label: "Fullscreen", keys: ["f"] } };
+  bindings.setKeys("snake", "left", ["f"]);
+
+  const claimed = bindings.customKeys("snake");
+  assert.deepEqual([...claimed], ["f"]);
+  assert.deepEqual([...bindings.resolve("global", global, claimed).fullscreen], []);
+  assert.deepEqual([...bindings.resolve("global", global).fullscreen], ["f"]);
+  assert.deepEqual(JSON.parse(JSON.stringify(bindings.conflicts("global", global, claimed))), [
+    { action: "fullscreen", key: "f" },
+  ]);
+});
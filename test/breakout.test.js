@@ -0,0 +1,154 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadGame, loadArcade } = require("../tools/headless");
+
+const { circleRectHit } = loadArcade().Arcade.get("breakout").logic;
+
+function launched(game) {
+  // Launches the ball; tests then aim() it wherever they need it.
+  const state = game.state();
+  game.tap("launch");
+  return state;
+}
+
+function aim(state, { x, y, vx, vy }) {
+  // Places the ball in flight, with no interpolation trail.
+  Object.assign(state.ball, { x, y, vx, vy, px: x, py: y, attached: false });
+}
+
+test("circleRectHit touches edges and corners within the radius", () => {
+  const rect = { x: 100, y: 100, w: 40, h: 20 };
+  assert.equal(circleRectHit(120, 110, 5, rect), true);
+  assert.equal(circleRectHit(95, 110, 5, rect), true);
+  assert.equal(circleRectHit(94, 110, 5, rect), false);
+  assert.equal(circleRectHit(120, 126, 6, rect), true);
+  assert.equal(circleRectHit(144, 124, 5, rect), false);
+  assert.equal(circleRectHit(143, 123, 5, rect), true);
+});
+
+test("the ball sits on the paddle until launched", () => {
+  const game = loadGame("breakout", { seed: 2 });
+  const state = game.state();
+  game.press("right");
+  game.advance(200);
+  game.release("right");
+  assert.equal(state.ball.attached, true);
+  assert.equal(state.ball.x, state.paddle.x + state.paddle.w / 2);
+
+  game.tap("launch");
+  game.step();
+  assert.equal(state.ball.attached, false);
+  assert.ok(state.ball.vy < 0);
+});
+
+test("a ball hitting a brick from below breaks it and bounces down", () => {
+  const game = loadGame("breakout", { seed: 2 });
+  const state = launched(game);
+  const brick = state.bricks[state.bricks.length - 1];
+  aim(state, { x: brick.x + brick.w / 2, y: brick.y + brick.h + 8, vx: 0, vy: -300 });
+
+  game.advance(40);
+  assert.equal(brick.alive, false);
+  assert.equal(game.score(), 50);
+  assert.ok(state.ball.vy > 0);
+  assert.equal(state.ball.vx, 0);
+});
+
+test("a broken brick goes out on the event bus with the bricks left", () => {
+  const game = loadGame("breakout", { seed: 2 });
+  const state = launched(game);
+  const brick = state.bricks[state.bricks.length - 1];
+  aim(state, { x: brick.x + brick.w / 2, y: brick.y + brick.h + 8, vx: 0, vy: -300 });
+
+  game.advance(40);
+  const broken = game.events.filter((e) => e.type === "brickBroken");
+  assert.deepEqual(broken, [{ type: "brickBroken", game: "breakout", points: 50, left: state.bricks.length - 1 }]);
+});
+
+test("a ball hitting a brick's side bounces sideways", () => {
+  const game = loadGame("breakout", { seed: 2 });
+  const state = launched(game);
+  const brick = state.bricks[state.bricks.length - 1];
+  aim(state, { x: brick.x + brick.w + 8, y: brick.y + brick.h / 2, vx: -300, vy: 0 });
+
+  game.advance(40);
+  assert.equal(brick.alive, false);
+  assert.ok(state.ball.vx > 0);
+});
+
+test("only one brick breaks per step", () => {
+  const game = loadGame("breakout", { seed: 2 });
+  const state = launched(game);
+  const [a, b] = state.bricks;
+  // Straddling the gap between the first two bricks of the top row.
+  aim(state, { x: a.x + a.w + 3, y: a.y + a.h + 5, vx: 0, vy: -300 });
+
+  game.step();
+  assert.equal([a, b].filter((br) => !br.alive).length, 1);
+});
+
+test("dropping the ball costs a life and re-attaches it", () => {
+  const game = loadGame("breakout", { seed: 2 });
+  const state = launched(game);
+  aim(state, { x: 20, y: 470, vx: 0, vy: 300 });
+
+  game.advance(200);
+  assert.equal(game.lives(), 2);
+  assert.equal(state.ball.attached, true);
+  assert.equal(game.overlay().title, "Life lost");
+
+  game.advance(700);
+  assert.equal(game.overlay().hidden, true);
+});
+
+test("losing the last ball ends the game", () => {
+  const game = loadGame("breakout", { seed: 2 });
+  const state = game.state();
+  for (let i = 0; i < 3; i += 1) {
+    game.tap("launch");
+    aim(state, { x: 20, y: 470, vx: 0, vy: 300 });
+    game.advance(200);
+  }
+  assert.equal(game.lives(), 0);
+  assert.equal(state.running, false);
+  assert.deepEqual(game.gameOvers, [{ score: 0, details: { bricks: 0 } }]);
+  assert.equal(game.overlay().title, "Game Over");
+});
+
+test("breaking the last brick wins", () => {
+  const game = loadGame("breakout", { seed: 2 });
+  const state = launched(game);
+  state.bricks.forEach((br, i) => {
+    if (i > 0) br.alive = false;
+  });
+  const brick = state.bricks[0];
+  aim(state, { x: brick.x + brick.w / 2, y: brick.y + brick.h + 8, vx: 0, vy: -300 });
+
+  game.advance(40);
+  assert.equal(state.running, false);
+  assert.equal(game.overlay().title, "You Win");
+  assert.equal(game.gameOvers[0].details.bricks, state.bricks.length);
+});
+
+test("the autopilot launches the ball and keeps it in play", () => {
+  const game = loadGame("breakout", { seed: 5 });
+  game.autoplay(10000);
+  assert.ok(game.state().bricks.some((br) => !br.alive));
+  assert.equal(game.lives(), 3);
+});
+
+test("a saved run comes back paused and carries on identically", () => {
+  const game = loadGame("breakout", { seed: 5 });
+  game.autoplay(3000);
+  const resumed = loadGame("breakout", { resume: game.save() });
+  assert.equal(resumed.overlay().title, "Paused");
+  assert.equal(resumed.score(), game.score());
+
+  resumed.tap("pause");
+  game.advance(2000);
+  resumed.advance(2000);
+  assert.deepEqual(resumed.state().ball, game.state().ball);
+  assert.deepEqual(resumed.state().bricks, game.state().bricks);
+});
@@ -0,0 +1,144 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts } = require("../tools/headless");
+const { createRecordingContext } = require("../tools/snapshot");
+
+function fakeClassList() {
+  const names = new Set();
+  return {
+    contains: (name) => names.has(name),
+    toggle: (name, on) => (on ? names.add(name) : names.delete(name)),
+  };
+}
+
+function setup({ width = 1366, height = 768 } = {}) {
+  // A page with the game section and its canvas, and a browser whose fullscreen
+  // requests succeed straight away.
+  const listeners = {};
+  const on = (type, fn) => {
+    listeners[type] = fn;
+  };
+  const document = {
+    fullscreenEnabled: true,
+    fullscreenElement: null,
+    addEventListener: on,
+    exitFullscreen() {
+      document.fullscreenElement = null;
+      listeners.fullscreenchange();
+      return Promise.resolve();
+    },
+  };
+  const element = {
+    clientWidth: width,
+    clientHeight: height,
+    classList: fakeClassList(),
+    requestFullscreen() {
+      document.fullscreenElement = element;
+      listeners.fullscreenchange();
+      return Promise.resolve();
+    },
+  };
+  const canvas = { width: 480, height: 480, style: { width: "", height: "" } };
+
+  let now = 1000;
+  const window = loadScripts(["view.js", "fullscreen.js"], { document, performance: { now: () => now } });
+  window.addEventListener = on;
+  const changes = [];
+  const hud = [
+    ["Score", "120"],
+    ["Best", "300"],
+    ["Lives", "2"],
+  ];
+  const fullscreen = window.ArcadeFullscreen.create({
+    element,
+    canvas,
+    hudItems: () => hud,
+    onChange: (active) => changes.push(active),
+  });
+  fullscreen.attach();
+  return {
+    window,
+    fullscreen,
+    document,
+    element,
+    canvas,
+    changes,
+    resize: () => listeners.resize(),
+    later: (ms) => {
+      now += ms;
+    },
+  };
+}
+
+test("fullscreen sizes the canvas to the largest play area that fits under the HUD strip", () => {
+  const page = setup({ width: 1366, height: 768 });
+  page.fullscreen.enter();
+  assert.equal(page.fullscreen.isActive(), true);
+  assert.deepEqual(page.changes, [true]);
+  // 480 logical units of play area plus a 32-unit strip, at 1.5x to fill the height.
+  assert.equal(page.canvas.style.width, "720px");
+  assert.equal(page.canvas.style.height, "768px");
+
+  // A tall, narrow screen (phone held upright): the width is the limit.
+  page.element.clientWidth = 390;
+  page.element.clientHeight = 844;
+  page.resize();
+  assert.equal(page.canvas.style.width, "390px");
+  assert.equal(page.canvas.style.height, "416px");
+});
+
+test("the HUD strip is drawn on the canvas, above the play area", () => {
+  const page = setup();
+  page.fullscreen.enter();
+  // As view.attach() sizes the backing store for the canvas above.
+  page.canvas.width = 720;
+  page.canvas.height = 768;
+  const recorder = createRecordingContext();
+  page.window.ArcadeView.begin(recorder.context, page.canvas);
+
+  const lines = recorder.text();
+  assert.match(lines, /fillText\("Score: 120", 80, 16\)/);
+  assert.match(lines, /fillText\("Best: 300", 240, 16\)/);
+  assert.match(lines, /fillText\("Lives: 2", 400, 16\)/);
+  // The game then draws 1.5x, starting right under the 48px strip.
+  assert.equal(recorder.log[recorder.log.length - 1], "setTransform(1.5, 0, 0, 1.5, 0, 48)");
+});
+
+test("leaving fullscreen puts the canvas back as it was", () => {
+  const page = setup();
+  page.fullscreen.enter();
+  page.fullscreen.exit();
+  assert.deepEqual(page.changes, [true, false]);
+  assert.equal(page.canvas.style.width, "");
+  assert.equal(page.element.classList.contains("is-fullscreen"), false);
+
+  page.canvas.width = 480;
+  page.canvas.height = 480;
+  const recorder = createRecordingContext();
+  page.window.ArcadeView.begin(recorder.context, page.canvas);
+  assert.equal(recorder.log.some((line) => line.startsWith("fillText")), false);
+  assert.equal(recorder.log[recorder.log.length - 1], "setTransform(1, 0, 0, 1, 0, 0)");
+});
+
+test("Esc in fullscreen only leaves fullscreen", () => {
+  const page = setup();
+  assert.equal(page.fullscreen.handleEscape(), false, "outside fullscreen Esc is the menu's");
+
+  page.fullscreen.enter();
+  assert.equal(page.fullscreen.handleEscape(), true);
+  assert.equal(page.fullscreen.isActive(), false);
+});
+
+test("the Esc that made the browser leave fullscreen doesn't reach the menu", () => {
+  const page = setup();
+  page.fullscreen.enter();
+  // The browser exits on its own, then hands the same Esc to the page.
+  page.document.exitFullscreen();
+  page.later(50);
+  assert.equal(page.fullscreen.handleEscape(), true);
+
+  page.later(1000);
+  assert.equal(page.fullscreen.handleEscape(), false);
+});
@@ -0,0 +1,143 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { SCRIPTS, loadScripts } = require("../tools/headless");
+
+function makePad(index, id = `Pad ${index}`) {
+  // A standard-mapping pad at rest: 17 buttons, two sticks.
+  return {
+    index,
+    id,
+    connected: true,
+    buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 })),
+    axes: [0, 0, 0, 0],
+  };
+}
+
+function setup() {
+  // gamepad.js with a mocked navigator.getGamepads, and the games' controls to map with.
+  const connected = [];
+  const listeners = {};
+  const window = loadScripts([...SCRIPTS, "gamepad.js"], {
+    navigator: { getGamepads: () => connected },
+    requestAnimationFrame: () => 1,
+    cancelAnimationFrame: () => {},
+  });
+  window.addEventListener = (type, fn) => {
+    listeners[type] = fn;
+  };
+
+  const presses = [];
+  const statuses = [];
+  const input = window.ArcadeGamepad.create({
+    getGamepads: () => window.navigator.getGamepads(),
+    onButton: (button, pressed, info) => presses.push({ button, pressed, ...info }),
+    onStatus: (status) => statuses.push(status),
+  });
+  input.attach();
+
+  return {
+    window,
+    input,
+    presses,
+    statuses,
+    connect(pad) {
+      connected[pad.index] = pad;
+      listeners.gamepadconnected({ gamepad: pad });
+    },
+    disconnect(pad) {
+      connected[pad.index] = null;
+      listeners.gamepaddisconnected({ gamepad: pad });
+    },
+  };
+}
+
+test("the left stick only counts past the deadzone, on its dominant axis", () => {
+  const { window, input, presses, connect } = setup();
+  const { BUTTONS } = window.ArcadeGamepad;
+  const pad = makePad(0);
+  connect(pad);
+
+  pad.axes[0] = -0.3;
+  input.poll(0);
+  assert.deepEqual(presses, []);
+
+  pad.axes[0] = -0.6;
+  pad.axes[1] = 0.5;
+  input.poll(16);
+  assert.deepEqual(presses, [{ button: BUTTONS.left, pressed: true, pad: 0, repeat: false }]);
+
+  pad.axes[0] = 0;
+  input.poll(32);
+  assert.deepEqual(
+    presses.slice(1).map((p) => [p.button, p.pressed]),
+    [
+      [BUTTONS.left, false],
+      [BUTTONS.down, true],
+    ],
+  );
+});
+
+test("D-pad and Start map to the game's actions", () => {
+  const { window, input, presses, connect } = setup();
+  const { BUTTONS, findAction } = window.ArcadeGamepad;
+  const pad = makePad(0);
+  connect(pad);
+
+  pad.buttons[BUTTONS.left].pressed = true;
+  pad.buttons[BUTTONS.start].pressed = true;
+  input.poll(0);
+  const tetris = window.Arcade.get("tetris").controls;
+  assert.deepEqual(
+    presses.map((p) => findAction(tetris, p.button)),
+    ["pause", "left"],
+  );
+
+  // Start pauses in every game.
+  window.Arcade.list().forEach((game) => {
+    assert.equal(findAction(game.controls, BUTTONS.start), "pause", game.id);
+  });
+});
+
+test("a held D-pad direction repeats", () => {
+  const { window, input, presses, connect } = setup();
+  const pad = makePad(0);
+  connect(pad);
+  pad.buttons[window.ArcadeGamepad.BUTTONS.right].pressed = true;
+  input.poll(0);
+  input.poll(100);
+  input.poll(200);
+  input.poll(260);
+  assert.deepEqual(
+    presses.map((p) => p.repeat),
+    [false, true, true],
+  );
+});
+
+test("connecting and disconnecting pads updates the active pad and its label", () => {
+  const { window, input, presses, statuses, connect, disconnect } = setup();
+  const { padLabel } = window.ArcadeGamepad;
+  const first = makePad(0, "Xbox Wireless Controller (STANDARD GAMEPAD Vendor: 045e Product: 0b13)");
+  const second = makePad(1, "");
+
+  connect(first);
+  assert.deepEqual(statuses.pop(), { connected: 1, active: { index: 0, id: first.id } });
+  assert.equal(padLabel(input.getActive()), "Xbox Wireless Controller");
+
+  // The pad last pressed is the active one.
+  connect(second);
+  assert.equal(input.getActive().index, 0);
+  second.buttons[0].pressed = true;
+  input.poll(0);
+  assert.equal(input.getActive().index, 1);
+  assert.equal(padLabel(input.getActive()), "Gamepad 2");
+
+  // Unplugging releases what it held and hands over to the pad that's left.
+  disconnect(second);
+  assert.deepEqual(presses.pop(), { button: 0, pressed: false, pad: 1, repeat: false });
+  assert.deepEqual(statuses.pop(), { connected: 1, active: { index: 0, id: first.id } });
+
+  disconnect(first);
+  assert.deepEqual(statuses.pop(), { connected: 0, active: null });
+});
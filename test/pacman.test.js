@@ -0,0 +1,189 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadGame, loadArcade } = require("../tools/headless");
+
+const { DIRS, parseMaze, isWall, canMove, wrapTunnel } = loadArcade().Arcade.get("pacman").logic;
+
+function placeGhostOnPac(state, index = 0) {
+  const g = state.ghosts[index];
+  g.x = state.pac.x;
+  g.y = state.pac.y;
+  return g;
+}
+
+test("parseMaze finds the starts, pellets and power pellets", () => {
+  const maze = parseMaze();
+  assert.equal(maze.rows, 18);
+  assert.equal(maze.cols, 21);
+  assert.deepEqual(maze.pacStart, { x: 10, y: 12 });
+  assert.deepEqual(maze.ghostGate, { x: 10, y: 8 });
+  assert.equal(maze.power.size, 4);
+  assert.ok(maze.pellets.has("1,1"));
+  assert.equal(maze.grid[12][10], " ", "start markers are cleared to floor");
+});
+
+test("parseMaze pads short rows with floor", () => {
+  const maze = parseMaze(["#####", "#P.", "#####"]);
+  assert.equal(maze.cols, 5);
+  assert.equal(maze.grid[1][4], " ");
+  assert.deepEqual([...maze.pellets], ["2,1"]);
+  assert.equal(maze.ghostGate, null);
+});
+
+test("walls block movement and the board edge counts as wall", () => {
+  const { grid } = parseMaze();
+  assert.equal(isWall(grid, 0, 0), true);
+  assert.equal(canMove(grid, 1, 1), true);
+  assert.equal(isWall(grid, -1, 8), true);
+  assert.equal(isWall(grid, 5, 18), true);
+});
+
+test("wrapTunnel wraps across the left and right edges", () => {
+  assert.equal(wrapTunnel(21, -1), 20);
+  assert.equal(wrapTunnel(21, 21), 0);
+  assert.equal(wrapTunnel(21, 7), 7);
+});
+
+test("Pac-Man eats pellets as he moves", () => {
+  const game = loadGame("pacman", { seed: 4 });
+  const state = game.state();
+  state.ghosts.forEach((g) => {
+    g.speed = 0;
+  });
+  const pellets = state.pellets.size;
+
+  game.advance(1000);
+  assert.ok(state.pac.x < 10);
+  assert.ok(state.pellets.size < pellets);
+  assert.equal(game.score(), (pellets - state.pellets.size) * 10);
+});
+
+test("touching a ghost costs a life and resets the actors", () => {
+  const game = loadGame("pacman", { seed: 4 });
+  const state = game.state();
+  state.pac.x = 3;
+  state.pac.y = 4;
+  placeGhostOnPac(state);
+
+  game.step();
+  assert.equal(game.lives(), 2);
+  assert.deepEqual({ x: state.pac.x, y: state.pac.y }, state.pacStart);
+  assert.equal(game.overlay().title, "Life lost");
+  assert.equal(state.running, true);
+});
+
+test("a power pellet lets Pac-Man eat ghosts until it wears off", () => {
+  const game = loadGame("pacman", { seed: 4 });
+  const state = game.state();
+  // Next to the left power pellet, heading for it.
+  state.pac.x = 1;
+  state.pac.y = 4;
+  state.pac.dir = DIRS.up;
+  state.pac.wish = DIRS.up;
+  state.ghosts.forEach((g) => {
+    g.speed = 0;
+  });
+
+  game.advance(200);
+  assert.equal(state.power.has("1,3"), false);
+  assert.ok(state.frightenedUntil > state.time);
+
+  const ghost = placeGhostOnPac(state, 2);
+  const score = game.score();
+  game.step();
+  assert.equal(game.score(), score + 200);
+  assert.deepEqual({ x: ghost.x, y: ghost.y }, { x: ghost.respawnX, y: ghost.respawnY });
+  assert.equal(game.lives(), 3);
+
+  game.advance(6500);
+  placeGhostOnPac(state, 1);
+  game.step();
+  assert.equal(game.lives(), 2);
+});
+
+test("power pellets and eaten ghosts go out on the event bus", () => {
+  const game = loadGame("pacman", { seed: 4 });
+  const state = game.state();
+  state.pac.x = 1;
+  state.pac.y = 4;
+  state.pac.dir = DIRS.up;
+  state.pac.wish = DIRS.up;
+  state.ghosts.forEach((g) => {
+    g.speed = 0;
+  });
+
+  game.advance(200);
+  placeGhostOnPac(state, 2);
+  game.step();
+  const of = (type) => game.events.filter((e) => e.type === type);
+  assert.deepEqual(of("powerPellet"), [{ type: "powerPellet", game: "pacman" }]);
+  assert.deepEqual(of("ghostEaten"), [{ type: "ghostEaten", game: "pacman", points: 200, ghost: state.ghosts[2].id }]);
+
+  game.tap("pause");
+  assert.deepEqual(of("paused"), [{ type: "paused", game: "pacman", paused: true }]);
+});
+
+test("pausing freezes the power pellet timer", () => {
+  const game = loadGame("pacman", { seed: 4 });
+  const state = game.state();
+  state.frightenedUntil = state.time + 1000;
+  game.tap("pause");
+  game.advance(5000);
+  game.tap("pause");
+  assert.equal(state.frightenedUntil - state.time, 1000);
+});
+
+test("the last life lost ends the game", () => {
+  const game = loadGame("pacman", { seed: 4 });
+  const state = game.state();
+  for (let i = 0; i < 3; i += 1) {
+    placeGhostOnPac(state);
+    game.step();
+  }
+  assert.equal(game.lives(), 0);
+  assert.equal(state.running, false);
+  assert.deepEqual(game.gameOvers, [{ score: 0, details: { pellets: 0 } }]);
+  assert.equal(game.overlay().title, "Game Over");
+});
+
+test("clearing every pellet wins", () => {
+  const game = loadGame("pacman", { seed: 4 });
+  const state = game.state();
+  state.ghosts.forEach((g) => {
+    g.speed = 0;
+  });
+  state.power.clear();
+  state.pellets.clear();
+  state.pellets.add(`${state.pac.x - 1},${state.pac.y}`);
+
+  game.advance(300);
+  assert.equal(state.running, false);
+  assert.equal(game.overlay().title, "You Win");
+  assert.equal(game.gameOvers[0].score, 10);
+});
+
+test("the autopilot clears pellets and keeps away from ghosts", () => {
+  const game = loadGame("pacman", { seed: 4 });
+  game.autoplay(10000);
+  assert.ok(game.state().pelletsEaten >= 40, `ate ${game.state().pelletsEaten} pellets`);
+  assert.equal(game.lives(), 3);
+});
+
+test("a saved run comes back paused and carries on identically", () => {
+  const game = loadGame("pacman", { seed: 4 });
+  game.autoplay(3000);
+  const resumed = loadGame("pacman", { resume: game.save() });
+  assert.equal(resumed.overlay().title, "Paused");
+  assert.equal(resumed.score(), game.score());
+  // The game tells directions apart by identity.
+  assert.ok(Object.values(resumed.logic.DIRS).includes(resumed.state().pac.dir));
+
+  resumed.tap("pause");
+  game.advance(3000);
+  resumed.advance(3000);
+  assert.deepEqual([...resumed.state().pellets], [...game.state().pellets]);
+  assert.deepEqual(resumed.state().pac, game.state().pac);
+  assert.deepEqual(resumed.state().ghosts, game.state().ghosts);
+});
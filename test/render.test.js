@@ -0,0 +1,122 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { SNAPSHOT_DIR, captureFrame, createRecordingContext, diffLines, matchSnapshot } = require("../tools/snapshot");
+
+function expectSnapshot(name, text) {
+  const result = matchSnapshot(name, text);
+  assert.ok(result.ok, `Rendering of "${name}" changed (UPDATE_SNAPSHOTS=1 outside CI to accept):\n${result.diff}`);
+}
+
+test("the recording context logs calls, properties and gradients", () => {
+  const recorder = createRecordingContext();
+  const ctx = recorder.context;
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0.12345, 10, 10);
+  const grad = ctx.createLinearGradient(0, 0, 0, 5);
+  grad.addColorStop(0, "red");
+  ctx.fillStyle = grad;
+  assert.equal(
+    recorder.text(),
+    [
+      'fillStyle = "#fff"',
+      "fillRect(0, 0.123, 10, 10)",
+      "createLinearGradient(0, 0, 0, 5) -> gradient1",
+      'gradient1.addColorStop(0, "red")',
+      "fillStyle = gradient1",
+    ].join("\n")
+  );
+  assert.equal(ctx.fillStyle, grad);
+});
+
+test("a missing snapshot fails instead of being written", { skip: Boolean(process.env.UPDATE_SNAPSHOTS) }, () => {
+  const result = matchSnapshot("no-such-snapshot", "fillRect(0, 0, 1, 1)");
+  assert.equal(result.ok, false);
+  assert.match(result.diff, /^missing snapshot .*no-such-snapshot\.txt$/);
+  assert.equal(fs.existsSync(path.join(SNAPSHOT_DIR, "no-such-snapshot.txt")), false);
+});
+
+test("diffLines shows changed lines with context", () => {
+  assert.equal(diffLines("a\nb", "a\nb"), "");
+  assert.equal(
+    diffLines("1\n2\n3\n4\n5\n6\n7", "1\n2\n3\nfour\n5\n6\n7\n8"),
+    ["@@ line 2 @@", "  2", "  3", "- 4", "+ four", "  5", "  6", "  7", "+ 8"].join("\n")
+  );
+});
+
+test("Tetris: board, falling piece, ghost and preview", () => {
+  const frame = captureFrame("tetris", {
+    seed: 11,
+    setup: (game) => {
+      game.tap("hardDrop");
+      game.tap("left");
+      game.tap("left");
+      game.tap("hardDrop");
+      game.tap("rotate");
+      game.advance(1700);
+    },
+  });
+  expectSnapshot("tetris-board", frame);
+});
+
+test("Pac-Man: maze, pellets and flickering frightened ghosts", () => {
+  const frame = captureFrame("pacman", {
+    seed: 11,
+    setup: (game) => {
+      game.advance(600);
+      const state = game.state();
+      state.frightenedUntil = state.time + 1500;
+    },
+  });
+  expectSnapshot("pacman-frightened", frame);
+});
+
+test("Breakout: bricks and a ball between steps", () => {
+  const frame = captureFrame("breakout", {
+    seed: 11,
+    setup: (game) => {
+      const state = game.state();
+      state.bricks.slice(0, 12).forEach((br) => {
+        br.alive = false;
+      });
+      game.tap("launch");
+      game.advance(300);
+    },
+    alphaMs: 4,
+  });
+  expectSnapshot("breakout-in-flight", frame);
+});
+
+test("Snake: snake, food and eating particles", () => {
+  const frame = captureFrame("snake", {
+    seed: 11,
+    setup: (game) => {
+      const state = game.state();
+      state.food = { x: state.snake[0].x + 1, y: state.snake[0].y };
+      game.advance(state.tickMs + 48);
+    },
+    alphaMs: 4,
+  });
+  expectSnapshot("snake-particles", frame);
+});
+
+test("games draw in logical units, scaled and centred on any canvas", () => {
+  const setup = (game) => {
+    game.tap("launch");
+    game.advance(300);
+  };
+  const lines = (options) => captureFrame("breakout", { seed: 5, setup, ...options }).split("\n");
+  const frame = lines({});
+  const hiDpi = lines({ width: 960, height: 960 });
+  const wide = lines({ width: 960, height: 480 });
+
+  // Everything after the transform is the same drawing, in the same units.
+  assert.deepEqual(frame.slice(1, 3), ["clearRect(0, 0, 480, 480)", "setTransform(1, 0, 0, 1, 0, 0)"]);
+  assert.deepEqual(hiDpi.slice(1, 3), ["clearRect(0, 0, 960, 960)", "setTransform(2, 0, 0, 2, 0, 0)"]);
+  assert.deepEqual(wide.slice(1, 3), ["clearRect(0, 0, 960, 480)", "setTransform(1, 0, 0, 1, 240, 0)"]);
+  assert.deepEqual(hiDpi.slice(3), frame.slice(3));
+  assert.deepEqual(wide.slice(3), frame.slice(3));
+});
@@ -0,0 +1,78 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadArcade, loadGame, loadReplay } = require("../tools/headless");
+
+// Uneven browser frames, as real ones are: the loop carries leftover time between them.
+const FRAME_MS = [13, 17, 9, 21, 16];
+
+function play(game, ms) {
+  for (let t = 0, i = 0; t < ms; i += 1) {
+    const dt = FRAME_MS[i % FRAME_MS.length];
+    game.frame(dt);
+    t += dt;
+  }
+}
+
+function snapshot(state) {
+  return JSON.parse(JSON.stringify(state));
+}
+
+test("a recorded run plays back to the same state", () => {
+  const live = loadGame("snake", { seed: 7, record: true });
+  play(live, 700);
+  live.tap("down");
+  play(live, 500);
+  live.tap("left");
+  play(live, 900);
+
+  const replay = loadReplay(live.recording());
+  assert.deepEqual(snapshot(replay.state()), snapshot(live.state()));
+});
+
+test("a run restarted midway plays back to the same state", () => {
+  const cases = [
+    ["snake", ["down", "left", "up"]],
+    ["breakout", ["launch", "left", "right"]],
+    ["tetris", ["left", "rotate", "hardDrop"]],
+  ];
+  cases.forEach(([id, actions]) => {
+    const live = loadGame(id, { seed: 7, record: true });
+    play(live, 1300);
+    live.tap(actions[0]);
+    play(live, 411);
+    live.tap("restart");
+    actions.forEach((action) => {
+      play(live, 1700);
+      live.tap(action);
+    });
+    play(live, 4000);
+
+    const replay = loadReplay(live.recording());
+    assert.deepEqual(snapshot(replay.state()), snapshot(live.state()), id);
+  });
+});
+
+test("stored replays stay under the size cap, oldest dropped first", () => {
+  const replays = loadArcade().ArcadeReplays;
+  const size = Math.floor(replays.MAX_TOTAL_CHARS / 4);
+  const run = (id, gameId, day) => ({
+    id,
+    gameId,
+    date: `2026-03-0${day}`,
+    t0: 0,
+    frames: "8".repeat(size),
+    events: [],
+  });
+
+  replays.save(run("a", "snake", 1));
+  replays.save(run("b", "tetris", 2));
+  replays.save(run("c", "snake", 3));
+  assert.deepEqual(replays.list("snake").map((r) => r.id), ["c", "a"]);
+
+  replays.save(run("d", "pacman", 4));
+  assert.deepEqual(replays.list("snake").map((r) => r.id), ["c"]);
+  assert.deepEqual(replays.list("tetris").map((r) => r.id), ["b"]);
+  assert.deepEqual(replays.list("pacman").map((r) => r.id), ["d"]);
+});
@@ -0,0 +1,31 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts } = require("../tools/headless");
+
+function loadSaves() {
+  return loadScripts(["storage.js", "saves.js"]).ArcadeSaves;
+}
+
+const NORMAL_RUN = { seed: null, scoreTable: "tetris", label: "", params: {} };
+
+test("a deep link over a saved run starts fresh and keeps the save for Continue", () => {
+  const saves = loadSaves();
+  saves.write("tetris", { score: 1200, run: NORMAL_RUN, game: { lines: 9 } });
+
+  assert.equal(saves.forRoute("tetris", { seed: "42" }), null);
+  assert.equal(saves.forRoute("tetris", { mode: "daily" }), null);
+  assert.equal(saves.read("tetris").score, 1200);
+});
+
+test("a link with the saved run's own params picks it back up", () => {
+  const saves = loadSaves();
+  saves.write("tetris", { score: 1200, run: NORMAL_RUN, game: { lines: 9 } });
+  assert.deepEqual(saves.forRoute("tetris", {}).game, { lines: 9 });
+
+  const daily = { seed: 3, scoreTable: "snake:daily:2026-10-19", label: "Daily 2026-10-19", params: { mode: "daily" } };
+  saves.write("snake", { score: 40, run: daily, game: { length: 6 } });
+  assert.equal(saves.forRoute("snake", {}), null);
+  assert.deepEqual(saves.forRoute("snake", { mode: "daily" }).game, { length: 6 });
+});
@@ -0,0 +1,177 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadGame, loadArcade } = require("../tools/headless");
+
+const { GRID_SIZE, isOpposite, moveSnake } = loadArcade().Arcade.get("snake").logic;
+
+const RIGHT = { x: 1, y: 0 };
+const UP = { x: 0, y: -1 };
+const DOWN = { x: 0, y: 1 };
+
+test("moveSnake moves the head and drags the tail", () => {
+  const snake = [{ x: 5, y: 5 }, { x: 4, y: 5 }, { x: 3, y: 5 }];
+  const moved = moveSnake(snake, UP, { x: 0, y: 0 });
+  assert.equal(moved.result, "move");
+  assert.deepEqual(moved.snake, [{ x: 5, y: 4 }, { x: 5, y: 5 }, { x: 4, y: 5 }]);
+  assert.equal(snake.length, 3, "the input is left alone");
+});
+
+test("moveSnake grows onto food", () => {
+  const snake = [{ x: 5, y: 5 }, { x: 4, y: 5 }];
+  const moved = moveSnake(snake, RIGHT, { x: 6, y: 5 });
+  assert.equal(moved.result, "eat");
+  assert.deepEqual(moved.snake, [{ x: 6, y: 5 }, { x: 5, y: 5 }, { x: 4, y: 5 }]);
+});
+
+test("moveSnake reports walls and self collisions", () => {
+  const edge = [{ x: GRID_SIZE - 1, y: 3 }, { x: GRID_SIZE - 2, y: 3 }];
+  assert.equal(moveSnake(edge, RIGHT, null).result, "wall");
+  assert.equal(moveSnake([{ x: 2, y: 0 }], UP, null).result, "wall");
+
+  const curled = [
+    { x: 5, y: 5 },
+    { x: 6, y: 5 },
+    { x: 6, y: 6 },
+    { x: 5, y: 6 },
+    { x: 4, y: 6 },
+  ];
+  const moved = moveSnake(curled, DOWN, null);
+  assert.equal(moved.result, "self");
+  assert.equal(moved.snake, curled);
+});
+
+test("isOpposite spots reversals only", () => {
+  assert.equal(isOpposite(UP, DOWN), true);
+  assert.equal(isOpposite(UP, RIGHT), false);
+});
+
+test("the snake moves one cell per tick", () => {
+  const game = loadGame("snake", { seed: 6 });
+  const state = game.state();
+  const head = { ...state.snake[0] };
+
+  game.advance(state.tickMs - game.STEP_MS);
+  assert.deepEqual(state.snake[0], head);
+  game.step();
+  assert.deepEqual(state.snake[0], { x: head.x + 1, y: head.y });
+});
+
+test("turning back on itself is ignored", () => {
+  const game = loadGame("snake", { seed: 6 });
+  const state = game.state();
+  game.tap("left");
+  assert.deepEqual(state.queuedDir, RIGHT);
+  game.tap("up");
+  assert.deepEqual(state.queuedDir, UP);
+});
+
+test("eating food scores, grows the snake and moves the food", () => {
+  const game = loadGame("snake", { seed: 6 });
+  const state = game.state();
+  const head = state.snake[0];
+  state.food = { x: head.x + 1, y: head.y };
+
+  game.advance(state.tickMs);
+  assert.equal(game.score(), 1);
+  assert.equal(state.snake.length, 4);
+  assert.notDeepEqual(state.food, state.snake[0]);
+});
+
+test("food, lost lives and the end of the run go out on the event bus", () => {
+  const game = loadGame("snake", { seed: 6 });
+  const state = game.state();
+  const head = state.snake[0];
+  state.food = { x: head.x + 1, y: head.y };
+  game.advance(state.tickMs);
+  assert.deepEqual(game.events.pop(), { type: "foodEaten", game: "snake", length: 4 });
+  assert.deepEqual(game.events.pop(), { type: "score", game: "snake", score: 1, best: 0, lives: 3 });
+
+  state.lives = 1;
+  state.snake = [{ x: GRID_SIZE - 1, y: 2 }, { x: GRID_SIZE - 2, y: 2 }, { x: GRID_SIZE - 3, y: 2 }];
+  game.advance(state.tickMs);
+  const types = game.events.map((e) => e.type);
+  assert.deepEqual(types.slice(-4), ["score", "lifeLost", "score", "gameOver"]);
+  assert.deepEqual(game.events.pop(), {
+    type: "gameOver",
+    game: "snake",
+    score: 1,
+    win: false,
+    details: { length: 3, maxLength: 4 },
+    timeMs: state.time,
+    livesLost: 3,
+  });
+});
+
+test("hitting the wall costs a life and respawns the snake", () => {
+  const game = loadGame("snake", { seed: 6 });
+  const state = game.state();
+  state.snake = [{ x: GRID_SIZE - 1, y: 2 }, { x: GRID_SIZE - 2, y: 2 }, { x: GRID_SIZE - 3, y: 2 }];
+  state.food = { x: 0, y: 20 };
+
+  game.advance(state.tickMs);
+  assert.equal(game.lives(), 2);
+  assert.equal(state.snake[0].x, GRID_SIZE / 2 + 1);
+  assert.equal(game.overlay().title, "Life lost");
+
+  game.advance(800);
+  assert.equal(game.overlay().hidden, true);
+});
+
+test("a paused game keeps the life-lost message for after the pause", () => {
+  const game = loadGame("snake", { seed: 6 });
+  const state = game.state();
+  state.snake = [{ x: 0, y: 2 }, { x: 1, y: 2 }, { x: 2, y: 2 }];
+  state.dir = { x: -1, y: 0 };
+  state.queuedDir = state.dir;
+
+  game.advance(state.tickMs);
+  game.tap("pause");
+  game.advance(5000);
+  game.tap("pause");
+  assert.equal(game.overlay().title, "Life lost");
+  game.advance(800);
+  assert.equal(game.overlay().hidden, true);
+});
+
+test("the third crash ends the game", () => {
+  const game = loadGame("snake", { seed: 6 });
+  const state = game.state();
+  // Straight ahead from the middle the wall is 11 cells away; three runs at it.
+  game.advance(state.tickMs * 12 * 3 + 100);
+  assert.equal(game.lives(), 0);
+  assert.equal(state.running, false);
+  assert.equal(game.gameOvers.length, 1);
+  assert.equal(game.gameOvers[0].details.length, state.snake.length);
+  assert.equal(game.overlay().title, "Game Over");
+});
+
+test("the autopilot goes for the food without crashing", () => {
+  const game = loadGame("snake", { seed: 6 });
+  game.autoplay(15000);
+  assert.ok(game.score() >= 3, `ate ${game.score()}`);
+  assert.equal(game.lives(), 3);
+});
+
+test("a saved run comes back paused and carries on identically", () => {
+  const game = loadGame("snake", { seed: 6 });
+  game.autoplay(3000);
+  const resumed = loadGame("snake", { resume: game.save() });
+  assert.equal(resumed.state().paused, true);
+  assert.equal(resumed.overlay().title, "Paused");
+  assert.equal(resumed.score(), game.score());
+  assert.equal(resumed.lives(), game.lives());
+
+  resumed.tap("pause");
+  game.advance(2000);
+  resumed.advance(2000);
+  assert.deepEqual(resumed.state().snake, game.state().snake);
+  assert.deepEqual(resumed.state().food, game.state().food);
+});
+
+test("a finished run leaves nothing to save", () => {
+  const game = loadGame("snake", { seed: 6 });
+  game.advance(game.state().tickMs * 12 * 3 + 100);
+  assert.equal(game.module.save(), null);
+});
@@ -0,0 +1,92 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadGame } = require("../tools/headless");
+
+function logged(id, options) {
+  // A game whose finished runs go into the stats history.
+  const game = loadGame(id, options);
+  game.window.ArcadeStats.watch({ events: game.window.ArcadeEvents });
+  return game;
+}
+
+test("a finished run is logged with its time, lives lost and details", () => {
+  const game = logged("snake", { seed: 6 });
+  const state = game.state();
+  const head = state.snake[0];
+  state.food = { x: head.x + 1, y: head.y };
+  game.advance(state.tickMs);
+  state.lives = 1;
+  state.snake = [{ x: 23, y: 2 }, { x: 22, y: 2 }, { x: 21, y: 2 }];
+  game.advance(state.tickMs);
+
+  const runs = game.window.ArcadeStats.runs("snake");
+  assert.equal(runs.length, 1);
+  const [run] = runs;
+  assert.equal(run.score, 1);
+  assert.equal(run.durationMs, state.time);
+  assert.equal(run.livesLost, 3);
+  assert.equal(run.win, false);
+  assert.deepEqual(run.details, { length: 3, maxLength: 4 });
+});
+
+test("Tetris runs count game time but no lives", () => {
+  const game = logged("tetris", { seed: 3 });
+  game.advance(1000);
+  game.state().board[0].fill("#999");
+  game.tap("hardDrop");
+  game.tap("hardDrop");
+
+  const [run] = game.window.ArcadeStats.runs("tetris");
+  assert.equal(run.durationMs, 1000);
+  assert.equal(run.livesLost, null);
+  assert.deepEqual(Object.keys(run.details), ["lines", "level"]);
+});
+
+test("summarize totals and averages runs", () => {
+  const { ArcadeStats } = loadGame("snake").window;
+  ArcadeStats.record({ game: "pacman", score: 300, durationMs: 60000, livesLost: 3, details: { pellets: 30 } });
+  ArcadeStats.record({ game: "pacman", score: 100, durationMs: 30000, livesLost: 3, details: { pellets: 10 } });
+  const s = ArcadeStats.summarize(ArcadeStats.runs("pacman"));
+  assert.equal(s.runs, 2);
+  assert.equal(s.totalScore, 400);
+  assert.equal(s.bestScore, 300);
+  assert.equal(s.averageScore, 200);
+  assert.equal(s.playTimeMs, 90000);
+  assert.equal(s.averageTimeMs, 45000);
+  assert.equal(s.livesLost, 6);
+  assert.deepEqual(s.details, { pellets: 20 });
+  assert.equal(ArcadeStats.summarize([]).averageScore, 0);
+});
+
+test("the CSV has a column per detail and quotes where needed", () => {
+  const { ArcadeStats } = loadGame("snake").window;
+  const base = { durationMs: 2000, score: 50, livesLost: null, win: false };
+  const csv = ArcadeStats.toCsv([
+    { ...base, game: "tetris", date: "2026-01-02T10:00:00.000Z", durationMs: 61500, details: { lines: 9, level: 0 } },
+    { ...base, game: "breakout", date: "2026-01-03T10:00:00.000Z", livesLost: 3, details: { bricks: 1, note: 'a "b", c' } },
+  ]);
+  assert.equal(
+    csv,
+    [
+      "date,game,score,duration_s,lives_lost,win,bricks,level,lines,note",
+      "2026-01-02T10:00:00.000Z,tetris,50,61.5,,no,,0,9,",
+      '2026-01-03T10:00:00.000Z,breakout,50,2.0,3,no,1,,,"a ""b"", c"',
+      "",
+    ].join("\n"),
+  );
+});
+
+test("combine merges histories in date order, each run once", () => {
+  const { ArcadeStats } = loadGame("snake").window;
+  const run = (id, date) => ({ id, game: "snake", date, score: 1, durationMs: 0, details: {} });
+  const merged = ArcadeStats.combine(
+    [run("a", "2026-01-03"), run("b", "2026-01-01")],
+    [run("a", "2026-01-03"), run("c", "2026-01-02")],
+  );
+  assert.deepEqual(
+    merged.map((r) => r.id),
+    ["b", "c", "a"],
+  );
+});
@@ -0,0 +1,97 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadScripts } = require("../tools/headless");
+
+function fakeLocalStorage(initial = {}, { quota = Infinity } = {}) {
+  // Enough of localStorage for storage.js, holding at most `quota` characters.
+  const items = new Map(Object.entries(initial));
+  const used = () => [...items].reduce((n, [k, v]) => n + k.length + v.length, 0);
+  return {
+    get length() {
+      return items.size;
+    },
+    key: (i) => [...items.keys()][i] ?? null,
+    getItem: (k) => (items.has(k) ? items.get(k) : null),
+    setItem(k, v) {
+      const text = String(v);
+      if (used() - (items.get(k)?.length ?? -k.length) + text.length > quota) {
+        throw new Error("QuotaExceededError");
+      }
+      items.set(k, text);
+    },
+    removeItem: (k) => items.delete(k),
+  };
+}
+
+function loadStorage(localStorage) {
+  return loadScripts(["storage.js"], { localStorage }).ArcadeStorage;
+}
+
+test("values round-trip through localStorage under versioned keys", () => {
+  const ls = fakeLocalStorage();
+  const storage = loadStorage(ls);
+  storage.set("settings:touchPad", "on");
+  assert.equal(ls.getItem("arcade:v1:settings:touchPad"), '"on"');
+  assert.equal(loadStorage(ls).get("settings:touchPad"), "on");
+});
+
+test("without localStorage, data lives in memory for the session", () => {
+  const storage = loadStorage(undefined);
+  assert.equal(storage.isPersistent(), false);
+  storage.set("scores:snake", [{ score: 5 }]);
+  assert.deepEqual(storage.get("scores:snake"), [{ score: 5 }]);
+  assert.deepEqual(storage.keys("scores:"), ["scores:snake"]);
+});
+
+test("localStorage that refuses every write falls back to memory", () => {
+  // As in some private browsing modes: even the probe write throws.
+  const storage = loadStorage(fakeLocalStorage({}, { quota: 0 }));
+  assert.equal(storage.isPersistent(), false);
+  storage.set("settings:initials", "ABC");
+  assert.equal(storage.get("settings:initials"), "ABC");
+});
+
+test("a write too big for the quota fails alone; later writes still persist", () => {
+  const ls = fakeLocalStorage({}, { quota: 2000 });
+  const storage = loadStorage(ls);
+  assert.equal(storage.set("replays:snake", "x".repeat(5000)), false);
+  assert.equal(storage.get("replays:snake").length, 5000);
+  assert.equal(storage.isPersistent(), true);
+
+  assert.equal(storage.set("scores:snake", [{ score: 40 }]), true);
+  assert.deepEqual(loadStorage(ls).get("scores:snake"), [{ score: 40 }]);
+  assert.equal(loadStorage(ls).get("replays:snake"), null);
+});
+
+test("released best scores migrate into the versioned score tables", () => {
+  const ls = fakeLocalStorage({
+    "arcade:v1:scores:pacman": JSON.stringify([{ initials: "AAA", score: 900 }]),
+    pacman_best_score: "1200",
+    snake_best_score: "37",
+    breakout_best_score: "0",
+  });
+  const storage = loadStorage(ls);
+
+  // A table that exists wins over the single best score.
+  assert.deepEqual(storage.get("scores:pacman"), [{ initials: "AAA", score: 900 }]);
+  assert.deepEqual(storage.get("scores:snake"), [
+    { id: "legacy-snake", initials: "---", score: 37, date: null, details: {} },
+  ]);
+  assert.equal(storage.get("scores:breakout"), null);
+
+  assert.equal(ls.getItem("arcade:version"), "1");
+  ["pacman_best_score", "snake_best_score", "breakout_best_score"].forEach((key) =>
+    assert.equal(ls.getItem(key), null, key),
+  );
+});
+
+test("legacy keys stay put when the migrated values can't be written", () => {
+  const ls = fakeLocalStorage({ snake_best_score: "37" }, { quota: 40 });
+  const storage = loadStorage(ls);
+  // Still there for this session, and for the migration to try again next time.
+  assert.equal(storage.get("scores:snake")[0].score, 37);
+  assert.equal(ls.getItem("snake_best_score"), "37");
+  assert.equal(ls.getItem("arcade:version"), null);
+});
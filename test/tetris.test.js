@@ -0,0 +1,288 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadGame, loadArcade } = require("../tools/headless");
+
+const { COLS, ROWS, PIECES, rotateCW, makeBoard, collides, merge, clearLines, rotationOf, rotateWithKicks } =
+  loadArcade().Arcade.get("tetris").logic;
+
+function piece(kind) {
+  return { kind, color: PIECES[kind].color, rot: 0, cells: PIECES[kind].cells.map((r) => r.slice()) };
+}
+
+function fillRow(board, y, except = []) {
+  for (let x = 0; x < COLS; x += 1) board[y][x] = except.includes(x) ? null : "#999";
+}
+
+function rowText(row) {
+  return row.map((c) => (c ? "#" : ".")).join("");
+}
+
+test("rotateCW turns a matrix a quarter clockwise", () => {
+  assert.deepEqual(rotateCW(PIECES.T.cells), [
+    [0, 1, 0],
+    [0, 1, 1],
+    [0, 1, 0],
+  ]);
+  assert.deepEqual(rotateCW(rotateCW(rotateCW(rotateCW(PIECES.L.cells)))), PIECES.L.cells);
+});
+
+test("collides with the walls and floor but not above the top", () => {
+  const board = makeBoard();
+  const i = piece("I");
+  assert.equal(collides(board, i, 0, 0), false);
+  assert.equal(collides(board, i, -1, 0), true);
+  assert.equal(collides(board, i, COLS - 3, 0), true);
+  assert.equal(collides(board, i, 0, ROWS - 2), false);
+  assert.equal(collides(board, i, 0, ROWS - 1), true);
+  assert.equal(collides(board, i, 0, -2), false);
+});
+
+test("collides with settled blocks", () => {
+  const board = makeBoard();
+  merge(board, piece("O"), 4, ROWS - 2);
+  assert.equal(rowText(board[ROWS - 1]), "....##....");
+  assert.equal(collides(board, piece("O"), 4, ROWS - 3), true);
+  assert.equal(collides(board, piece("O"), 4, ROWS - 4), false);
+  assert.equal(collides(board, piece("O"), 6, ROWS - 2), false);
+});
+
+test("clearLines removes full rows and drops the rest", () => {
+  const board = makeBoard();
+  fillRow(board, ROWS - 1);
+  fillRow(board, ROWS - 2, [3]);
+  fillRow(board, ROWS - 3);
+  board[ROWS - 4][0] = "#999";
+
+  assert.equal(clearLines(board), 2);
+  assert.equal(board.length, ROWS);
+  assert.equal(rowText(board[ROWS - 1]), "###.######");
+  assert.equal(rowText(board[ROWS - 2]), "#.........");
+  assert.equal(rowText(board[ROWS - 3]), "..........");
+});
+
+test("clearLines counts four rows at once", () => {
+  const board = makeBoard();
+  for (let y = ROWS - 4; y < ROWS; y += 1) fillRow(board, y);
+  assert.equal(clearLines(board), 4);
+  assert.ok(board.every((row) => row.every((c) => c === null)));
+});
+
+test("rotation kicks off the right wall", () => {
+  const board = makeBoard();
+  // Vertical I hugging the right wall: column 2 of its matrix sits on the last column.
+  const vertical = { ...piece("I"), rot: 1, cells: rotateCW(PIECES.I.cells) };
+  const turned = rotateWithKicks(board, vertical, COLS - 3, 5);
+  assert.ok(turned);
+  assert.equal(collides(board, turned.piece, turned.x, turned.y), false);
+  assert.ok(turned.x < COLS - 3, "kicked to the left");
+  assert.equal(turned.y, 5);
+});
+
+test("rotation kicks up off the floor, and fails when boxed in", () => {
+  const board = makeBoard();
+  // Flat T on the floor: turned in place, its stem would poke through the floor.
+  // The first 0->R kick that fits is one left and one up.
+  const turned = rotateWithKicks(board, piece("T"), 3, ROWS - 2);
+  assert.deepEqual({ x: turned.x, y: turned.y }, { x: 2, y: ROWS - 3 });
+  assert.deepEqual(turned.piece.cells, rotateCW(PIECES.T.cells));
+  assert.equal(turned.piece.rot, 1);
+
+  // A vertical I down a one-wide well has nowhere to turn.
+  for (let y = 0; y < ROWS; y += 1) fillRow(board, y, [1]);
+  const i = { ...piece("I"), rot: 1, cells: rotateCW(PIECES.I.cells) };
+  assert.equal(collides(board, i, -1, 0), false);
+  assert.equal(rotateWithKicks(board, i, -1, 0), null);
+  assert.equal(rotateWithKicks(makeBoard(), piece("O"), 4, 0), null);
+});
+
+test("turns either way or by 180° keep track of the rotation state", () => {
+  const board = makeBoard();
+  const ccw = rotateWithKicks(board, piece("T"), 4, 5, -1);
+  assert.deepEqual(ccw, {
+    piece: { ...piece("T"), rot: 3, cells: rotateCW(rotateCW(rotateCW(PIECES.T.cells))) },
+    x: 4,
+    y: 5,
+  });
+  const half = rotateWithKicks(board, ccw.piece, 4, 5, 2);
+  assert.equal(half.piece.rot, 1);
+  assert.deepEqual(half.piece.cells, rotateCW(PIECES.T.cells));
+  assert.equal(rotateWithKicks(board, half.piece, 4, 5, 1).piece.rot, 2);
+});
+
+test("pieces saved without a rotation state get it from their cells", () => {
+  ["I", "T", "S", "Z", "J", "L"].forEach((kind) => {
+    let cells = PIECES[kind].cells;
+    for (let rot = 0; rot < 4; rot += 1) {
+      assert.equal(rotationOf({ kind, cells }), rot, `${kind} ${rot}`);
+      cells = rotateCW(cells);
+    }
+  });
+
+  // A vertical I from an older save kicks off the right wall as the R state does.
+  const board = makeBoard();
+  const { rot, ...stateless } = { ...piece("I"), rot: 1, cells: rotateCW(PIECES.I.cells) };
+  assert.deepEqual(
+    rotateWithKicks(board, stateless, COLS - 3, 5),
+    rotateWithKicks(board, { ...stateless, rot }, COLS - 3, 5),
+  );
+});
+
+test("JLSTZ pieces kick by the SRS table", () => {
+  const board = makeBoard();
+  // Blocks under the T's turned stem (in place), and under it one to the left:
+  // the third 0->R kick, one left and one up, is the first that fits.
+  board[12][5] = "#999";
+  board[12][4] = "#999";
+  const turned = rotateWithKicks(board, piece("T"), 4, 10);
+  assert.deepEqual({ x: turned.x, y: turned.y }, { x: 3, y: 9 });
+
+  // Counter-clockwise from R back to 0 uses that table's own kicks.
+  const back = rotateWithKicks(board, turned.piece, 3, 9, -1);
+  assert.deepEqual({ x: back.x, y: back.y, rot: back.piece.rot }, { x: 3, y: 9, rot: 0 });
+});
+
+test("the I piece kicks by its own SRS table", () => {
+  const board = makeBoard();
+  // Flat I against the left wall; turned in place it would stand on a block.
+  board[8][2] = "#999";
+  const turned = rotateWithKicks(board, piece("I"), 0, 5);
+  assert.deepEqual({ x: turned.x, y: turned.y }, { x: -2, y: 5 });
+  assert.equal(collides(board, turned.piece, turned.x, turned.y), false);
+});
+
+test("a hard drop that completes a line clears it and scores", () => {
+  const game = loadGame("tetris", { seed: 3 });
+  const state = game.state();
+  fillRow(state.board, ROWS - 1, [0, 1, 2, 3]);
+  state.active = piece("I");
+  state.ax = 0;
+  state.ay = 0;
+
+  game.tap("hardDrop");
+  assert.equal(game.score(), 100);
+  assert.equal(state.lines, 1);
+  assert.ok(state.board[ROWS - 1].every((c) => c === null));
+  assert.notEqual(state.active, null);
+});
+
+test("cleared lines and level ups go out on the event bus", () => {
+  const game = loadGame("tetris", { seed: 3 });
+  const state = game.state();
+  state.lines = 9;
+  fillRow(state.board, ROWS - 1, [0, 1, 2, 3]);
+  state.active = piece("I");
+  state.ax = 0;
+  state.ay = 0;
+
+  game.tap("hardDrop");
+  const of = (type) => game.events.filter((e) => e.type === type);
+  assert.deepEqual(of("linesCleared"), [{ type: "linesCleared", game: "tetris", lines: 1, total: 10 }]);
+  assert.deepEqual(of("levelUp"), [{ type: "levelUp", game: "tetris", level: 1 }]);
+  assert.deepEqual(of("score").pop(), { type: "score", game: "tetris", score: 100, best: 0 });
+});
+
+test("hold swaps the falling piece once per drop", () => {
+  const game = loadGame("tetris", { seed: 3 });
+  const state = game.state();
+  const first = state.active.kind;
+  const next = state.queue[0];
+
+  // The first hold brings in the next piece.
+  game.tap("hold");
+  assert.equal(state.hold, first);
+  assert.equal(state.active.kind, next);
+
+  // Already used for this piece.
+  game.tap("hold");
+  assert.equal(state.hold, first);
+  assert.equal(state.active.kind, next);
+
+  game.tap("hardDrop");
+  const dropped = state.active.kind;
+  game.tap("hold");
+  assert.equal(state.hold, dropped);
+  assert.equal(state.active.kind, first);
+});
+
+test("a held piece comes back as it spawns", () => {
+  const game = loadGame("tetris", { seed: 3 });
+  const state = game.state();
+  const spawnAt = { I: COLS / 2 - 2, O: COLS / 2 - 1 };
+
+  ["I", "O"].forEach((kind) => {
+    // Turned and moved before going on hold.
+    state.active = { ...piece(kind), rot: 1, cells: rotateCW(PIECES[kind].cells) };
+    state.ax = 0;
+    state.ay = 4;
+    state.hold = kind;
+    state.canHold = true;
+
+    game.tap("hold");
+    assert.deepEqual(state.active, piece(kind));
+    assert.equal(state.ax, spawnAt[kind]);
+    assert.equal(state.ay, -2);
+  });
+});
+
+test("gravity moves the piece down once per drop interval", () => {
+  const game = loadGame("tetris", { seed: 3 });
+  const y = game.state().ay;
+  game.advance(790);
+  assert.equal(game.state().ay, y);
+  game.advance(16);
+  assert.equal(game.state().ay, y + 1);
+});
+
+test("pausing stops gravity", () => {
+  const game = loadGame("tetris", { seed: 3 });
+  const y = game.state().ay;
+  game.tap("pause");
+  game.advance(5000);
+  assert.equal(game.state().ay, y);
+  assert.equal(game.overlay().title, "Paused");
+});
+
+test("a piece locking above the top ends the game", () => {
+  const game = loadGame("tetris", { seed: 5 });
+  const state = game.state();
+  for (let y = 0; y < ROWS; y += 1) fillRow(state.board, y, [9]);
+
+  game.tap("hardDrop");
+  assert.equal(state.running, false);
+  assert.equal(game.gameOvers.length, 1);
+  assert.deepEqual(game.gameOvers[0], { score: 0, details: { lines: 0, level: 0 } });
+  assert.equal(game.overlay().title, "Game Over");
+
+  game.tap("restart");
+  assert.equal(game.state().running, true);
+  assert.equal(game.overlay().hidden, true);
+});
+
+test("the autopilot stacks pieces and clears lines", () => {
+  const game = loadGame("tetris", { seed: 3 });
+  game.autoplay(30000);
+  const state = game.state();
+  assert.ok(state.lines >= 10, `cleared ${state.lines} lines`);
+  assert.equal(state.running, true);
+});
+
+test("a saved run comes back paused and carries on identically", () => {
+  const game = loadGame("tetris", { seed: 3 });
+  game.autoplay(5000);
+  const resumed = loadGame("tetris", { resume: game.save() });
+  assert.equal(resumed.overlay().title, "Paused");
+  assert.equal(resumed.score(), game.score());
+  assert.deepEqual(resumed.state().board, game.state().board);
+
+  resumed.tap("pause");
+  // Enough drops to need a new bag from the random generator.
+  for (let i = 0; i < 8; i += 1) {
+    game.tap("hardDrop");
+    resumed.tap("hardDrop");
+  }
+  assert.deepEqual(resumed.state().board, game.state().board);
+  assert.deepEqual(resumed.state().queue, game.state().queue);
+  assert.deepEqual(resumed.state().active, game.state().active);
+});
@@ -1,87 +1,345 @@
 (() => {
+  // Tetris rules as plain functions of their inputs (board, piece, position), used by
+  // the game below and exposed as the registry's `logic` for tests.
+  const COLS = 10;
+  const ROWS = 20;
+
+  const PIECES = {
+    I: {
+      color: "#45e7ff",
+      cells: [
+        [0, 0, 0, 0],
+        [1, 1, 1, 1],
+        [0, 0, 0, 0],
+        [0, 0, 0, 0],
+      ],
+    },
+    O: {
+      color: "#ffd84a",
+      cells: [
+        [1, 1],
+        [1, 1],
+      ],
+    },
+    T: {
+      color: "#c77dff",
+      cells: [
+        [0, 1, 0],
+        [1, 1, 1],
+        [0, 0, 0],
+      ],
+    },
+    S: {
+      color: "#63ff8b",
+      cells: [
+        [0, 1, 1],
+        [1, 1, 0],
+        [0, 0, 0],
+      ],
+    },
+    Z: {
+      color: "#ff5c5c",
+      cells: [
+        [1, 1, 0],
+        [0, 1, 1],
+        [0, 0, 0],
+      ],
+    },
+    J: {
+      color: "#4d7dff",
+      cells: [
+        [1, 0, 0],
+        [1, 1, 1],
+        [0, 0, 0],
+      ],
+    },
+    L: {
+      color: "#ff9a3a",
+      cells: [
+        [0, 0, 1],
+        [1, 1, 1],
+        [0, 0, 0],
+      ],
+    },
+  };
+
+  const BAG = ["I", "O", "T", "S", "Z", "J", "L"];
+
+  function rotateCW(mat) {
+    const h = mat.length;
+    const w = mat[0].length;
+    const out = Array.from({ length: w }, () => Array(h).fill(0));
+    for (let y = 0; y < h; y += 1) {
+      for (let x = 0; x < w; x += 1) {
+        out[x][h - 1 - y] = mat[y][x];
+      }
+    }
+    return out;
+  }
+
+  // Super Rotation System (SRS), as in guideline Tetris. A piece's `rot` is its
+  // rotation state, 0-3 for 0 (as spawned), R (turned clockwise), 2 and L; its cells
+  // turn within their bounding box. When the turned piece doesn't fit where it is,
+  // the offsets for that change of state are tried in order ("wall kicks"). They
+  // are [x, y] with y pointing up, as in the guideline tables.
+  const ROTATION_STATES = ["0", "R", "2", "L"];
+
+  const KICKS_JLSTZ = {
+    "0R": [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+    R0: [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+    R2: [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+    "2R": [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+    "2L": [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+    L2: [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+    L0: [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+    "0L": [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+  };
+
+  const KICKS_I = {
+    "0R": [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+    R0: [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+    R2: [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+    "2R": [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+    "2L": [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+    L2: [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+    L0: [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+    "0L": [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+  };
+
+  // The guideline has no 180° turn; these kicks, shared by every piece, are the
+  // ones modern clients commonly use for it.
+  const KICKS_180 = {
+    "02": [[0, 0], [0, 1], [1, 1], [-1, 1], [1, 0], [-1, 0]],
+    "20": [[0, 0], [0, -1], [-1, -1], [1, -1], [-1, 0], [1, 0]],
+    RL: [[0, 0], [1, 0], [1, 2], [1, 1], [0, 2], [0, 1]],
+    LR: [[0, 0], [-1, 0], [-1, 2], [-1, 1], [0, 2], [0, 1]],
+  };
+
+  function kicksFor(kind, from, to) {
+    const key = ROTATION_STATES[from] + ROTATION_STATES[to];
+    if (KICKS_180[key]) return KICKS_180[key];
+    return kind === "I" ? KICKS_I[key] : KICKS_JLSTZ[key];
+  }
+
+  function makeBoard() {
+    return Array.from({ length: ROWS }, () => Array(COLS).fill(null));
+  }
+
+  function collides(board, piece, px, py) {
+    const m = piece.cells;
+    for (let y = 0; y < m.length; y += 1) {
+      for (let x = 0; x < m[y].length; x += 1) {
+        if (!m[y][x]) continue;
+        const bx = px + x;
+        const by = py + y;
+        if (bx < 0 || bx >= COLS || by >= ROWS) return true;
+        if (by < 0) continue;
+        if (board[by][bx]) return true;
+      }
+    }
+    return false;
+  }
+
+  function merge(board, piece, px, py) {
+    const m = piece.cells;
+    for (let y = 0; y < m.length; y += 1) {
+      for (let x = 0; x < m[y].length; x += 1) {
+        if (!m[y][x]) continue;
+        const bx = px + x;
+        const by = py + y;
+        if (by < 0) continue;
+        board[by][bx] = piece.color;
+      }
+    }
+  }
+
+  function clearLines(board) {
+    let cleared = 0;
+    for (let y = ROWS - 1; y >= 0; y -= 1) {
+      if (board[y].every((c) => c)) {
+        board.splice(y, 1);
+        board.unshift(Array(COLS).fill(null));
+        cleared += 1;
+        y += 1;
+      }
+    }
+    return cleared;
+  }
+
+  function rotationOf(piece) {
+    // The rotation state a piece's cells are in: how many clockwise quarter turns
+    // from the way it spawns. Every state of every piece but O looks different
+    // within its box, so this is exact.
+    let cells = PIECES[piece.kind].cells;
+    for (let rot = 0; rot < 4; rot += 1) {
+      if (JSON.stringify(cells) === JSON.stringify(piece.cells)) return rot;
+      cells = rotateCW(cells);
+    }
+    return 0;
+  }
+
+  function rotateWithKicks(board, piece, px, py, turns = 1) {
+    // The piece turned by `turns` quarters (1 clockwise, -1 counter-clockwise, 2 for
+    // 180°) at the first kick offset where it fits, as { piece, x, y }, or null when
+    // it can't turn. The O piece never turns.
+    if (piece.kind === "O") return null;
+    const quarters = ((turns % 4) + 4) % 4;
+    if (!quarters) return null;
+    // Runs saved before states were tracked have pieces without one.
+    const from = piece.rot ?? rotationOf(piece);
+    const to = (from + quarters) % 4;
+    let cells = piece.cells;
+    for (let i = 0; i < quarters; i += 1) cells = rotateCW(cells);
+    const rotated = { ...piece, rot: to, cells };
+
+    const kicks = kicksFor(piece.kind, from, to);
+    for (let i = 0; i < kicks.length; i += 1) {
+      const x = px + kicks[i][0];
+      // Board rows count downwards.
+      const y = py - kicks[i][1];
+      if (!collides(board, rotated, x, y)) return { piece: rotated, x, y };
+    }
+    return null;
+  }
+
+  function rateBoard(board, lines) {
+    // How good a stack looks to the autopilot: cleared lines up; total height, holes
+    // and bumpiness down (weights from the well-known "near perfect" Tetris bot).
+    let height = 0;
+    let holes = 0;
+    let bumpiness = 0;
+    let prev = null;
+    for (let x = 0; x < COLS; x += 1) {
+      let top = 0;
+      while (top < ROWS && !board[top][x]) top += 1;
+      for (let y = top + 1; y < ROWS; y += 1) {
+        if (!board[y][x]) holes += 1;
+      }
+      const h = ROWS - top;
+      height += h;
+      if (prev != null) bumpiness += Math.abs(h - prev);
+      prev = h;
+    }
+    return 0.76 * lines - 0.51 * height - 0.36 * holes - 0.18 * bumpiness;
+  }
+
+  function bestPlacement(board, piece, px, py) {
+    // Where the piece is best dropped from here, as { turns, x }: every reachable turn
+    // and column is tried on a copy of the board. Ties go to fewer turns, so the plan
+    // stays put while the piece is being steered into place.
+    let best = null;
+    let cur = { piece, x: px, y: py };
+    for (let turns = 0; turns < 4 && cur; turns += 1) {
+      // Columns the piece can slide to at its current height, both ways.
+      const columns = [cur.x];
+      for (let x = cur.x - 1; !collides(board, cur.piece, x, cur.y); x -= 1) columns.push(x);
+      for (let x = cur.x + 1; !collides(board, cur.piece, x, cur.y); x += 1) columns.push(x);
+
+      for (let i = 0; i < columns.length; i += 1) {
+        const x = columns[i];
+        let y = cur.y;
+        while (!collides(board, cur.piece, x, y + 1)) y += 1;
+        const after = board.map((row) => row.slice());
+        merge(after, cur.piece, x, y);
+        const rating = rateBoard(after, clearLines(after));
+        if (!best || rating > best.rating) best = { turns, x, rating };
+      }
+      cur = rotateWithKicks(board, cur.piece, cur.x, cur.y);
+    }
+    return best;
+  }
+
+  function createAutopilot() {
+    // Demo player for attract mode (attract.js): turns and slides each piece to its
+    // best placement one tap at a time, then hard-drops it.
+    const TAP_MS = 90;
+    let lastTap = -Infinity;
+    return (state, time) => {
+      if (!state.running || state.paused || !state.active) return [];
+      // Release between taps: each press is one move.
+      if (time - lastTap < TAP_MS) return [];
+      lastTap = time;
+      const plan = bestPlacement(state.board, state.active, state.ax, state.ay);
+      if (!plan) return ["hardDrop"];
+      if (plan.turns) return ["rotate"];
+      if (plan.x < state.ax) return ["left"];
+      if (plan.x > state.ax) return ["right"];
+      return ["hardDrop"];
+    };
+  }
+
   function createTetrisGame() {
     let canvas;
     let ctx;
 
-    let scoreEl;
-    let bestEl;
-
     let overlayEl;
     let overlayTitleEl;
     let overlaySubtitleEl;
 
-    let rafId = null;
+    // Label of the key bound to an action ("P" for pause), provided by app.js.
+    let keyLabel = (action) => action;
+    // Called with { score, details } when a run ends, provided by app.js.
+    let onGameOver = () => {};
+    // Gameplay events (events.js): the shared bus, or app.js's own for replays and demos.
+    let events = window.ArcadeEvents;
+    // Called with { seed } whenever a run (re)starts, so app.js can record it.
+    let onRunStart = () => {};
+    // Frame scheduling for the game loop. app.js passes its own to record runs and to
+    // drive replays; game time itself is counted in fixed steps (see update()).
+    let clock = {
+      requestFrame: (cb) => requestAnimationFrame(cb),
+      cancelFrame: (id) => cancelAnimationFrame(id),
+    };
+    // Seed for every (re)start, from app.js: fixed for the Daily Challenge or a
+    // "?seed=" route, null for a fresh random game each time.
+    let seed = null;
+    let rng = null;
+
+    let gameLoop = null;
     let runningAttached = false;
-    let keydownHandler;
     let pointerdownHandler;
 
-    const STORAGE_KEY = "tetris_best_score";
+    // Registry id; scores.js keeps this game's high-score table under it unless
+    // app.js names another table (the Daily Challenge has its own).
+    const GAME_ID = "tetris";
+    let scoreTable = GAME_ID;
 
-    const COLS = 10;
-    const ROWS = 20;
+    // Length of one update() step in milliseconds of game time (loop.js).
+    const STEP_MS = window.ArcadeLoop.STEP_MS;
+    // The play area in logical units (view.js), whatever the canvas's pixel size.
+    const WIDTH = window.ArcadeView.WIDTH;
+    const HEIGHT = window.ArcadeView.HEIGHT;
 
     function clamp(n, min, max) {
       return Math.max(min, Math.min(max, n));
     }
 
     function randInt(min, maxInclusive) {
-      return Math.floor(Math.random() * (maxInclusive - min + 1)) + min;
+      return rng.int(min, maxInclusive);
     }
 
     function getBestScore() {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      const n = raw ? Number(raw) : 0;
-      return Number.isFinite(n) ? n : 0;
+      return window.ArcadeScores.best(scoreTable);
     }
 
-    function setBestScore(value) {
-      localStorage.setItem(STORAGE_KEY, String(value));
-    }
-
-    let audioState = {
-      ctx: null,
-      master: null,
-      muted: false,
-    };
+    // Sound goes through the shared mixer (audio.js): one context for the arcade,
+    // with this game's voices on its own SFX channel.
+    const audio = window.ArcadeAudio;
 
     function ensureAudio() {
-      if (audioState.ctx) return true;
-      const AudioCtx = window.AudioContext || window.webkitAudioContext;
-      if (!AudioCtx) return false;
-      try {
-        const ctxA = new AudioCtx();
-        const master = ctxA.createGain();
-        master.gain.value = audioState.muted ? 0 : 0.6;
-        master.connect(ctxA.destination);
-        audioState = { ctx: ctxA, master, muted: audioState.muted };
-        return true;
-      } catch {
-        return false;
-      }
+      return Boolean(audio.ensure());
     }
 
     function resumeAudioIfNeeded() {
-      if (!audioState.ctx) return;
-      if (audioState.ctx.state === "suspended") {
-        audioState.ctx.resume().catch(() => {});
-      }
-    }
-
-    function setMuted(muted) {
-      audioState.muted = muted;
-      if (audioState.master) audioState.master.gain.value = muted ? 0 : 0.6;
-    }
-
-    function toggleMuted() {
-      setMuted(!audioState.muted);
+      audio.resume();
     }
 
     function playTone({ type, freq, durationMs, gain = 0.14, attackMs = 2, releaseMs = 60 }) {
       if (!ensureAudio()) return;
       resumeAudioIfNeeded();
-      if (audioState.muted) return;
+      if (audio.isMuted()) return;
 
-      const ctxA = audioState.ctx;
+      const ctxA = audio.ensure();
       const osc = ctxA.createOscillator();
       const g = ctxA.createGain();
 
@@ -98,7 +356,7 @@
       g.gain.exponentialRampToValueAtTime(0.0001, now + Math.max(attack + 0.001, dur - release));
 
       osc.connect(g);
-      g.connect(audioState.master);
+      g.connect(audio.output(GAME_ID));
 
       osc.start(now);
       osc.stop(now + dur + 0.02);
@@ -112,6 +370,10 @@
       playTone({ type: "triangle", freq: 440, durationMs: 40, gain: 0.06, releaseMs: 30 });
     }
 
+    function sfxHold() {
+      playTone({ type: "triangle", freq: 520, durationMs: 50, gain: 0.06, releaseMs: 40 });
+    }
+
     function sfxDrop() {
       playTone({ type: "sine", freq: 330, durationMs: 45, gain: 0.06, releaseMs: 40 });
     }
@@ -131,79 +393,6 @@
       playTone({ type: "square", freq: 90, durationMs: 240, gain: 0.12, releaseMs: 180 });
     }
 
-    const PIECES = {
-      I: {
-        color: "#45e7ff",
-        cells: [
-          [0, 0, 0, 0],
-          [1, 1, 1, 1],
-          [0, 0, 0, 0],
-          [0, 0, 0, 0],
-        ],
-      },
-      O: {
-        color: "#ffd84a",
-        cells: [
-          [1, 1],
-          [1, 1],
-        ],
-      },
-      T: {
-        color: "#c77dff",
-        cells: [
-          [0, 1, 0],
-          [1, 1, 1],
-          [0, 0, 0],
-        ],
-      },
-      S: {
-        color: "#63ff8b",
-        cells: [
-          [0, 1, 1],
-          [1, 1, 0],
-          [0, 0, 0],
-        ],
-      },
-      Z: {
-        color: "#ff5c5c",
-        cells: [
-          [1, 1, 0],
-          [0, 1, 1],
-          [0, 0, 0],
-        ],
-      },
-      J: {
-        color: "#4d7dff",
-        cells: [
-          [1, 0, 0],
-          [1, 1, 1],
-          [0, 0, 0],
-        ],
-      },
-      L: {
-        color: "#ff9a3a",
-        cells: [
-          [0, 0, 1],
-          [1, 1, 1],
-          [0, 0, 0],
-        ],
-      },
-    };
-
-    const BAG = ["I", "O", "T", "S", "Z", "J", "L"];
-
-    function rotateCW(mat) {
-      const h = mat.length;
-      const w = mat[0].length;
-      const out = Array.from({ length: w }, () => Array(h).fill(0));
-      for (let y = 0; y < h; y += 1) {
-        for (let x = 0; x < w; x += 1) {
-          out[x][h - 1 - y] = mat[y][x];
-        }
-      }
-      return out;
-    }
-
     function showOverlay(title, subtitle) {
       overlayTitleEl.textContent = title;
       overlaySubtitleEl.textContent = subtitle;
@@ -214,51 +403,6 @@
       overlayEl.hidden = true;
     }
 
-    function makeBoard() {
-      return Array.from({ length: ROWS }, () => Array(COLS).fill(null));
-    }
-
-    function collides(board, piece, px, py) {
-      const m = piece.cells;
-      for (let y = 0; y < m.length; y += 1) {
-        for (let x = 0; x < m[y].length; x += 1) {
-          if (!m[y][x]) continue;
-          const bx = px + x;
-          const by = py + y;
-          if (bx < 0 || bx >= COLS || by >= ROWS) return true;
-          if (by < 0) continue;
-          if (board[by][bx]) return true;
-        }
-      }
-      return false;
-    }
-
-    function merge(board, piece, px, py) {
-      const m = piece.cells;
-      for (let y = 0; y < m.length; y += 1) {
-        for (let x = 0; x < m[y].length; x += 1) {
-          if (!m[y][x]) continue;
-          const bx = px + x;
-          const by = py + y;
-          if (by < 0) continue;
-          board[by][bx] = piece.color;
-        }
-      }
-    }
-
-    function clearLines(board) {
-      let cleared = 0;
-      for (let y = ROWS - 1; y >= 0; y -= 1) {
-        if (board[y].every((c) => c)) {
-          board.splice(y, 1);
-          board.unshift(Array(COLS).fill(null));
-          cleared += 1;
-          y += 1;
-        }
-      }
-      return cleared;
-    }
-
     function drawRoundedRect(x, y, w, h, r) {
       const radius = clamp(r, 0, Math.min(w, h) / 2);
       ctx.beginPath();
@@ -293,9 +437,13 @@
       ctx.globalAlpha = 1;
     }
 
-    function draw(ts) {
-      const w = canvas.width;
-      const h = canvas.height;
+    function render() {
+      // Draws the current state. Pieces move cell by cell, so unlike the other games
+      // there is nothing to interpolate and the loop's alpha is ignored.
+      if (!state) return;
+      window.ArcadeView.begin(ctx, canvas);
+      const w = WIDTH;
+      const h = HEIGHT;
 
       const panelW = 6;
       const cell = Math.floor(Math.min(w / (COLS + panelW + 2), h / (ROWS + 2)));
@@ -352,13 +500,26 @@
       }
 
       const previewX = offX + boardW + gap;
-      const previewY = offY;
-      const cardW = previewW;
       const cardH = Math.floor(cell * 8.5);
 
+      const nextKind = state.queue.length ? state.queue[0] : null;
+      drawCard("Next", nextKind, previewX, offY, previewW, cardH, cell, false);
+      // The held piece is dimmed while it can't be swapped back yet.
+      drawCard("Hold", state.hold, previewX, offY + cardH + gap, previewW, cardH, cell, !state.canHold);
+
+      if (state.paused) {
+        ctx.globalAlpha = 0.55;
+        ctx.fillStyle = "#000000";
+        ctx.fillRect(0, 0, w, h);
+        ctx.globalAlpha = 1;
+      }
+    }
+
+    function drawCard(label, kind, x, y, w, h, cell, dim) {
+      // A side-panel card: its label, and the piece of `kind` (if any) as it spawns.
       ctx.globalAlpha = 0.9;
       ctx.fillStyle = "rgba(255,255,255,0.06)";
-      drawRoundedRect(previewX, previewY, cardW, cardH, 12);
+      drawRoundedRect(x, y, w, h, 12);
       ctx.fill();
 
       ctx.globalAlpha = 1;
@@ -370,23 +531,14 @@
       ctx.font = `${Math.max(10, Math.floor(cell * 0.9))}px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial`;
       ctx.textAlign = "left";
       ctx.textBaseline = "top";
-      ctx.fillText("Next", previewX + Math.floor(cell * 0.6), previewY + Math.floor(cell * 0.6));
-
-      const nextKind = state.queue.length ? state.queue[0] : null;
-      if (nextKind && PIECES[nextKind]) {
-        const base = PIECES[nextKind];
-        const piece = { kind: nextKind, color: base.color, cells: base.cells };
-        const px = previewX + Math.floor(cell * 1.2);
-        const py = previewY + Math.floor(cell * 2.1);
-        drawPreviewPiece(piece, px, py, cell);
-      }
+      ctx.fillText(label, x + Math.floor(cell * 0.6), y + Math.floor(cell * 0.6));
 
-      if (state.paused) {
-        ctx.globalAlpha = 0.55;
-        ctx.fillStyle = "#000000";
-        ctx.fillRect(0, 0, w, h);
-        ctx.globalAlpha = 1;
-      }
+      if (!kind || !PIECES[kind]) return;
+      const base = PIECES[kind];
+      const piece = { kind, color: base.color, cells: base.cells };
+      if (dim) ctx.globalAlpha = 0.35;
+      drawPreviewPiece(piece, x + Math.floor(cell * 1.2), y + Math.floor(cell * 2.1), cell);
+      ctx.globalAlpha = 1;
     }
 
     function drawPiece(piece, px, py, cell, offX, offY, ghost) {
@@ -429,15 +581,20 @@
       return bag;
     }
 
+    function newPiece(kind) {
+      const base = PIECES[kind];
+      return { kind, color: base.color, rot: 0, cells: base.cells.map((r) => r.slice()) };
+    }
+
     function nextFromQueue() {
       if (!state.queue.length) state.queue = refillBag();
-      const kind = state.queue.shift();
-      const base = PIECES[kind];
-      return { kind, color: base.color, cells: base.cells.map((r) => r.slice()) };
+      return newPiece(state.queue.shift());
     }
 
-    function spawn() {
-      state.active = nextFromQueue();
+    function spawn(kind = null) {
+      // Brings in the next piece, or the one of `kind` (coming back from hold), in its
+      // starting orientation and column.
+      state.active = kind ? newPiece(kind) : nextFromQueue();
       state.ax = Math.floor(COLS / 2) - 2;
       state.ay = -2;
 
@@ -448,16 +605,27 @@
       }
     }
 
+    function emit(type, detail) {
+      events.emit(type, { game: GAME_ID, ...detail });
+    }
+
+    // The HUD lives in app.js and follows these.
+    function emitScore() {
+      emit("score", { score: state.score, best: state.best });
+    }
+
     function updateScore(lines) {
       if (!lines) return;
       const linePoints = [0, 100, 300, 500, 800];
       state.lines += lines;
       state.score += linePoints[lines] * (state.level + 1);
-      scoreEl.textContent = String(state.score);
+      emitScore();
+      emit("linesCleared", { lines, total: state.lines });
 
       const nextLevelAt = (state.level + 1) * 10;
       if (state.lines >= nextLevelAt) {
         state.level += 1;
+        emit("levelUp", { level: state.level });
       }
     }
 
@@ -487,9 +655,22 @@
         sfxLineClear(cleared);
         updateScore(cleared);
       }
+      state.canHold = true;
       spawn();
     }
 
+    function hold() {
+      // Puts the falling piece on hold and brings in the one held before (or the next,
+      // the first time). Once per piece: holding again waits until it locks.
+      if (!state.active || !state.canHold) return;
+      const held = state.hold;
+      state.hold = state.active.kind;
+      state.canHold = false;
+      state.dropMs = 0;
+      sfxHold();
+      spawn(held);
+    }
+
     function tryMove(dx, dy) {
       if (!state.active) return false;
       const nx = state.ax + dx;
@@ -502,33 +683,14 @@
       return false;
     }
 
-    function tryRotate() {
+    function tryRotate(turns) {
       if (!state.active) return;
-      if (state.active.kind === "O") return;
-
-      const rotated = rotateCW(state.active.cells);
-      const kicks = [
-        { x: 0, y: 0 },
-        { x: -1, y: 0 },
-        { x: 1, y: 0 },
-        { x: -2, y: 0 },
-        { x: 2, y: 0 },
-        { x: 0, y: -1 },
-      ];
-
-      for (let i = 0; i < kicks.length; i += 1) {
-        const k = kicks[i];
-        const nx = state.ax + k.x;
-        const ny = state.ay + k.y;
-        const testPiece = { ...state.active, cells: rotated };
-        if (!collides(state.board, testPiece, nx, ny)) {
-          state.active = testPiece;
-          state.ax = nx;
-          state.ay = ny;
-          sfxRotate();
-          return;
-        }
-      }
+      const turned = rotateWithKicks(state.board, state.active, state.ax, state.ay, turns);
+      if (!turned) return;
+      state.active = turned.piece;
+      state.ax = turned.x;
+      state.ay = turned.y;
+      sfxRotate();
     }
 
     function getHardDropY() {
@@ -554,21 +716,29 @@
       state.running = false;
       state.paused = false;
 
-      if (state.score > state.best) {
-        state.best = state.score;
-        setBestScore(state.best);
-      }
+      // The shell records the run (high-score table, initials prompt); the table's
+      // top entry is the best score from here on.
+      const details = { lines: state.lines, level: state.level };
+      onGameOver({ score: state.score, details });
+      state.best = getBestScore();
 
-      bestEl.textContent = String(state.best);
+      emitScore();
+      emit("gameOver", { score: state.score, win: false, details, timeMs: state.time });
       sfxGameOver();
-      showOverlay("Game Over", "Press R to restart (Esc for menu)");
+      showOverlay("Game Over", `Press ${keyLabel("restart")} to restart (${keyLabel("menu")} for menu)`);
     }
 
     function resetState() {
+      rng = window.ArcadeRandom.create(seed ?? window.ArcadeRandom.randomSeed());
+      onRunStart({ seed: rng.seed });
+      if (gameLoop) gameLoop.reset();
       state = {
         board: makeBoard(),
         queue: refillBag(),
         active: null,
+        // Kind of the piece on hold, and whether the falling piece may still be held.
+        hold: null,
+        canHold: true,
         ax: 0,
         ay: 0,
         score: 0,
@@ -577,120 +747,136 @@
         level: 0,
         running: true,
         paused: false,
-        lastDropTs: 0,
+        // Game time in ms, counted by update(); it stands still while paused.
+        time: 0,
+        // Game time (ms) since the piece last fell by gravity.
+        dropMs: 0,
       };
 
-      scoreEl.textContent = String(state.score);
-      bestEl.textContent = String(state.best);
+      emitScore();
       hideOverlay();
 
       spawn();
-      draw(performance.now());
+      render();
+    }
+
+    function save() {
+      // The run in progress as plain data, for app.js to keep while the player is
+      // away (Esc, closed tab), or null when there's no run to come back to.
+      if (!state?.running) return null;
+      const { best, paused, ...rest } = state;
+      return { seed: rng.seed, rng: rng.position(), state: JSON.parse(JSON.stringify(rest)) };
+    }
+
+    function restore(saved) {
+      // Picks a run from save() back up, paused until the player is ready.
+      rng = window.ArcadeRandom.create(saved.seed, saved.rng);
+      // Runs saved before hold existed have none.
+      state = { hold: null, canHold: true, ...saved.state, best: getBestScore(), paused: false };
+      emitScore();
+      hideOverlay();
+      pause();
+      render();
     }
 
     function togglePause() {
       if (!state?.running) return;
       state.paused = !state.paused;
-      if (state.paused) showOverlay("Paused", "Press P to resume");
-      else {
-        hideOverlay();
-        state.lastDropTs = performance.now();
-      }
+      emit("paused", { paused: state.paused });
+      if (state.paused) showOverlay("Paused", `Press ${keyLabel("pause")} to resume`);
+      else hideOverlay();
     }
 
-    function loop(ts) {
-      if (!state) return;
-      if (!state.running) {
-        draw(ts);
-        rafId = requestAnimationFrame(loop);
-        return;
-      }
-
-      if (!state.lastDropTs) state.lastDropTs = ts;
+    function pause() {
+      // Used by the shell when the tab is hidden or the window loses focus.
+      if (state?.running && !state.paused) togglePause();
+    }
 
-      if (!state.paused) {
-        const interval = getDropIntervalMs();
-        if (ts - state.lastDropTs >= interval) {
-          softDrop();
-          state.lastDropTs = ts;
-        }
+    function update() {
+      // One fixed step of game time, called by the game loop (loop.js).
+      if (!state || !state.running || state.paused) return;
+      state.time += STEP_MS;
+      state.dropMs += STEP_MS;
+      if (state.dropMs >= getDropIntervalMs()) {
+        state.dropMs = 0;
+        softDrop();
       }
-
-      draw(ts);
-      rafId = requestAnimationFrame(loop);
     }
 
-    function attachListeners() {
-      if (runningAttached) return;
-      runningAttached = true;
+    function handleAction(action, pressed) {
+      // Named actions come from the input layer in app.js (see controls below).
+      if (!state || !pressed) return;
 
-      keydownHandler = (e) => {
-        ensureAudio();
-        resumeAudioIfNeeded();
+      ensureAudio();
+      resumeAudioIfNeeded();
 
-        const key = e.key.toLowerCase();
+      if (action === "restart") {
+        resetState();
+        return;
+      }
 
-        if (key === "m") {
-          toggleMuted();
-          return;
-        }
+      if (action === "pause") {
+        togglePause();
+        return;
+      }
 
-        if (key === "r") {
-          resetState();
-          return;
-        }
+      if (!state.running || state.paused) return;
 
-        if (key === "p") {
-          e.preventDefault();
-          togglePause();
-          return;
-        }
+      if (action === "left") {
+        if (tryMove(-1, 0)) sfxMove();
+        return;
+      }
 
-        if (!state || !state.running || state.paused) return;
+      if (action === "right") {
+        if (tryMove(1, 0)) sfxMove();
+        return;
+      }
 
-        if (key === "arrowleft" || key === "a") {
-          e.preventDefault();
-          if (tryMove(-1, 0)) sfxMove();
-          return;
-        }
+      if (action === "softDrop") {
+        softDrop();
+        return;
+      }
 
-        if (key === "arrowright" || key === "d") {
-          e.preventDefault();
-          if (tryMove(1, 0)) sfxMove();
-          return;
-        }
+      if (action === "rotate") {
+        tryRotate(1);
+        return;
+      }
 
-        if (key === "arrowdown" || key === "s") {
-          e.preventDefault();
-          softDrop();
-          return;
-        }
+      if (action === "rotateCCW") {
+        tryRotate(-1);
+        return;
+      }
 
-        if (key === "arrowup" || key === "w") {
-          e.preventDefault();
-          tryRotate();
-          return;
-        }
+      if (action === "rotate180") {
+        tryRotate(2);
+        return;
+      }
 
-        if (key === " ") {
-          e.preventDefault();
-          hardDrop();
-        }
-      };
+      if (action === "hold") {
+        hold();
+        return;
+      }
+
+      if (action === "hardDrop") {
+        hardDrop();
+      }
+    }
+
+    function attachListeners() {
+      if (runningAttached) return;
+      runningAttached = true;
 
       pointerdownHandler = () => {
         ensureAudio();
         resumeAudioIfNeeded();
       };
 
-      window.addEventListener("keydown", keydownHandler);
       window.addEventListener("pointerdown", pointerdownHandler, { passive: true });
     }
 
     function detachListeners() {
       if (!runningAttached) return;
       runningAttached = false;
-      window.removeEventListener("keydown", keydownHandler);
       window.removeEventListener("pointerdown", pointerdownHandler);
     }
 
@@ -698,47 +884,109 @@
 
     function start({
       canvas: c,
-      scoreEl: s,
-      bestEl: b,
       overlayEl: o,
       overlayTitleEl: ot,
       overlaySubtitleEl: os,
+      keyLabel: kl,
+      onGameOver: og,
+      onRunStart: rs,
+      clock: ck,
+      events: ev,
+      seed: sd = null,
+      scoreTable: st,
+      resume = null,
     }) {
       canvas = c;
       ctx = canvas.getContext("2d");
 
-      scoreEl = s;
-      bestEl = b;
-
       overlayEl = o;
       overlayTitleEl = ot;
       overlaySubtitleEl = os;
+      if (kl) keyLabel = kl;
+      if (og) onGameOver = og;
+      if (rs) onRunStart = rs;
+      if (ck) clock = ck;
+      events = ev || window.ArcadeEvents;
+      seed = sd;
+      scoreTable = st || GAME_ID;
 
       attachListeners();
-      resetState();
-      if (rafId != null) cancelAnimationFrame(rafId);
-      rafId = requestAnimationFrame(loop);
+      if (resume) restore(resume);
+      else resetState();
+      if (gameLoop) gameLoop.stop();
+      gameLoop = window.ArcadeLoop.create({ clock, update, render });
+      gameLoop.start();
+    }
+
+    function getState() {
+      // The live state object, for the headless harness (tools/headless.js) that
+      // sets up and inspects situations in tests.
+      return state;
     }
 
     function stop() {
-      if (rafId != null) cancelAnimationFrame(rafId);
-      rafId = null;
+      if (gameLoop) gameLoop.stop();
+      gameLoop = null;
       detachListeners();
       if (overlayEl) overlayEl.hidden = true;
       state = null;
     }
 
-    function setMutedExternal(muted) {
-      setMuted(muted);
-    }
-
     return {
       start,
       stop,
-      setMuted: setMutedExternal,
-      toggleMuted,
+      pause,
+      save,
+      handleAction,
+      getState,
     };
   }
 
-  window.TetrisGame = createTetrisGame();
+  window.Arcade.register({
+    id: "tetris",
+    title: "Tetris",
+    subtitle: "Stack pieces. Clear lines.",
+    // Tetris doesn't use lives; the HUD shows '-'.
+    hasLives: false,
+    // Extra high-score table columns, read from the details passed to onGameOver.
+    scoreDetails: [
+      { key: "lines", label: "Lines" },
+      { key: "level", label: "Level" },
+    ],
+    controls: {
+      left: { label: "Move left", keys: ["arrowleft", "a"], buttons: [14] },
+      right: { label: "Move right", keys: ["arrowright", "d"], buttons: [15] },
+      softDrop: { label: "Soft drop", keys: ["arrowdown", "s"], buttons: [13] },
+      rotate: { label: "Rotate", keys: ["arrowup", "w"], buttons: [0, 12] },
+      rotateCCW: { label: "Rotate CCW", keys: ["z"], buttons: [2] },
+      rotate180: { label: "Rotate 180°", keys: ["q"] },
+      hardDrop: { label: "Hard drop", keys: [" "], buttons: [1] },
+      hold: { label: "Hold", keys: ["c", "shift"], buttons: [4, 5] },
+      pause: { label: "Pause", keys: ["p"], buttons: [9] },
+      restart: { label: "Restart", keys: ["r"], buttons: [3] },
+    },
+    touch: {
+      tap: "rotate",
+      dragStep: { left: "left", right: "right" },
+      flick: { down: "hardDrop" },
+      pad: { up: "rotate", down: "softDrop", left: "left", right: "right" },
+      buttons: ["hardDrop", "rotateCCW", "rotate180", "hold", "pause", "restart"],
+    },
+    // Pure rules, for tests (test/tetris.test.js).
+    logic: {
+      COLS,
+      ROWS,
+      PIECES,
+      rotateCW,
+      makeBoard,
+      collides,
+      merge,
+      clearLines,
+      rotationOf,
+      rotateWithKicks,
+      bestPlacement,
+    },
+    autopilot: createAutopilot,
+    create: createTetrisGame,
+  });
 })();
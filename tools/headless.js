@@ -0,0 +1,276 @@
+// Headless harness: runs the arcade's browser scripts in Node, without a DOM.
+// The scripts are loaded unchanged into a fresh vm context whose global stands in for
+// `window`; games get a fake canvas, plain objects for the overlay elements and a
+// manual clock, so a test can step a game one update() at a time:
+//
+//   const { loadGame } = require("../tools/headless");
+//   const game = loadGame("tetris", { seed: 1 });
+//   game.tap("hardDrop");
+//   game.step(10);
+//   game.state().board; game.score(); game.overlay().title;
+//   game.events.filter((e) => e.type === "linesCleared");
+//
+// tools/snapshot.js builds on this to record what a frame draws.
+//
+// With `record: true` the run is recorded the way app.js records it (replay.js), and
+// loadReplay() plays such a recording back on a game of its own:
+//
+//   const live = loadGame("snake", { seed: 1, record: true });
+//   ...
+//   const replay = loadReplay(live.recording());
+//   replay.state(); // where the live run got to
+//
+// Storage falls back to memory (no localStorage here) and sound stays off (no
+// AudioContext), so every loaded context starts from a clean slate.
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+// Same order as index.html, minus the input and shell scripts games don't need.
+const SCRIPTS = [
+  "arcade.js",
+  "storage.js",
+  "scores.js",
+  "achievements.js",
+  "stats.js",
+  "audio.js",
+  "random.js",
+  "loop.js",
+  "view.js",
+  "events.js",
+  "attract.js",
+  "replay.js",
+  "snake.js",
+  "pacman.js",
+  "tetris.js",
+  "breakout.js",
+];
+
+function createElement() {
+  return { textContent: "", hidden: true };
+}
+
+function createContext2d() {
+  // Accepts every canvas call and draws nothing.
+  const noop = () => {};
+  const gradient = { addColorStop: noop };
+  const props = {
+    createLinearGradient: () => gradient,
+    createRadialGradient: () => gradient,
+    measureText: (text) => ({ width: String(text).length * 6 }),
+  };
+  return new Proxy(props, {
+    get: (target, key) => (key in target ? target[key] : noop),
+    set: (target, key, value) => {
+      target[key] = value;
+      return true;
+    },
+  });
+}
+
+function createCanvas({ width = 480, height = 480, context = createContext2d() } = {}) {
+  return { width, height, getContext: () => context };
+}
+
+function loadScripts(files, globals = {}) {
+  // A fresh `window` with `files` run in it, in order; `globals` stand in for
+  // browser APIs a script needs (localStorage, navigator, ...).
+  const window = vm.createContext({});
+  vm.runInContext("var window = this;", window);
+  window.addEventListener = () => {};
+  window.removeEventListener = () => {};
+  window.console = console;
+  window.performance = { now: () => 0 };
+  Object.assign(window, globals);
+
+  files.forEach((file) => {
+    const code = fs.readFileSync(path.join(ROOT, file), "utf8");
+    vm.runInContext(code, window, { filename: file });
+  });
+  return window;
+}
+
+function loadArcade() {
+  // A fresh `window` with every game registered.
+  return loadScripts(SCRIPTS);
+}
+
+function overlayArgs(els) {
+  return {
+    overlayEl: els.overlay,
+    overlayTitleEl: els.overlayTitle,
+    overlaySubtitleEl: els.overlaySubtitle,
+  };
+}
+
+function loadGame(id, { seed = 1, params = {}, canvas = createCanvas(), resume = null, record = false } = {}) {
+  // `resume`: a run from an earlier game's save(), to pick up instead of a new one.
+  // `record`: record every (re)started run, for recording().
+  const window = loadArcade();
+  const entry = window.Arcade.get(id);
+  if (!entry) throw new Error(`Unknown game "${id}"`);
+  const module = window.Arcade.getModule(id);
+  const STEP_MS = window.ArcadeLoop.STEP_MS;
+
+  const els = {
+    overlay: createElement(),
+    overlayTitle: createElement(),
+    overlaySubtitle: createElement(),
+  };
+  const gameOvers = [];
+  // Everything the game sent on the shared event bus, and the HUD it would show.
+  const events = [];
+  const hud = { score: 0, lives: null };
+  window.ArcadeEvents.on("*", (event) => {
+    events.push(event);
+    if (event.type === "score") Object.assign(hud, { score: event.score, lives: event.lives });
+  });
+
+  // Manual clock: the game's loop only runs when step() delivers a frame.
+  let time = 0;
+  let pending = null;
+  const clock = {
+    requestFrame: (cb) => {
+      pending = cb;
+      return 1;
+    },
+    cancelFrame: () => {
+      pending = null;
+    },
+  };
+
+  // As in app.js: each (re)start begins a new recording, which gets every frame and
+  // every action.
+  let recorder = null;
+  function onRunStart({ seed: runSeed }) {
+    if (!record) return;
+    recorder = window.ArcadeReplays.createRecorder({ gameId: id, seed: runSeed, params, scoreTable: id, t0: time });
+  }
+
+  function act(action, pressed) {
+    if (recorder) recorder.event("a", action, pressed ? 1 : 0);
+    module.handleAction(action, pressed);
+  }
+
+  function frame(ms) {
+    // One browser frame `ms` after the last: the steps that fit, then a render.
+    // frame(0) just renders the current state again.
+    time += ms;
+    if (recorder) recorder.frame(time);
+    const cb = pending;
+    pending = null;
+    if (cb) cb(time);
+  }
+
+  function step(count = 1) {
+    // Runs `count` update() steps, one frame each.
+    for (let i = 0; i < count; i += 1) frame(STEP_MS);
+  }
+
+  function advance(ms) {
+    // Runs the steps that fit in `ms` of game time.
+    step(Math.floor(ms / STEP_MS));
+  }
+
+  let pilot = null;
+  function autoplay(ms) {
+    // Like advance(), with the game's autopilot steering before every step, the way
+    // attract mode (attract.js) drives it once per frame.
+    if (!pilot) pilot = window.ArcadeAttract.createPilot(entry, module);
+    for (let i = 0; i < Math.floor(ms / STEP_MS); i += 1) {
+      pilot.steer(time);
+      frame(STEP_MS);
+    }
+  }
+
+  module.start({
+    canvas,
+    ...overlayArgs(els),
+    keyLabel: (action) => action,
+    params,
+    seed,
+    clock,
+    onGameOver: (result) => gameOvers.push(result),
+    onRunStart,
+    resume,
+  });
+  // The loop's first frame only sets its baseline; from here step(1) is one update.
+  frame(0);
+
+  return {
+    window,
+    entry,
+    module,
+    logic: entry.logic,
+    STEP_MS,
+    gameOvers,
+    events,
+    state: () => module.getState(),
+    // save() output as it would come back from storage (a JSON round trip).
+    save: () => JSON.parse(JSON.stringify(module.save())),
+    frame,
+    step,
+    advance,
+    autoplay,
+    press: (action) => act(action, true),
+    release: (action) => act(action, false),
+    tap: (action) => {
+      act(action, true);
+      act(action, false);
+    },
+    pointer: (event) => module.handlePointer(event),
+    score: () => hud.score,
+    lives: () => hud.lives,
+    overlay: () => ({
+      hidden: els.overlay.hidden,
+      title: els.overlayTitle.textContent,
+      subtitle: els.overlaySubtitle.textContent,
+    }),
+    // The current run as replay.js stores it (after the last restart, if any).
+    recording: () => recorder && JSON.parse(JSON.stringify(recorder.finish({ score: hud.score, details: {} }))),
+    stop: () => module.stop(),
+  };
+}
+
+function loadReplay(run) {
+  // Plays a recording from loadGame() through to its end, on a fresh game.
+  const window = loadArcade();
+  const module = window.Arcade.getModule(run.gameId);
+  const els = {
+    overlay: createElement(),
+    overlayTitle: createElement(),
+    overlaySubtitle: createElement(),
+  };
+  const player = window.ArcadeReplays.createPlayer({
+    run,
+    module,
+    startArgs: {
+      canvas: createCanvas(),
+      ...overlayArgs(els),
+      keyLabel: (action) => action,
+      params: run.params,
+      scoreTable: run.scoreTable,
+    },
+  });
+  player.seek(Infinity);
+  return {
+    window,
+    module,
+    player,
+    state: () => module.getState(),
+  };
+}
+
+module.exports = {
+  SCRIPTS,
+  createElement,
+  createContext2d,
+  createCanvas,
+  loadScripts,
+  loadArcade,
+  loadGame,
+  loadReplay,
+};
@@ -0,0 +1,187 @@
+// Render snapshots: what a game draws, as text.
+// createRecordingContext() stands in for a canvas 2D context and logs every call and
+// property change, one per line:
+//
+//   fillStyle = "#070a10"
+//   fillRect(0, 0, 480, 480)
+//   createLinearGradient(0, 0, 0, 480) -> gradient1
+//   gradient1.addColorStop(0, "rgba(90,120,255,0.12)")
+//   arc(240, 437, 6, 0, 6.283)
+//
+// captureFrame() runs a game headlessly (tools/headless.js) to a state of the test's
+// making and records one render; matchSnapshot() compares that text with the stored
+// copy in test/snapshots/ and returns a line diff to review. Run the tests with
+// UPDATE_SNAPSHOTS=1 to (re)write the stored copies after an intended change; that
+// is also the only way a new one gets written, and never under CI, so a missing
+// snapshot fails there rather than quietly becoming the new reference.
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { loadGame, createCanvas } = require("./headless");
+
+const SNAPSHOT_DIR = path.join(__dirname, "..", "test", "snapshots");
+
+function formatValue(value) {
+  // Numbers to three decimals so float noise doesn't show up as a change.
+  if (typeof value === "number") return String(Number(value.toFixed(3)));
+  if (typeof value === "string") return JSON.stringify(value);
+  if (value && value.recordedName) return value.recordedName;
+  if (Array.isArray(value)) return `[${value.map(formatValue).join(", ")}]`;
+  return String(value);
+}
+
+function createRecordingContext() {
+  const log = [];
+  const props = {};
+  let gradients = 0;
+
+  function record(line) {
+    log.push(line);
+  }
+
+  function createGradient(kind, args) {
+    gradients += 1;
+    const recordedName = `gradient${gradients}`;
+    record(`${kind}(${args.map(formatValue).join(", ")}) -> ${recordedName}`);
+    return {
+      recordedName,
+      addColorStop: (offset, color) => record(`${recordedName}.addColorStop(${formatValue(offset)}, ${formatValue(color)})`),
+    };
+  }
+
+  const special = {
+    createLinearGradient: (...args) => createGradient("createLinearGradient", args),
+    createRadialGradient: (...args) => createGradient("createRadialGradient", args),
+    measureText: (text) => {
+      // Deterministic stand-in metrics; real ones depend on installed fonts.
+      record(`measureText(${formatValue(text)})`);
+      return { width: String(text).length * 6 };
+    },
+  };
+
+  const context = new Proxy(props, {
+    get: (target, key) => {
+      if (key in special) return special[key];
+      if (key in target) return target[key];
+      if (typeof key !== "string") return undefined;
+      return (...args) => record(`${key}(${args.map(formatValue).join(", ")})`);
+    },
+    set: (target, key, value) => {
+      target[key] = value;
+      record(`${String(key)} = ${formatValue(value)}`);
+      return true;
+    },
+  });
+
+  return {
+    context,
+    log,
+    clear: () => {
+      // Gradient names restart too, so a frame's text doesn't depend on earlier ones.
+      log.length = 0;
+      gradients = 0;
+    },
+    text: () => log.join("\n"),
+  };
+}
+
+function captureFrame(gameId, { seed = 1, setup = () => {}, alphaMs = 0, width = 480, height = 480 } = {}) {
+  // Starts the game, lets `setup(game)` arrange the state (steps, inputs, edits),
+  // then records a single render, `alphaMs` into the next step, on a canvas of
+  // `width` x `height` pixels.
+  const recorder = createRecordingContext();
+  const game = loadGame(gameId, { seed, canvas: createCanvas({ width, height, context: recorder.context }) });
+  setup(game);
+  recorder.clear();
+  game.frame(alphaMs);
+  game.stop();
+  return recorder.text();
+}
+
+function diffLines(before, after) {
+  // Unified-style diff of two texts ("" when equal), with two lines of context.
+  const a = before.split("\n");
+  const b = after.split("\n");
+
+  // Only the differing middle goes through the (quadratic) LCS table.
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+  if (start === endA && start === endB) return "";
+
+  const n = endA - start;
+  const m = endB - start;
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i -= 1) {
+    for (let j = m - 1; j >= 0; j -= 1) {
+      lcs[i][j] = a[start + i] === b[start + j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  // Every line in order, marked " ", "-" or "+".
+  const ops = [];
+  for (let i = 0; i < start; i += 1) ops.push({ mark: " ", text: a[i], lineA: i });
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[start + i] === b[start + j]) {
+      ops.push({ mark: " ", text: a[start + i], lineA: start + i });
+      i += 1;
+      j += 1;
+    } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ mark: "-", text: a[start + i], lineA: start + i });
+      i += 1;
+    } else {
+      ops.push({ mark: "+", text: b[start + j], lineA: start + i });
+      j += 1;
+    }
+  }
+  for (let k = endA; k < a.length; k += 1) ops.push({ mark: " ", text: a[k], lineA: k });
+
+  // Changed lines plus two lines of context around them, in hunks.
+  const CONTEXT = 2;
+  const shown = new Set();
+  ops.forEach((op, index) => {
+    if (op.mark === " ") return;
+    for (let k = index - CONTEXT; k <= index + CONTEXT; k += 1) shown.add(k);
+  });
+  const out = [];
+  for (let k = 0; k < ops.length; k += 1) {
+    if (!shown.has(k)) continue;
+    if (!shown.has(k - 1)) out.push(`@@ line ${ops[k].lineA + 1} @@`);
+    out.push(`${ops[k].mark} ${ops[k].text}`);
+  }
+  return out.join("\n");
+}
+
+function matchSnapshot(name, text) {
+  // { ok, diff, created }: compares with test/snapshots/<name>.txt, (re)writing it
+  // instead when UPDATE_SNAPSHOTS is set outside CI.
+  const file = path.join(SNAPSHOT_DIR, `${name}.txt`);
+  const update = Boolean(process.env.UPDATE_SNAPSHOTS) && !process.env.CI;
+  if (update) {
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    fs.writeFileSync(file, `${text}\n`);
+    return { ok: true, diff: "", created: true };
+  }
+  if (!fs.existsSync(file)) {
+    return { ok: false, diff: `missing snapshot ${path.relative(process.cwd(), file)}`, created: false };
+  }
+  const stored = fs.readFileSync(file, "utf8").replace(/\n$/, "");
+  const diff = diffLines(stored, text);
+  return { ok: diff === "", diff, created: false };
+}
+
+module.exports = {
+  SNAPSHOT_DIR,
+  createRecordingContext,
+  captureFrame,
+  diffLines,
+  matchSnapshot,
+};
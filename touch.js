@@ -0,0 +1,275 @@
+(() => {
+  // Touch input for phones and tablets.
+  // Two pieces, both driven by the `touch` config a game registers with window.Arcade:
+  // - create(): gesture recognition on the canvas. Depending on the config it turns
+  //   finger movement into actions:
+  //     swipe:    { up: "up", ... }     fires while the finger moves (Snake, Pac-Man)
+  //     dragStep: { left: "left", ... } one action per DRAG_STEP_PX travelled (Tetris)
+  //     flick:    { down: "hardDrop" }  fast stroke, fires on release (Tetris)
+  //     tap:      "rotate"              short touch without movement
+  //     drag:     true                  raw positions in logical units (Breakout paddle)
+  // - createPad(): optional on-screen D-pad and buttons laid over the canvas.
+  // Mouse pointers are ignored by the gestures; the keyboard already covers desktops.
+  const TAP_MAX_MS = 260;
+  const TAP_MAX_PX = 10;
+  const SWIPE_MIN_PX = 26;
+  const DRAG_STEP_PX = 22;
+  const FLICK_MIN_PX = 48;
+  const FLICK_MAX_MS = 320;
+
+  // Held pad buttons repeat like keyboard auto-repeat (Tetris sideways moves).
+  const REPEAT_DELAY_MS = 180;
+  const REPEAT_RATE_MS = 55;
+
+  function dominantDirection(dx, dy) {
+    if (Math.abs(dx) >= Math.abs(dy)) return dx < 0 ? "left" : "right";
+    return dy < 0 ? "up" : "down";
+  }
+
+  function createTouchInput({ element, getConfig, onAction, onPointer }) {
+    let attached = false;
+    let gesture = null;
+    let downHandler;
+    let moveHandler;
+    let upHandler;
+    let cancelHandler;
+
+    function toCanvasPoint(e) {
+      // The games' logical units (view.js), not CSS or device pixels.
+      return window.ArcadeView.toLogical(element, e.clientX, e.clientY);
+    }
+
+    function fire(action) {
+      if (!action) return;
+      onAction(action, true);
+      onAction(action, false);
+    }
+
+    function onDown(e) {
+      if (e.pointerType === "mouse" || gesture) return;
+      const config = getConfig();
+      if (!config) return;
+
+      e.preventDefault();
+      gesture = {
+        id: e.pointerId,
+        config,
+        startX: e.clientX,
+        startY: e.clientY,
+        anchorX: e.clientX,
+        anchorY: e.clientY,
+        startTs: e.timeStamp,
+        moved: false,
+      };
+      if (element.setPointerCapture) element.setPointerCapture(e.pointerId);
+      if (config.drag) onPointer({ type: "move", ...toCanvasPoint(e) });
+    }
+
+    function onMove(e) {
+      if (!gesture || e.pointerId !== gesture.id) return;
+      e.preventDefault();
+      const { config } = gesture;
+
+      if (Math.hypot(e.clientX - gesture.startX, e.clientY - gesture.startY) > TAP_MAX_PX) {
+        gesture.moved = true;
+      }
+
+      if (config.drag) onPointer({ type: "move", ...toCanvasPoint(e) });
+
+      const dx = e.clientX - gesture.anchorX;
+      const dy = e.clientY - gesture.anchorY;
+
+      if (config.swipe && Math.max(Math.abs(dx), Math.abs(dy)) >= SWIPE_MIN_PX) {
+        // Re-anchor so the player can keep steering without lifting the finger.
+        fire(config.swipe[dominantDirection(dx, dy)]);
+        gesture.anchorX = e.clientX;
+        gesture.anchorY = e.clientY;
+        return;
+      }
+
+      if (config.dragStep) {
+        const stepX = config.dragStep[dx < 0 ? "left" : "right"];
+        while (stepX && Math.abs(e.clientX - gesture.anchorX) >= DRAG_STEP_PX) {
+          fire(stepX);
+          gesture.anchorX += Math.sign(dx) * DRAG_STEP_PX;
+        }
+        const stepY = config.dragStep[dy < 0 ? "up" : "down"];
+        while (stepY && Math.abs(e.clientY - gesture.anchorY) >= DRAG_STEP_PX) {
+          fire(stepY);
+          gesture.anchorY += Math.sign(dy) * DRAG_STEP_PX;
+        }
+      }
+    }
+
+    function onUp(e) {
+      if (!gesture || e.pointerId !== gesture.id) return;
+      e.preventDefault();
+      const { config } = gesture;
+      const dx = e.clientX - gesture.startX;
+      const dy = e.clientY - gesture.startY;
+      const elapsed = e.timeStamp - gesture.startTs;
+
+      if (config.drag) onPointer({ type: "end", ...toCanvasPoint(e) });
+
+      if (!gesture.moved && elapsed <= TAP_MAX_MS) {
+        fire(config.tap);
+      } else if (config.flick && elapsed <= FLICK_MAX_MS) {
+        const dir = dominantDirection(dx, dy);
+        const dist = dir === "left" || dir === "right" ? Math.abs(dx) : Math.abs(dy);
+        if (dist >= FLICK_MIN_PX) fire(config.flick[dir]);
+      }
+
+      gesture = null;
+    }
+
+    function onCancel(e) {
+      if (!gesture || e.pointerId !== gesture.id) return;
+      if (gesture.config.drag) onPointer({ type: "end", ...toCanvasPoint(e) });
+      gesture = null;
+    }
+
+    function attach() {
+      if (attached) return;
+      attached = true;
+      downHandler = onDown;
+      moveHandler = onMove;
+      upHandler = onUp;
+      cancelHandler = onCancel;
+      element.addEventListener("pointerdown", downHandler);
+      element.addEventListener("pointermove", moveHandler);
+      element.addEventListener("pointerup", upHandler);
+      element.addEventListener("pointercancel", cancelHandler);
+    }
+
+    function detach() {
+      if (!attached) return;
+      attached = false;
+      gesture = null;
+      element.removeEventListener("pointerdown", downHandler);
+      element.removeEventListener("pointermove", moveHandler);
+      element.removeEventListener("pointerup", upHandler);
+      element.removeEventListener("pointercancel", cancelHandler);
+    }
+
+    return {
+      attach,
+      detach,
+    };
+  }
+
+  function createTouchPad({ container, onAction }) {
+    // On-screen controls. show() rebuilds the buttons for the running game:
+    // config.pad maps D-pad directions to actions, config.buttons lists extra
+    // actions; `extras` are shell buttons ({ label, onPress }) such as Menu.
+    const repeats = new Map();
+
+    function stopRepeat(btn) {
+      const id = repeats.get(btn);
+      if (id != null) window.clearTimeout(id);
+      repeats.delete(btn);
+    }
+
+    function bindHold(btn, action, repeat) {
+      let held = false;
+
+      const press = (e) => {
+        e.preventDefault();
+        if (held) return;
+        held = true;
+        btn.classList.add("is-held");
+        onAction(action, true);
+        if (!repeat) return;
+        const tick = (delay) => {
+          repeats.set(
+            btn,
+            window.setTimeout(() => {
+              onAction(action, true);
+              tick(REPEAT_RATE_MS);
+            }, delay)
+          );
+        };
+        tick(REPEAT_DELAY_MS);
+      };
+
+      const release = (e) => {
+        if (!held) return;
+        if (e) e.preventDefault();
+        held = false;
+        btn.classList.remove("is-held");
+        stopRepeat(btn);
+        onAction(action, false);
+      };
+
+      btn.addEventListener("pointerdown", press);
+      btn.addEventListener("pointerup", release);
+      btn.addEventListener("pointercancel", release);
+      btn.addEventListener("pointerleave", release);
+    }
+
+    function makeButton(className, text) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = className;
+      btn.textContent = text;
+      return btn;
+    }
+
+    function clear() {
+      repeats.forEach((id) => window.clearTimeout(id));
+      repeats.clear();
+      container.textContent = "";
+    }
+
+    function show(config, controls, extras = []) {
+      clear();
+      if (!config) {
+        container.hidden = true;
+        return;
+      }
+
+      const dpad = document.createElement("div");
+      dpad.className = "touch-dpad";
+      const arrows = { up: "▲", left: "◀", right: "▶", down: "▼" };
+      Object.keys(arrows).forEach((dir) => {
+        const action = config.pad?.[dir];
+        if (!action) return;
+        const btn = makeButton(`touch-btn touch-${dir}`, arrows[dir]);
+        btn.setAttribute("aria-label", controls[action]?.label || action);
+        bindHold(btn, action, true);
+        dpad.appendChild(btn);
+      });
+
+      const actions = document.createElement("div");
+      actions.className = "touch-actions";
+      (config.buttons || []).forEach((action) => {
+        const btn = makeButton("touch-btn touch-action", controls[action]?.label || action);
+        bindHold(btn, action, false);
+        actions.appendChild(btn);
+      });
+      extras.forEach(({ label, onPress }) => {
+        const btn = makeButton("touch-btn touch-action", label);
+        btn.addEventListener("click", onPress);
+        actions.appendChild(btn);
+      });
+
+      container.appendChild(dpad);
+      container.appendChild(actions);
+      container.hidden = false;
+    }
+
+    function hide() {
+      clear();
+      container.hidden = true;
+    }
+
+    return {
+      show,
+      hide,
+    };
+  }
+
+  window.ArcadeTouch = {
+    create: createTouchInput,
+    createPad: createTouchPad,
+  };
+})();
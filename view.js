@@ -0,0 +1,117 @@
+(() => {
+  function createView() {
+    // Canvas sizing shared by the games.
+    // Games draw in logical units, on a WIDTH x HEIGHT play area, and never look at
+    // the canvas's pixel size. attach() keeps the canvas's backing store at its size
+    // on screen times devicePixelRatio, so drawing stays sharp at any size and on
+    // Retina displays; begin() maps logical units onto whatever that store is,
+    // centred and letterboxed should it not be square.
+    // A canvas can also have a strip reserved along its top (fullscreen's HUD, see
+    // setStrip()); the play area then goes below it.
+    const WIDTH = 480;
+    const HEIGHT = 480;
+
+    // canvas -> { height (logical units), draw(ctx, width, height) }
+    const strips = new WeakMap();
+
+    function layout(canvas) {
+      // Where the play area sits on the backing store: { scale, x, y }.
+      const top = strips.get(canvas)?.height || 0;
+      const scale = Math.min(canvas.width / WIDTH, canvas.height / (HEIGHT + top)) || 1;
+      return {
+        scale,
+        x: (canvas.width - WIDTH * scale) / 2,
+        y: top * scale + (canvas.height - (HEIGHT + top) * scale) / 2,
+      };
+    }
+
+    function begin(ctx, canvas) {
+      // Called at the top of a game's render(): clears the whole canvas, and from
+      // here on the game draws in logical units.
+      const { scale, x, y } = layout(canvas);
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      const strip = strips.get(canvas);
+      if (strip) {
+        // Also in logical units, across the canvas's whole width.
+        ctx.save();
+        ctx.setTransform(scale, 0, 0, scale, 0, 0);
+        strip.draw(ctx, canvas.width / scale, strip.height);
+        ctx.restore();
+      }
+      ctx.setTransform(scale, 0, 0, scale, x, y);
+    }
+
+    function setStrip(canvas, strip) {
+      // Reserves `strip.height` logical units along the top of the canvas, which
+      // begin() hands to strip.draw(ctx, width, height) every frame. null frees it.
+      if (strip) strips.set(canvas, strip);
+      else strips.delete(canvas);
+    }
+
+    function toLogical(canvas, clientX, clientY) {
+      // A point on screen (pointer events) in logical units.
+      const rect = canvas.getBoundingClientRect();
+      const px = rect.width ? canvas.width / rect.width : 1;
+      const py = rect.height ? canvas.height / rect.height : 1;
+      const { scale, x, y } = layout(canvas);
+      return {
+        x: ((clientX - rect.left) * px - x) / scale,
+        y: ((clientY - rect.top) * py - y) / scale,
+      };
+    }
+
+    function attach(canvas) {
+      // Resizes the backing store whenever the canvas's size on screen or the
+      // device pixel ratio changes. Returns a function to stop.
+      function fit() {
+        const rect = canvas.getBoundingClientRect();
+        if (!rect.width || !rect.height) return;
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(rect.width * ratio);
+        const height = Math.round(rect.height * ratio);
+        // Setting the size clears the canvas, so only when it actually changes; a
+        // running game draws again on its next frame.
+        if (canvas.width === width && canvas.height === height) return;
+        canvas.width = width;
+        canvas.height = height;
+      }
+
+      const observer = typeof ResizeObserver === "function" ? new ResizeObserver(fit) : null;
+      if (observer) observer.observe(canvas);
+      else window.addEventListener("resize", fit);
+
+      // Browser zoom and moving the window to another screen change the pixel ratio
+      // without resizing anything; this query stops matching when it does.
+      let ratioQuery = null;
+      function watchRatio() {
+        if (ratioQuery) ratioQuery.removeEventListener("change", onRatioChange);
+        ratioQuery = window.matchMedia ? window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`) : null;
+        if (ratioQuery) ratioQuery.addEventListener("change", onRatioChange);
+      }
+      function onRatioChange() {
+        fit();
+        watchRatio();
+      }
+
+      watchRatio();
+      fit();
+      return () => {
+        if (observer) observer.disconnect();
+        else window.removeEventListener("resize", fit);
+        if (ratioQuery) ratioQuery.removeEventListener("change", onRatioChange);
+      };
+    }
+
+    return {
+      WIDTH,
+      HEIGHT,
+      begin,
+      setStrip,
+      toLogical,
+      attach,
+    };
+  }
+
+  window.ArcadeView = createView();
+})();